@@ -0,0 +1,76 @@
+const asyncHandler = require("express-async-handler");
+const {
+  getQueryVolume,
+  getUnansweredQueries,
+  getTopCitedDocuments,
+  getFeedbackSummary,
+} = require("../services/queryLogService");
+
+const DEFAULT_PERIOD_DAYS = 30;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// ===== HELPER FUNCTIONS =====
+
+// Reads ?from=&to= (ISO dates, default: the last 30 days) and ?limit=.
+// Returns { period, limit } or { error } for a 400.
+function parseAnalyticsQuery(query) {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    return { error: "from and to must be valid dates (e.g. 2025-01-31)." };
+  }
+  if (from >= to) {
+    return { error: "from must be before to." };
+  }
+
+  const limit = query.limit !== undefined ? Number(query.limit) : DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${MAX_LIMIT}.` };
+  }
+
+  return { period: { from, to }, limit };
+}
+
+// Wraps an analytics query in the shared parameter parsing and response shape
+function analyticsHandler(key, load) {
+  return asyncHandler(async (req, res) => {
+    const { period, limit, error } = parseAnalyticsQuery(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error: "Bad request", message: error });
+    }
+
+    const result = await load(req.organization._id, period, { limit });
+    res.status(200).json({ success: true, period, [key]: result });
+  });
+}
+
+// ===== MAIN CONTROLLER =====
+
+/**
+ * @desc    Query volume per day with totals, active users, tokens and latency
+ * @route   GET /api/analytics/queries
+ * @access  Private (workspace admin)
+ */
+exports.getQueryVolume = analyticsHandler("volume", getQueryVolume);
+
+/**
+ * @desc    Queries that found nothing or only weak matches, most frequent first
+ * @route   GET /api/analytics/unanswered
+ * @access  Private (workspace admin)
+ */
+exports.getUnansweredQueries = analyticsHandler("unanswered", getUnansweredQueries);
+
+/**
+ * @desc    Documents cited most often in answers
+ * @route   GET /api/analytics/documents
+ * @access  Private (workspace admin)
+ */
+exports.getTopDocuments = analyticsHandler("documents", getTopCitedDocuments);
+
+/**
+ * @desc    Thumbs up/down counts and rates with the latest negative feedback
+ * @route   GET /api/analytics/feedback
+ * @access  Private (workspace admin)
+ */
+exports.getFeedback = analyticsHandler("feedback", getFeedbackSummary);
@@ -0,0 +1,114 @@
+const mongoose = require("mongoose");
+const asyncHandler = require("express-async-handler");
+const ApiKey = require("../models/apiKeys");
+const { validateApiKeyInput } = require("../services/apiKeyService");
+const { logger } = require("../utils/logger");
+
+/**
+ * @desc    Create an API key acting as the current user in the current workspace
+ * @route   POST /api/api-keys
+ * @access  Private (workspace member)
+ */
+exports.createApiKey = asyncHandler(async (req, res) => {
+  const { values, error } = validateApiKeyInput(req.body || {});
+  if (error) {
+    return res.status(400).json({ success: false, error: "Bad request", message: error });
+  }
+
+  const apiKey = new ApiKey({
+    ...values,
+    organization: req.organization._id,
+    createdBy: req.user._id,
+  });
+  const key = apiKey.generateKey();
+  await apiKey.save();
+
+  logger.info("API key created", { apiKeyPrefix: apiKey.prefix, organizationId: req.organization._id, userId: req.user._id, scopes: apiKey.scopes });
+
+  // The raw key is only ever returned here and on rotation
+  res.status(201).json({ success: true, apiKey: apiKey.toSummary(), key });
+});
+
+/**
+ * @desc    List your API keys in the workspace (admins see every member's keys)
+ * @route   GET /api/api-keys
+ * @access  Private (workspace member)
+ */
+exports.listApiKeys = asyncHandler(async (req, res) => {
+  const filter = { organization: req.organization._id };
+  if (!req.membership.hasRole("admin")) {
+    filter.createdBy = req.user._id;
+  }
+
+  const apiKeys = await ApiKey.find(filter).sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: apiKeys.length,
+    apiKeys: apiKeys.map((apiKey) => apiKey.toSummary()),
+  });
+});
+
+/**
+ * @desc    Replace an API key's secret; the old key stops working immediately
+ * @route   POST /api/api-keys/:id/rotate
+ * @access  Private (key creator or workspace admin)
+ */
+exports.rotateApiKey = asyncHandler(async (req, res) => {
+  const apiKey = await findWorkspaceApiKey(req);
+  if (!apiKey || !canManageApiKey(req, apiKey)) {
+    return res
+      .status(404)
+      .json({ success: false, error: "Not found", message: "API key not found." });
+  }
+  if (apiKey.revokedAt) {
+    return res
+      .status(409)
+      .json({ success: false, error: "Conflict", message: "Revoked API keys cannot be rotated." });
+  }
+
+  const previousPrefix = apiKey.prefix;
+  const key = apiKey.generateKey();
+  apiKey.rotatedAt = new Date();
+  await apiKey.save();
+
+  logger.info("API key rotated", { previousPrefix, apiKeyPrefix: apiKey.prefix, userId: req.user._id });
+
+  res.status(200).json({ success: true, apiKey: apiKey.toSummary(), key });
+});
+
+/**
+ * @desc    Revoke an API key
+ * @route   DELETE /api/api-keys/:id
+ * @access  Private (key creator or workspace admin)
+ */
+exports.revokeApiKey = asyncHandler(async (req, res) => {
+  const apiKey = await findWorkspaceApiKey(req);
+  if (!apiKey || !canManageApiKey(req, apiKey)) {
+    return res
+      .status(404)
+      .json({ success: false, error: "Not found", message: "API key not found." });
+  }
+
+  if (!apiKey.revokedAt) {
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+    logger.info("API key revoked", { apiKeyPrefix: apiKey.prefix, userId: req.user._id });
+  }
+
+  res.status(200).json({ success: true, apiKey: apiKey.toSummary() });
+});
+
+// ===== HELPER FUNCTIONS =====
+
+async function findWorkspaceApiKey(req) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return null;
+  }
+  return ApiKey.findOne({ _id: req.params.id, organization: req.organization._id });
+}
+
+// The creator manages their own keys; admins and owners manage all of them
+function canManageApiKey(req, apiKey) {
+  return apiKey.createdBy.equals(req.user._id) || req.membership.hasRole("admin");
+}
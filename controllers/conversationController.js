@@ -0,0 +1,280 @@
+const mongoose = require("mongoose");
+const asyncHandler = require("express-async-handler");
+const Conversation = require("../models/conversations");
+const { resolveGenerationOptions } = require("../services/llm");
+const { getWorkspaceScope } = require("../services/workspaceService");
+const { recordQuery } = require("../services/queryLogService");
+const { recordTokenUsage } = require("../services/usageService");
+const { resolveGroundingMethod, verifyGrounding } = require("../services/grounding");
+const { getPromptSettings, describePrompt } = require("../services/promptTemplates");
+const {
+  EMBEDDING_MODEL_NAME,
+  NO_RESULTS_ANSWER,
+  RERANK_MODEL_NAME,
+  resolveRetrievalOptions,
+  assessRelevance,
+  retrieveChunks,
+  generateAnswer,
+  formatSources,
+  extractCitations,
+  trimHistory,
+  rewriteFollowUpQuestion,
+} = require("../services/ragService");
+
+/**
+ * @desc    Start a new conversation in the current workspace
+ * @route   POST /api/conversations
+ * @access  Private
+ */
+exports.createConversation = asyncHandler(async (req, res) => {
+  const { title } = req.body || {};
+
+  if (title !== undefined && (typeof title !== "string" || title.trim() === "")) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Bad request", message: "Title must be a non-empty string." });
+  }
+
+  const conversation = await Conversation.create({
+    owner: req.user._id,
+    organization: req.organization._id,
+    title,
+  });
+
+  res.status(201).json({ success: true, conversation: conversation.toSummary() });
+});
+
+/**
+ * @desc    List the current user's conversations in the workspace, most recent first
+ * @route   GET /api/conversations
+ * @access  Private
+ */
+exports.listConversations = asyncHandler(async (req, res) => {
+  const conversations = await Conversation.find({ owner: req.user._id, organization: req.organization._id })
+    .select("title lastMessageAt createdAt updatedAt messages.role")
+    .sort({ updatedAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: conversations.length,
+    conversations: conversations.map((conversation) => conversation.toSummary()),
+  });
+});
+
+/**
+ * @desc    Get a conversation with its full message history
+ * @route   GET /api/conversations/:id
+ * @access  Private
+ */
+exports.getConversation = asyncHandler(async (req, res) => {
+  const conversation = await findOwnedConversation(req);
+  if (!conversation) {
+    return res
+      .status(404)
+      .json({ success: false, error: "Not found", message: "Conversation not found." });
+  }
+
+  res.status(200).json({
+    success: true,
+    conversation: { ...conversation.toSummary(), messages: conversation.messages },
+  });
+});
+
+/**
+ * @desc    Rename a conversation
+ * @route   PATCH /api/conversations/:id
+ * @access  Private
+ */
+exports.renameConversation = asyncHandler(async (req, res) => {
+  const { title } = req.body || {};
+  if (!title || typeof title !== "string" || title.trim() === "") {
+    return res
+      .status(400)
+      .json({ success: false, error: "Bad request", message: "Please provide a title." });
+  }
+
+  const conversation = await findOwnedConversation(req);
+  if (!conversation) {
+    return res
+      .status(404)
+      .json({ success: false, error: "Not found", message: "Conversation not found." });
+  }
+
+  conversation.title = title;
+  await conversation.save();
+
+  res.status(200).json({ success: true, conversation: conversation.toSummary() });
+});
+
+/**
+ * @desc    Delete a conversation and its history
+ * @route   DELETE /api/conversations/:id
+ * @access  Private
+ */
+exports.deleteConversation = asyncHandler(async (req, res) => {
+  const conversation = await findOwnedConversation(req);
+  if (!conversation) {
+    return res
+      .status(404)
+      .json({ success: false, error: "Not found", message: "Conversation not found." });
+  }
+
+  await conversation.deleteOne();
+
+  res.status(200).json({ success: true, message: "Conversation deleted." });
+});
+
+/**
+ * @desc    Ask a question inside a conversation
+ * @route   POST /api/conversations/:id/messages
+ * @access  Private
+ */
+exports.sendMessage = asyncHandler(async (req, res) => {
+  const {
+    content,
+    maxResults = 5,
+    mode,
+    rerank,
+    candidatePool,
+    allVersions,
+    minSimilarity,
+    verifyGrounding: verifyGroundingOption,
+    model,
+    maxTokens,
+    temperature,
+  } = req.body || {};
+
+  if (!content || typeof content !== "string" || content.trim() === "") {
+    return res
+      .status(400)
+      .json({ success: false, error: "Bad request", message: "Message content is required." });
+  }
+
+  const { options: retrievalOptions, error: retrievalError } =
+    resolveRetrievalOptions({ maxResults, mode, rerank, candidatePool, allVersions, minSimilarity });
+  if (retrievalError) {
+    return res.status(400).json({ success: false, error: "Bad request", message: retrievalError });
+  }
+
+  const { options: generationOptions, error: optionsError } =
+    resolveGenerationOptions({ model, maxTokens, temperature });
+  if (optionsError) {
+    return res.status(400).json({ success: false, error: "Bad request", message: optionsError });
+  }
+
+  const { method: groundingMethod, error: groundingError } = resolveGroundingMethod(verifyGroundingOption);
+  if (groundingError) {
+    return res.status(400).json({ success: false, error: "Bad request", message: groundingError });
+  }
+
+  const conversation = await findOwnedConversation(req);
+  if (!conversation) {
+    return res
+      .status(404)
+      .json({ success: false, error: "Not found", message: "Conversation not found." });
+  }
+
+  const history = trimHistory(conversation.messages);
+  const startedAt = Date.now();
+
+  // Step 1: Make the follow-up self-contained before embedding it
+  const rewrite = await rewriteFollowUpQuestion(content, history, generationOptions);
+  const standaloneQuestion = rewrite.question;
+
+  // Step 2: Retrieve context for the standalone question
+  const similarChunks = await retrieveChunks(standaloneQuestion, getWorkspaceScope(req.organization), retrievalOptions);
+  const retrievalMs = Date.now() - startedAt;
+  const relevance = assessRelevance(similarChunks, retrievalOptions.minSimilarity);
+
+  // Step 3: Answer with the trimmed history alongside the retrieved context,
+  // unless the context is too weak to answer from
+  let answer = NO_RESULTS_ANSWER;
+  let completion = null;
+  let grounding = null;
+  let prompt = null;
+  if (!relevance.abstain) {
+    const promptSettings = await getPromptSettings(req.organization);
+    prompt = describePrompt(promptSettings, content);
+    completion = await generateAnswer(content, similarChunks, generationOptions, history, promptSettings);
+    answer = completion.content;
+
+    // Step 4: Check every answer sentence against the chunks it cites
+    if (groundingMethod) {
+      grounding = await verifyGrounding(answer, similarChunks, { method: groundingMethod });
+    }
+  }
+
+  const sources = relevance.abstain ? [] : formatSources(similarChunks);
+  const { citations, invalidMarkers } = extractCitations(answer, sources);
+  conversation.messages.push(
+    { role: "user", content, standaloneQuestion },
+    { role: "assistant", content: answer, sources, model: completion?.model, grounding: grounding || undefined }
+  );
+  conversation.lastMessageAt = new Date();
+  if (conversation.messages.length === 2 && conversation.title === "New conversation") {
+    conversation.title = content.slice(0, 80);
+  }
+  await conversation.save();
+
+  // The rewrite counts towards the quota like the answer and the grounding check
+  await recordTokenUsage(req.organization._id, rewrite.usage, req.user._id);
+  await recordTokenUsage(req.organization._id, completion?.usage, req.user._id);
+  await recordTokenUsage(req.organization._id, grounding?.usage, req.user._id);
+  const queryId = await recordQuery({
+    user: req.user._id,
+    organization: req.organization._id,
+    source: "conversation",
+    conversation: conversation._id,
+    query: content,
+    retrievalQuery: standaloneQuestion,
+    retrievalMode: retrievalOptions.mode,
+    chunks: similarChunks,
+    abstained: relevance.abstain,
+    answer,
+    citations,
+    grounding,
+    prompt,
+    completion,
+    latencyMs: { retrieval: retrievalMs, generation: Date.now() - startedAt - retrievalMs, total: Date.now() - startedAt },
+  });
+
+  const [userMessage, assistantMessage] = conversation.messages.slice(-2);
+
+  res.status(200).json({
+    success: true,
+    conversationId: conversation._id,
+    userMessage,
+    assistantMessage,
+    citations,
+    grounding,
+    metadata: {
+      queryId,
+      standaloneQuestion,
+      historyMessagesUsed: history.length,
+      retrievalMode: retrievalOptions.mode,
+      rerank: retrievalOptions.rerank
+        ? { model: RERANK_MODEL_NAME, candidatePool: retrievalOptions.candidatePool }
+        : null,
+      chunksFound: similarChunks.length,
+      maxSimilarity: Math.max(0, ...similarChunks.map((chunk) => chunk.similarity || 0)),
+      minSimilarity: retrievalOptions.minSimilarity,
+      abstained: relevance.abstain,
+      abstainReason: relevance.reason,
+      model: completion?.model,
+      provider: completion?.provider,
+      prompt,
+      usage: completion?.usage,
+      rewriteUsage: rewrite.usage,
+      invalidCitations: invalidMarkers,
+      embeddingModel: EMBEDDING_MODEL_NAME,
+    },
+  });
+});
+
+// Conversations are private to their owner within a workspace; anything else is a 404
+async function findOwnedConversation(req) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return null;
+  }
+  return Conversation.findOne({ _id: req.params.id, owner: req.user._id, organization: req.organization._id });
+}
@@ -0,0 +1,203 @@
+const fs = require("fs");
+const mongoose = require("mongoose");
+const asyncHandler = require("express-async-handler");
+const Document = require("../models/documents");
+const { deleteDocumentChunks, restorePreviousVersion } = require("../services/ingestionService");
+const { enqueueIngestionJob } = require("../services/ingestionQueue");
+
+// Documents in these states belong to an ingestion job and must not be touched
+const BUSY_STATUSES = ["queued", "processing"];
+
+/**
+ * @desc    List the documents in the current workspace's knowledge base
+ *          (latest versions only unless ?allVersions=true)
+ * @route   GET /api/documents
+ * @access  Private
+ */
+exports.listDocuments = asyncHandler(async (req, res) => {
+  const filter = { organization: req.organization._id };
+  if (req.query.mine === "true") {
+    filter.owner = req.user._id;
+  }
+  if (req.query.allVersions !== "true") {
+    filter.supersededBy = { $exists: false };
+  }
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+
+  const documents = await Document.find(filter).sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: documents.length,
+    documents: documents.map((document) => document.toSummary()),
+  });
+});
+
+/**
+ * @desc    Get a single document with its chunk IDs
+ * @route   GET /api/documents/:id
+ * @access  Private
+ */
+exports.getDocument = asyncHandler(async (req, res) => {
+  const document = await findWorkspaceDocument(req);
+  if (!document) {
+    return res
+      .status(404)
+      .json({ success: false, error: "Not found", message: "Document not found." });
+  }
+
+  res.status(200).json({
+    success: true,
+    document: {
+      ...document.toSummary(),
+      structure: document.structure,
+      qualityReport: document.qualityReport,
+      chunkIds: document.chunkIds,
+    },
+  });
+});
+
+/**
+ * @desc    List every version of a document's filename, newest first
+ * @route   GET /api/documents/:id/versions
+ * @access  Private
+ */
+exports.getDocumentVersions = asyncHandler(async (req, res) => {
+  const document = await findWorkspaceDocument(req);
+  if (!document) {
+    return res
+      .status(404)
+      .json({ success: false, error: "Not found", message: "Document not found." });
+  }
+
+  const versions = await Document.find({
+    organization: req.organization._id,
+    filename: document.filename,
+  }).sort({ version: -1 });
+
+  res.status(200).json({
+    success: true,
+    filename: document.filename,
+    count: versions.length,
+    versions: versions.map((version) => version.toSummary()),
+  });
+});
+
+/**
+ * @desc    Delete a document, its vectors and its stored file
+ * @route   DELETE /api/documents/:id
+ * @access  Private (uploader or workspace admin)
+ */
+exports.deleteDocument = asyncHandler(async (req, res) => {
+  const document = await findWorkspaceDocument(req, "+storagePath");
+  if (!document) {
+    return res
+      .status(404)
+      .json({ success: false, error: "Not found", message: "Document not found." });
+  }
+
+  if (!canManageDocument(req, document)) {
+    return res.status(403).json({
+      success: false,
+      error: "Forbidden",
+      message: "Only the uploader or a workspace admin can delete this document.",
+    });
+  }
+
+  if (BUSY_STATUSES.includes(document.status)) {
+    return res.status(409).json({
+      success: false,
+      error: "Conflict",
+      message: "Document is being ingested. Cancel its ingestion job first.",
+    });
+  }
+
+  // Vectors go first: if this fails the record stays and the delete can be retried
+  const vectorsDeleted = await deleteDocumentChunks(document);
+
+  // Deleting the latest version makes the one before it current again
+  const restoredVersion = await restorePreviousVersion(document);
+
+  if (document.storagePath && fs.existsSync(document.storagePath)) {
+    fs.unlinkSync(document.storagePath);
+  }
+  await document.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: `Document ${document.filename} deleted.`,
+    vectorsDeleted,
+    restoredVersion: restoredVersion ? restoredVersion.toSummary() : null,
+  });
+});
+
+/**
+ * @desc    Queue a document for parsing, chunking and embedding again
+ * @route   POST /api/documents/:id/reindex
+ * @access  Private (uploader or workspace admin)
+ */
+exports.reindexDocument = asyncHandler(async (req, res) => {
+  const document = await findWorkspaceDocument(req, "+storagePath");
+  if (!document) {
+    return res
+      .status(404)
+      .json({ success: false, error: "Not found", message: "Document not found." });
+  }
+
+  if (!canManageDocument(req, document)) {
+    return res.status(403).json({
+      success: false,
+      error: "Forbidden",
+      message: "Only the uploader or a workspace admin can re-index this document.",
+    });
+  }
+
+  if (BUSY_STATUSES.includes(document.status)) {
+    return res.status(409).json({
+      success: false,
+      error: "Conflict",
+      message: "Document is already being processed.",
+    });
+  }
+
+  if (!document.storagePath || !fs.existsSync(document.storagePath)) {
+    return res.status(410).json({
+      success: false,
+      error: "Gone",
+      message: "The original file is no longer available for re-indexing.",
+    });
+  }
+
+  // The worker deletes the old vectors before indexing the file again
+  document.status = "queued";
+  await document.save();
+  const job = await enqueueIngestionJob({
+    owner: req.user._id,
+    organization: req.organization._id,
+    type: "reindex",
+    documents: [document],
+  });
+
+  res.status(202).json({
+    success: true,
+    document: document.toSummary(),
+    jobId: job._id,
+    statusUrl: `/api/upload/jobs/${job._id}`,
+  });
+});
+
+// Documents are visible to every member of their workspace; anything else is a 404
+async function findWorkspaceDocument(req, select) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return null;
+  }
+  const query = Document.findOne({ _id: req.params.id, organization: req.organization._id });
+  return select ? query.select(select) : query;
+}
+
+// The uploader manages their own documents; admins and owners manage all of them
+function canManageDocument(req, document) {
+  return document.owner.equals(req.user._id) || req.membership.hasRole("admin");
+}
@@ -0,0 +1,121 @@
+const mongoose = require("mongoose");
+const asyncHandler = require("express-async-handler");
+const EvaluationRun = require("../models/evaluationRuns");
+const {
+  validateDataset,
+  resolveEvaluationOptions,
+  createEvaluationRun,
+  executeEvaluationRun,
+  compareRuns,
+} = require("../services/evaluation");
+const { getWorkspaceScope } = require("../services/workspaceService");
+
+/**
+ * @desc    Run a golden dataset through retrieval and answering in the background
+ * @route   POST /api/evaluations
+ * @access  Private (workspace admin)
+ */
+exports.startEvaluation = asyncHandler(async (req, res) => {
+  const { dataset: rawDataset, label, ...runOptions } = req.body || {};
+
+  const { dataset, error: datasetError } = validateDataset(rawDataset);
+  if (datasetError) {
+    return res.status(400).json({ success: false, error: "Invalid dataset", message: datasetError });
+  }
+
+  const { options, error: optionsError } = resolveEvaluationOptions(runOptions);
+  if (optionsError) {
+    return res.status(400).json({ success: false, error: "Invalid evaluation options", message: optionsError });
+  }
+
+  // One run per workspace at a time; runs share the embedding model and LLM quota
+  const running = await EvaluationRun.exists({ organization: req.organization._id, status: "running" });
+  if (running) {
+    return res
+      .status(409)
+      .json({ success: false, error: "Conflict", message: "An evaluation is already running in this workspace." });
+  }
+
+  const run = await createEvaluationRun({
+    organization: req.organization._id,
+    startedBy: req.user._id,
+    label: typeof label === "string" ? label : undefined,
+    dataset,
+    options,
+  });
+
+  executeEvaluationRun(run, dataset, getWorkspaceScope(req.organization), options);
+
+  res.status(202).json({
+    success: true,
+    message: "Evaluation started. Poll the run for results.",
+    run: run.toSummary(),
+  });
+});
+
+/**
+ * @desc    List the workspace's evaluation runs, newest first (?dataset=name to filter)
+ * @route   GET /api/evaluations
+ * @access  Private (workspace admin)
+ */
+exports.listEvaluations = asyncHandler(async (req, res) => {
+  const filter = { organization: req.organization._id };
+  if (req.query.dataset) {
+    filter["dataset.name"] = req.query.dataset;
+  }
+
+  const runs = await EvaluationRun.find(filter).select("-items").sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: runs.length,
+    runs: runs.map((run) => run.toSummary()),
+  });
+});
+
+/**
+ * @desc    Compare two runs: metric deltas (head - base) and changed items
+ * @route   GET /api/evaluations/compare?base=<runId>&head=<runId>
+ * @access  Private (workspace admin)
+ */
+exports.compareEvaluations = asyncHandler(async (req, res) => {
+  const { base: baseId, head: headId } = req.query;
+  if (!mongoose.isValidObjectId(baseId) || !mongoose.isValidObjectId(headId)) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Bad request", message: "Please provide the base and head run IDs." });
+  }
+
+  const [base, head] = await Promise.all([
+    EvaluationRun.findOne({ _id: baseId, organization: req.organization._id }),
+    EvaluationRun.findOne({ _id: headId, organization: req.organization._id }),
+  ]);
+  if (!base || !head) {
+    return res
+      .status(404)
+      .json({ success: false, error: "Not found", message: "Evaluation run not found." });
+  }
+
+  res.status(200).json({ success: true, comparison: compareRuns(base, head) });
+});
+
+/**
+ * @desc    Get a run with its per-item results
+ * @route   GET /api/evaluations/:id
+ * @access  Private (workspace admin)
+ */
+exports.getEvaluation = asyncHandler(async (req, res) => {
+  const run = mongoose.isValidObjectId(req.params.id)
+    ? await EvaluationRun.findOne({ _id: req.params.id, organization: req.organization._id })
+    : null;
+  if (!run) {
+    return res
+      .status(404)
+      .json({ success: false, error: "Not found", message: "Evaluation run not found." });
+  }
+
+  res.status(200).json({
+    success: true,
+    run: { ...run.toSummary(), items: run.items },
+  });
+});
@@ -0,0 +1,174 @@
+const mongoose = require("mongoose");
+const asyncHandler = require("express-async-handler");
+const Document = require("../models/documents");
+const Extraction = require("../models/extractions");
+const {
+  MAX_EXTRACTION_DOCUMENTS,
+  EXPORT_FORMATS,
+  validateExtractionSchema,
+  resolveExtractionOptions,
+  createExtraction,
+  executeExtraction,
+  exportExtraction,
+} = require("../services/extractionService");
+const { getWorkspaceScope } = require("../services/workspaceService");
+const { logger } = require("../utils/logger");
+
+/**
+ * @desc    Extract the fields of a JSON schema from one document (`documentId`)
+ *          or several (`documentIds`) in the background
+ * @route   POST /api/extractions
+ * @access  Private (workspace member, or API key with the "extract" scope)
+ */
+exports.startExtraction = asyncHandler(async (req, res) => {
+  const { documentId, documentIds, schema: rawSchema, name, ...runOptions } = req.body || {};
+
+  if ((documentId === undefined) === (documentIds === undefined)) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Bad request", message: "Provide either a documentId or documentIds." });
+  }
+  const ids = documentIds === undefined ? [documentId] : documentIds;
+  if (
+    !Array.isArray(ids) ||
+    ids.length === 0 ||
+    ids.length > MAX_EXTRACTION_DOCUMENTS ||
+    !ids.every((id) => typeof id === "string" && mongoose.isValidObjectId(id))
+  ) {
+    return res.status(400).json({
+      success: false,
+      error: "Bad request",
+      message: `documentIds must hold between 1 and ${MAX_EXTRACTION_DOCUMENTS} valid document IDs.`,
+    });
+  }
+  if (name !== undefined && (typeof name !== "string" || name.length > 200)) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Bad request", message: "name must be a string of at most 200 characters." });
+  }
+
+  const { schema, error: schemaError } = validateExtractionSchema(rawSchema);
+  if (schemaError) {
+    return res.status(400).json({ success: false, error: "Invalid schema", message: schemaError });
+  }
+  const { options, error: optionsError } = resolveExtractionOptions(runOptions);
+  if (optionsError) {
+    return res.status(400).json({ success: false, error: "Invalid extraction options", message: optionsError });
+  }
+
+  // Documents must belong to the workspace and be searchable
+  const uniqueIds = [...new Set(ids)];
+  const found = await Document.find({ _id: { $in: uniqueIds }, organization: req.organization._id });
+  const documents = uniqueIds.map((id) => found.find((document) => document._id.toString() === id));
+  const missing = uniqueIds.filter((id, index) => !documents[index]);
+  if (missing.length > 0) {
+    return res
+      .status(404)
+      .json({ success: false, error: "Not found", message: `Document not found: ${missing.join(", ")}` });
+  }
+  const notIndexed = documents.filter((document) => document.status !== "indexed");
+  if (notIndexed.length > 0) {
+    return res.status(409).json({
+      success: false,
+      error: "Conflict",
+      message: `Documents must be indexed before extraction: ${notIndexed.map((document) => `${document.filename} (${document.status})`).join(", ")}`,
+    });
+  }
+
+  const extraction = await createExtraction({
+    organization: req.organization._id,
+    createdBy: req.user._id,
+    name,
+    schema,
+    documents,
+    options,
+  });
+
+  logger.info("Extraction started", { organizationId: req.organization._id, extractionId: extraction._id, documents: documents.length });
+
+  executeExtraction(extraction, documents, getWorkspaceScope(req.organization), options);
+
+  res.status(202).json({
+    success: true,
+    message: "Extraction started. Poll it for results.",
+    extraction: extraction.toSummary(),
+  });
+});
+
+/**
+ * @desc    List the workspace's extractions, newest first
+ * @route   GET /api/extractions
+ * @access  Private (or API key with the "extract" scope)
+ */
+exports.listExtractions = asyncHandler(async (req, res) => {
+  const extractions = await Extraction.find({ organization: req.organization._id })
+    .select("-schema")
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: extractions.length,
+    extractions: extractions.map((extraction) => extraction.toSummary()),
+  });
+});
+
+/**
+ * @desc    Get an extraction with its schema and per-document results
+ * @route   GET /api/extractions/:id
+ * @access  Private (or API key with the "extract" scope)
+ */
+exports.getExtraction = asyncHandler(async (req, res) => {
+  const extraction = await findWorkspaceExtraction(req);
+  if (!extraction) {
+    return res
+      .status(404)
+      .json({ success: false, error: "Not found", message: "Extraction not found." });
+  }
+
+  res.status(200).json({
+    success: true,
+    extraction: { ...extraction.toSummary(), schema: extraction.schema, results: extraction.results },
+  });
+});
+
+/**
+ * @desc    Download an extraction's results as JSON or CSV
+ * @route   GET /api/extractions/:id/export?format=json|csv
+ * @access  Private (or API key with the "extract" scope)
+ */
+exports.exportExtraction = asyncHandler(async (req, res) => {
+  const format = req.query.format || "json";
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Bad request", message: `format must be one of: ${EXPORT_FORMATS.join(", ")}` });
+  }
+
+  const extraction = await findWorkspaceExtraction(req);
+  if (!extraction) {
+    return res
+      .status(404)
+      .json({ success: false, error: "Not found", message: "Extraction not found." });
+  }
+  if (extraction.status === "running") {
+    return res
+      .status(409)
+      .json({ success: false, error: "Conflict", message: "The extraction is still running." });
+  }
+
+  const { contentType, filename, body } = exportExtraction(extraction, format);
+  res.set({
+    "Content-Type": contentType,
+    "Content-Disposition": `attachment; filename="${filename}"`,
+  });
+  res.status(200).send(body);
+});
+
+// ===== HELPER FUNCTIONS =====
+
+async function findWorkspaceExtraction(req) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return null;
+  }
+  return Extraction.findOne({ _id: req.params.id, organization: req.organization._id });
+}
@@ -0,0 +1,466 @@
+const mongoose = require("mongoose");
+const asyncHandler = require("express-async-handler");
+const Organization = require("../models/organizations");
+const Membership = require("../models/memberships");
+const Invitation = require("../models/invitations");
+const { createOrganization } = require("../services/workspaceService");
+const { logger } = require("../utils/logger");
+
+// Roles an admin may hand out; only owners can create or change admins and owners
+const ADMIN_ASSIGNABLE_ROLES = ["member", "viewer"];
+
+/**
+ * @desc    Create a workspace with the current user as its owner
+ * @route   POST /api/organizations
+ * @access  Private
+ */
+exports.createOrganization = asyncHandler(async (req, res) => {
+  const { name } = req.body || {};
+  if (!name || typeof name !== "string" || name.trim() === "") {
+    return res
+      .status(400)
+      .json({ success: false, error: "Bad request", message: "Please provide a workspace name." });
+  }
+
+  const organization = await createOrganization({ name, owner: req.user });
+
+  res.status(201).json({
+    success: true,
+    organization: { ...organization.toSummary(), role: "owner" },
+  });
+});
+
+/**
+ * @desc    List the workspaces the current user belongs to
+ * @route   GET /api/organizations
+ * @access  Private
+ */
+exports.listOrganizations = asyncHandler(async (req, res) => {
+  const memberships = await Membership.find({ user: req.user._id })
+    .populate("organization")
+    .sort({ createdAt: 1 });
+
+  const organizations = memberships
+    .filter((membership) => membership.organization)
+    .map((membership) => ({
+      ...membership.organization.toSummary(),
+      role: membership.role,
+      isDefault: membership.organization._id.equals(req.user.defaultOrganization),
+    }));
+
+  res.status(200).json({ success: true, count: organizations.length, organizations });
+});
+
+/**
+ * @desc    Get a workspace with its members
+ * @route   GET /api/organizations/:id
+ * @access  Private (workspace member)
+ */
+exports.getOrganization = asyncHandler(async (req, res) => {
+  const { organization, membership } = await findMembership(req);
+  if (!membership) {
+    return res
+      .status(404)
+      .json({ success: false, error: "Not found", message: "Workspace not found." });
+  }
+
+  const members = await Membership.find({ organization: organization._id })
+    .populate("user", "name username email")
+    .sort({ createdAt: 1 });
+
+  res.status(200).json({
+    success: true,
+    organization: {
+      ...organization.toSummary(),
+      role: membership.role,
+      members: members.map(toMemberSummary),
+    },
+  });
+});
+
+/**
+ * @desc    Rename a workspace and/or change its answer language policy
+ *          (answerLanguage: "auto" for the question's language, "ka" or "en")
+ * @route   PATCH /api/organizations/:id
+ * @access  Private (workspace admin)
+ */
+exports.updateOrganization = asyncHandler(async (req, res) => {
+  const { name, answerLanguage } = req.body || {};
+  if (name === undefined && answerLanguage === undefined) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Bad request", message: "Please provide a workspace name or answerLanguage." });
+  }
+  if (name !== undefined && (typeof name !== "string" || name.trim() === "")) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Bad request", message: "Please provide a workspace name." });
+  }
+  if (answerLanguage !== undefined && !Organization.ANSWER_LANGUAGES.includes(answerLanguage)) {
+    return res.status(400).json({
+      success: false,
+      error: "Bad request",
+      message: `answerLanguage must be one of: ${Organization.ANSWER_LANGUAGES.join(", ")}`,
+    });
+  }
+
+  const { organization, membership } = await findMembership(req);
+  if (!membership) {
+    return res
+      .status(404)
+      .json({ success: false, error: "Not found", message: "Workspace not found." });
+  }
+  if (!membership.hasRole("admin")) {
+    return res
+      .status(403)
+      .json({ success: false, error: "Forbidden", message: "Only workspace admins can change the workspace." });
+  }
+
+  if (name !== undefined) {
+    organization.name = name;
+  }
+  if (answerLanguage !== undefined) {
+    organization.answerLanguage = answerLanguage;
+  }
+  await organization.save();
+
+  res.status(200).json({ success: true, organization: organization.toSummary() });
+});
+
+/**
+ * @desc    Make a workspace the default for requests without X-Organization-Id
+ * @route   POST /api/organizations/:id/activate
+ * @access  Private (workspace member)
+ */
+exports.activateOrganization = asyncHandler(async (req, res) => {
+  const { organization, membership } = await findMembership(req);
+  if (!membership) {
+    return res
+      .status(404)
+      .json({ success: false, error: "Not found", message: "Workspace not found." });
+  }
+
+  req.user.defaultOrganization = organization._id;
+  await req.user.save();
+
+  res.status(200).json({
+    success: true,
+    organization: { ...organization.toSummary(), role: membership.role, isDefault: true },
+  });
+});
+
+/**
+ * @desc    Invite someone to a workspace by email
+ * @route   POST /api/organizations/:id/invitations
+ * @access  Private (workspace admin)
+ */
+exports.createInvitation = asyncHandler(async (req, res) => {
+  const { email, role = "member" } = req.body || {};
+  if (!email || typeof email !== "string" || !email.includes("@")) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Bad request", message: "Please provide a valid email address." });
+  }
+
+  const { organization, membership } = await findMembership(req);
+  if (!membership) {
+    return res
+      .status(404)
+      .json({ success: false, error: "Not found", message: "Workspace not found." });
+  }
+
+  if (role === "owner") {
+    return res.status(400).json({
+      success: false,
+      error: "Bad request",
+      message: "Invitations can grant the admin, member or viewer role. Promote owners after they join.",
+    });
+  }
+
+  const roleError = checkAssignableRole(membership, role);
+  if (roleError) {
+    return res.status(roleError.status).json({ success: false, error: roleError.error, message: roleError.message });
+  }
+
+  const invitation = new Invitation({
+    organization: organization._id,
+    email,
+    role,
+    invitedBy: req.user._id,
+  });
+  const token = invitation.generateToken();
+  await invitation.save();
+
+  logger.info("Invitation created", { email: invitation.email, organizationId: organization._id, role });
+
+  // The raw token is only ever returned here; share it with the invitee
+  res.status(201).json({
+    success: true,
+    invitation: invitation.toSummary(),
+    token,
+    joinUrl: `/api/organizations/join?token=${token}`,
+  });
+});
+
+/**
+ * @desc    List a workspace's invitations
+ * @route   GET /api/organizations/:id/invitations
+ * @access  Private (workspace admin)
+ */
+exports.listInvitations = asyncHandler(async (req, res) => {
+  const { organization, membership } = await findMembership(req);
+  if (!membership) {
+    return res
+      .status(404)
+      .json({ success: false, error: "Not found", message: "Workspace not found." });
+  }
+  if (!membership.hasRole("admin")) {
+    return res
+      .status(403)
+      .json({ success: false, error: "Forbidden", message: "Only workspace admins can see invitations." });
+  }
+
+  const invitations = await Invitation.find({ organization: organization._id }).sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: invitations.length,
+    invitations: invitations.map((invitation) => invitation.toSummary()),
+  });
+});
+
+/**
+ * @desc    Revoke a pending invitation
+ * @route   DELETE /api/organizations/:id/invitations/:invitationId
+ * @access  Private (workspace admin)
+ */
+exports.revokeInvitation = asyncHandler(async (req, res) => {
+  const { organization, membership } = await findMembership(req);
+  if (!membership) {
+    return res
+      .status(404)
+      .json({ success: false, error: "Not found", message: "Workspace not found." });
+  }
+  if (!membership.hasRole("admin")) {
+    return res
+      .status(403)
+      .json({ success: false, error: "Forbidden", message: "Only workspace admins can revoke invitations." });
+  }
+
+  const invitation = mongoose.isValidObjectId(req.params.invitationId)
+    ? await Invitation.findOne({ _id: req.params.invitationId, organization: organization._id })
+    : null;
+  if (!invitation) {
+    return res
+      .status(404)
+      .json({ success: false, error: "Not found", message: "Invitation not found." });
+  }
+  if (!invitation.isPending()) {
+    return res
+      .status(409)
+      .json({ success: false, error: "Conflict", message: "Only pending invitations can be revoked." });
+  }
+
+  invitation.revokedAt = new Date();
+  await invitation.save();
+
+  res.status(200).json({ success: true, invitation: invitation.toSummary() });
+});
+
+/**
+ * @desc    Accept an invitation and join its workspace
+ * @route   POST /api/organizations/join
+ * @access  Private
+ */
+exports.joinOrganization = asyncHandler(async (req, res) => {
+  const token = req.body?.token || req.query.token;
+  if (!token || typeof token !== "string") {
+    return res
+      .status(400)
+      .json({ success: false, error: "Bad request", message: "Please provide an invitation token." });
+  }
+
+  const invitation = await Invitation.findOne({ tokenHash: Invitation.hashToken(token) });
+  if (!invitation || !invitation.isPending()) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Bad request", message: "This invitation is invalid or has expired." });
+  }
+
+  // Invitations are personal: the signed-in account must own the invited address
+  if (invitation.email !== req.user.email) {
+    return res
+      .status(403)
+      .json({ success: false, error: "Forbidden", message: "This invitation was sent to a different email address." });
+  }
+
+  const organization = await Organization.findById(invitation.organization);
+  if (!organization) {
+    return res
+      .status(404)
+      .json({ success: false, error: "Not found", message: "Workspace not found." });
+  }
+
+  let membership = await Membership.findOne({ organization: organization._id, user: req.user._id });
+  if (!membership) {
+    membership = await Membership.create({
+      organization: organization._id,
+      user: req.user._id,
+      role: invitation.role,
+      invitedBy: invitation.invitedBy,
+    });
+  }
+
+  invitation.acceptedAt = new Date();
+  invitation.acceptedBy = req.user._id;
+  await invitation.save();
+
+  res.status(200).json({
+    success: true,
+    organization: { ...organization.toSummary(), role: membership.role },
+  });
+});
+
+/**
+ * @desc    Change a member's role
+ * @route   PATCH /api/organizations/:id/members/:userId
+ * @access  Private (workspace admin)
+ */
+exports.updateMember = asyncHandler(async (req, res) => {
+  const { role } = req.body || {};
+  if (!Membership.ROLES.includes(role)) {
+    return res.status(400).json({
+      success: false,
+      error: "Bad request",
+      message: `role must be one of: ${Membership.ROLES.join(", ")}`,
+    });
+  }
+
+  const { organization, membership } = await findMembership(req);
+  if (!membership) {
+    return res
+      .status(404)
+      .json({ success: false, error: "Not found", message: "Workspace not found." });
+  }
+
+  const target = await findTargetMembership(req, organization);
+  if (!target) {
+    return res
+      .status(404)
+      .json({ success: false, error: "Not found", message: "Member not found." });
+  }
+
+  // Admins can only manage members and viewers, and only into those roles
+  const roleError = checkAssignableRole(membership, role) || checkAssignableRole(membership, target.role);
+  if (roleError) {
+    return res.status(roleError.status).json({ success: false, error: roleError.error, message: roleError.message });
+  }
+
+  if (target.role === "owner" && role !== "owner" && (await isLastOwner(target))) {
+    return res
+      .status(409)
+      .json({ success: false, error: "Conflict", message: "A workspace needs at least one owner." });
+  }
+
+  target.role = role;
+  await target.save();
+  await target.populate("user", "name username email");
+
+  res.status(200).json({ success: true, member: toMemberSummary(target) });
+});
+
+/**
+ * @desc    Remove a member from a workspace (or leave it when it is yourself)
+ * @route   DELETE /api/organizations/:id/members/:userId
+ * @access  Private (workspace admin, or the member themselves)
+ */
+exports.removeMember = asyncHandler(async (req, res) => {
+  const { organization, membership } = await findMembership(req);
+  if (!membership) {
+    return res
+      .status(404)
+      .json({ success: false, error: "Not found", message: "Workspace not found." });
+  }
+
+  const target = await findTargetMembership(req, organization);
+  if (!target) {
+    return res
+      .status(404)
+      .json({ success: false, error: "Not found", message: "Member not found." });
+  }
+
+  const leaving = target.user.equals(req.user._id);
+  if (!leaving) {
+    const roleError = checkAssignableRole(membership, target.role);
+    if (roleError) {
+      return res.status(roleError.status).json({ success: false, error: roleError.error, message: roleError.message });
+    }
+  }
+
+  if (target.role === "owner" && (await isLastOwner(target))) {
+    return res
+      .status(409)
+      .json({ success: false, error: "Conflict", message: "The last owner cannot leave the workspace." });
+  }
+
+  await target.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: leaving ? "You left the workspace." : "Member removed.",
+  });
+});
+
+// ===== HELPER FUNCTIONS =====
+
+// Loads the workspace in :id with the caller's membership; both are null for non-members
+async function findMembership(req) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return { organization: null, membership: null };
+  }
+
+  const membership = await Membership.findOne({ organization: req.params.id, user: req.user._id });
+  const organization = membership ? await Organization.findById(req.params.id) : null;
+  return organization ? { organization, membership } : { organization: null, membership: null };
+}
+
+async function findTargetMembership(req, organization) {
+  if (!mongoose.isValidObjectId(req.params.userId)) {
+    return null;
+  }
+  return Membership.findOne({ organization: organization._id, user: req.params.userId });
+}
+
+// Returns { status, error } when `membership` may not grant or manage `role`
+function checkAssignableRole(membership, role) {
+  if (!Membership.ROLES.includes(role)) {
+    return { status: 400, error: "Bad request", message: `role must be one of: ${Membership.ROLES.join(", ")}` };
+  }
+  if (membership.role === "owner") {
+    return null;
+  }
+  if (membership.role === "admin" && ADMIN_ASSIGNABLE_ROLES.includes(role)) {
+    return null;
+  }
+  return {
+    status: 403,
+    error: "Forbidden",
+    message: membership.hasRole("admin")
+      ? "Only workspace owners can manage admins and owners."
+      : "Only workspace admins can manage members.",
+  };
+}
+
+async function isLastOwner(membership) {
+  const owners = await Membership.countDocuments({ organization: membership.organization, role: "owner" });
+  return owners <= 1;
+}
+
+function toMemberSummary(membership) {
+  return {
+    user: membership.user,
+    role: membership.role,
+    invitedBy: membership.invitedBy,
+    joinedAt: membership.createdAt,
+  };
+}
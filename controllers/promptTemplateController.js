@@ -0,0 +1,284 @@
+const mongoose = require("mongoose");
+const asyncHandler = require("express-async-handler");
+const Organization = require("../models/organizations");
+const PromptTemplate = require("../models/promptTemplates");
+const { resolveGenerationOptions } = require("../services/llm");
+const {
+  NO_RESULTS_ANSWER,
+  resolveRetrievalOptions,
+  assessRelevance,
+  retrieveChunks,
+  buildAnswerMessages,
+  generateAnswer,
+  formatSources,
+  extractCitations,
+  trimHistory,
+} = require("../services/ragService");
+const {
+  TEMPLATE_VARIABLES,
+  DEFAULT_TEMPLATE,
+  validateTemplate,
+  getPromptSettings,
+  describePrompt,
+  createTemplateVersion,
+} = require("../services/promptTemplates");
+const { getWorkspaceScope } = require("../services/workspaceService");
+const { recordTokenUsage } = require("../services/usageService");
+const { logger } = require("../utils/logger");
+
+const HISTORY_ROLES = ["user", "assistant"];
+
+/**
+ * @desc    List the workspace's prompt template versions, newest first, with
+ *          the default template and the variables templates can use
+ * @route   GET /api/prompt-templates
+ * @access  Private (workspace admin)
+ */
+exports.listPromptTemplates = asyncHandler(async (req, res) => {
+  const templates = await PromptTemplate.find({ organization: req.organization._id }).sort({ version: -1 });
+
+  res.status(200).json({
+    success: true,
+    activeTemplateId: req.organization.promptTemplate,
+    answerLanguage: req.organization.answerLanguage,
+    variables: TEMPLATE_VARIABLES,
+    defaultTemplate: DEFAULT_TEMPLATE,
+    count: templates.length,
+    templates: templates.map((template) => template.toSummary(req.organization)),
+  });
+});
+
+/**
+ * @desc    Save a template as the workspace's next version and, unless
+ *          `activate: false`, answer with it from now on
+ * @route   POST /api/prompt-templates
+ * @access  Private (workspace admin)
+ */
+exports.createPromptTemplate = asyncHandler(async (req, res) => {
+  const { template, description, activate = true } = req.body || {};
+
+  const { error } = validateTemplate(template);
+  if (error) {
+    return res.status(400).json({ success: false, error: "Bad request", message: error });
+  }
+  if (description !== undefined && (typeof description !== "string" || description.length > 500)) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Bad request", message: "description must be a string of at most 500 characters." });
+  }
+  if (typeof activate !== "boolean") {
+    return res.status(400).json({ success: false, error: "Bad request", message: "activate must be a boolean." });
+  }
+
+  const promptTemplate = await createTemplateVersion({
+    organization: req.organization._id,
+    template,
+    description,
+    createdBy: req.user._id,
+  });
+  if (activate) {
+    req.organization.promptTemplate = promptTemplate._id;
+    await req.organization.save();
+  }
+
+  logger.info("Prompt template saved", { organizationId: req.organization._id, version: promptTemplate.version, activated: activate });
+
+  res.status(201).json({ success: true, template: promptTemplate.toSummary(req.organization) });
+});
+
+/**
+ * @desc    Go back to the built-in default template (saved versions are kept)
+ * @route   POST /api/prompt-templates/reset
+ * @access  Private (workspace admin)
+ */
+exports.resetPromptTemplate = asyncHandler(async (req, res) => {
+  req.organization.promptTemplate = null;
+  await req.organization.save();
+
+  logger.info("Prompt template reset to the default", { organizationId: req.organization._id });
+
+  res.status(200).json({ success: true, activeTemplateId: null, defaultTemplate: DEFAULT_TEMPLATE });
+});
+
+/**
+ * @desc    Render the prompt for a question against the workspace's documents
+ *          and, with `generate: true`, answer it. Tries a draft `template`, a
+ *          saved `templateId` or the active template, optionally with another
+ *          `answerLanguage`; nothing is saved.
+ * @route   POST /api/prompt-templates/preview
+ * @access  Private (workspace admin)
+ */
+exports.previewPrompt = asyncHandler(async (req, res) => {
+  const {
+    question,
+    template,
+    templateId,
+    answerLanguage,
+    history = [],
+    generate = false,
+    maxResults = 5,
+    mode,
+    rerank,
+    candidatePool,
+    allVersions,
+    minSimilarity,
+    model,
+    maxTokens,
+    temperature,
+  } = req.body || {};
+
+  if (!question || typeof question !== "string" || question.trim() === "") {
+    return res.status(400).json({ success: false, error: "Bad request", message: "question is required." });
+  }
+  if (template !== undefined && templateId !== undefined) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Bad request", message: "Provide either a draft template or a templateId, not both." });
+  }
+  if (answerLanguage !== undefined && !Organization.ANSWER_LANGUAGES.includes(answerLanguage)) {
+    return res.status(400).json({
+      success: false,
+      error: "Bad request",
+      message: `answerLanguage must be one of: ${Organization.ANSWER_LANGUAGES.join(", ")}`,
+    });
+  }
+  if (!isValidHistory(history)) {
+    return res.status(400).json({
+      success: false,
+      error: "Bad request",
+      message: `history must be an array of { role: ${HISTORY_ROLES.join(" | ")}, content } messages.`,
+    });
+  }
+  if (typeof generate !== "boolean") {
+    return res.status(400).json({ success: false, error: "Bad request", message: "generate must be a boolean." });
+  }
+
+  const { options: retrievalOptions, error: retrievalError } =
+    resolveRetrievalOptions({ maxResults, mode, rerank, candidatePool, allVersions, minSimilarity });
+  if (retrievalError) {
+    return res.status(400).json({ success: false, error: "Bad request", message: retrievalError });
+  }
+  const { options: generationOptions, error: optionsError } =
+    resolveGenerationOptions({ model, maxTokens, temperature });
+  if (optionsError) {
+    return res.status(400).json({ success: false, error: "Bad request", message: optionsError });
+  }
+
+  // Step 1: Pick the template to try
+  const promptSettings = await getPromptSettings(req.organization);
+  if (template !== undefined) {
+    const { error } = validateTemplate(template);
+    if (error) {
+      return res.status(400).json({ success: false, error: "Bad request", message: error });
+    }
+    Object.assign(promptSettings, { template, templateId: null, templateVersion: null });
+  } else if (templateId !== undefined) {
+    const saved = mongoose.isValidObjectId(templateId)
+      ? await PromptTemplate.findOne({ _id: templateId, organization: req.organization._id })
+      : null;
+    if (!saved) {
+      return res.status(404).json({ success: false, error: "Not found", message: "Prompt template not found." });
+    }
+    Object.assign(promptSettings, { template: saved.template, templateId: saved._id, templateVersion: saved.version });
+  }
+  if (answerLanguage !== undefined) {
+    promptSettings.languagePolicy = answerLanguage;
+  }
+
+  // Step 2: Retrieve context exactly like /api/query and render the messages
+  const chunks = await retrieveChunks(question, getWorkspaceScope(req.organization), retrievalOptions);
+  const relevance = assessRelevance(chunks, retrievalOptions.minSimilarity);
+  const trimmedHistory = trimHistory(history);
+  const response = {
+    success: true,
+    prompt: {
+      ...describePrompt(promptSettings, question),
+      templateId: promptSettings.templateId,
+      draft: template !== undefined,
+    },
+    messages: buildAnswerMessages(question, chunks, trimmedHistory, promptSettings),
+    sources: formatSources(chunks),
+    abstained: relevance.abstain,
+    abstainReason: relevance.reason,
+  };
+
+  // Step 3: Optionally answer with it, abstaining like /api/query would
+  if (generate) {
+    if (relevance.abstain) {
+      response.answer = NO_RESULTS_ANSWER;
+      response.citations = [];
+    } else {
+      const completion = await generateAnswer(question, chunks, generationOptions, trimmedHistory, promptSettings);
+      await recordTokenUsage(req.organization._id, completion.usage, req.user._id);
+      const { citations, invalidMarkers } = extractCitations(completion.content, response.sources);
+      Object.assign(response, {
+        answer: completion.content,
+        citations,
+        invalidCitations: invalidMarkers,
+        model: completion.model,
+        provider: completion.provider,
+        usage: completion.usage,
+      });
+    }
+  }
+
+  res.status(200).json(response);
+});
+
+/**
+ * @desc    Get one version of the workspace's prompt template
+ * @route   GET /api/prompt-templates/:id
+ * @access  Private (workspace admin)
+ */
+exports.getPromptTemplate = asyncHandler(async (req, res) => {
+  const promptTemplate = await findWorkspaceTemplate(req);
+  if (!promptTemplate) {
+    return res
+      .status(404)
+      .json({ success: false, error: "Not found", message: "Prompt template not found." });
+  }
+
+  res.status(200).json({ success: true, template: promptTemplate.toSummary(req.organization) });
+});
+
+/**
+ * @desc    Answer with an earlier or later saved version from now on
+ * @route   POST /api/prompt-templates/:id/activate
+ * @access  Private (workspace admin)
+ */
+exports.activatePromptTemplate = asyncHandler(async (req, res) => {
+  const promptTemplate = await findWorkspaceTemplate(req);
+  if (!promptTemplate) {
+    return res
+      .status(404)
+      .json({ success: false, error: "Not found", message: "Prompt template not found." });
+  }
+
+  req.organization.promptTemplate = promptTemplate._id;
+  await req.organization.save();
+
+  logger.info("Prompt template activated", { organizationId: req.organization._id, version: promptTemplate.version });
+
+  res.status(200).json({ success: true, template: promptTemplate.toSummary(req.organization) });
+});
+
+// ===== HELPER FUNCTIONS =====
+
+async function findWorkspaceTemplate(req) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return null;
+  }
+  return PromptTemplate.findOne({ _id: req.params.id, organization: req.organization._id });
+}
+
+function isValidHistory(history) {
+  return (
+    Array.isArray(history) &&
+    history.every(
+      (message) =>
+        message &&
+        HISTORY_ROLES.includes(message.role) &&
+        typeof message.content === "string"
+    )
+  );
+}
@@ -1,187 +1,257 @@
-const { pipeline } = require('@xenova/transformers');
-const { Pinecone } = require('@pinecone-database/pinecone');
-const OpenAI = require('openai');
-
-// Configuration Constants (should match your upload controller)
-const PINECONE_API_KEY = process.env.PINECONE_API_KEY;
-const PINECONE_INDEX_NAME = "vectormind";
-const EMBEDDING_MODEL_NAME = "Xenova/bge-m3";
-
-// Initialize clients
-const pineconeClient = new Pinecone({
-  apiKey: PINECONE_API_KEY,
-});
-
-const openai = new OpenAI({ 
-  apiKey: process.env.OPENAI_API_KEY 
-});
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const QueryLog = require('../models/queryLogs');
+const { getLLMProvider, resolveGenerationOptions } = require('../services/llm');
+const {
+  EMBEDDING_MODEL_NAME,
+  NO_RESULTS_ANSWER,
+  RERANK_MODEL_NAME,
+  resolveRetrievalOptions,
+  assessRelevance,
+  retrieveChunks,
+  buildAnswerMessages,
+  generateAnswer,
+  formatSources,
+  extractCitations,
+} = require('../services/ragService');
+const { resolveGroundingMethod, verifyGrounding } = require('../services/grounding');
+const { getPromptSettings, describePrompt } = require('../services/promptTemplates');
+const { getWorkspaceScope } = require('../services/workspaceService');
+const { recordQuery } = require('../services/queryLogService');
+const { recordTokenUsage } = require('../services/usageService');
+const { openEventStream, wantsEventStream } = require('../utils/sse');
+const { logger } = require('../utils/logger');
 
 // ===== HELPER FUNCTIONS =====
 
-async function generateQueryEmbedding(queryText) {
-  console.log(`🧠 Embedding query: "${queryText}"...`);
-  const embeddingPipeline = await pipeline(
-    "feature-extraction",
-    EMBEDDING_MODEL_NAME
-  );
-  const queryEmbeddingOutput = await embeddingPipeline(queryText, {
-    pooling: "cls",
-    normalize: true,
-  });
-  console.log("✅ Query embedding generated");
-  return queryEmbeddingOutput.data;
-}
+// Validates the body shared by the JSON and streaming endpoints.
+// Returns either the parsed request or { status, body } for an error response.
+function parseQueryRequest(req) {
+  const { 
+    query, 
+    maxResults = 5,
+    includeMetadata = true,
+    mode,
+    rerank,
+    candidatePool,
+    allVersions,
+    minSimilarity,
+    verifyGrounding: verifyGroundingOption,
+    model,
+    maxTokens,
+    temperature
+  } = req.body || {};
 
-async function answerWithGPT4O(question, topChunks) {
-   console.log("topChunks:", topChunks);
-  const context = topChunks
-    .map((chunk, index) => `Context ${index + 1}: ${chunk.fullText}`)
-    .join("\n\n");
-    
-  const prompt = `
-You are an expert assistant. Use ONLY the following context to answer the user's question.
-
-${context}
+  // Validate input
+  if (!query || typeof query !== 'string' || query.trim() === '') {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: 'Query is required',
+        message: 'Please provide a valid search query'
+      }
+    };
+  }
 
-Question: ${question}
-Answer:`;
+  const { options: retrievalOptions, error: retrievalError } = resolveRetrievalOptions({ maxResults, mode, rerank, candidatePool, allVersions, minSimilarity });
+  if (retrievalError) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: 'Invalid retrieval options',
+        message: retrievalError
+      }
+    };
+  }
 
+  const { options: generationOptions, error: optionsError } = resolveGenerationOptions({ model, maxTokens, temperature });
+  if (optionsError) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: 'Invalid generation options',
+        message: optionsError
+      }
+    };
+  }
 
-console.log(`prompt: ${prompt}`);
-  const completion = await openai.chat.completions.create({
-    model: "gpt-4o",
-    messages: [{ role: "user", content: prompt }],
-    max_tokens: 512,
-    temperature: 0.2,
-  });
-  console.log('content, ', completion.choices[0].message.content);
-  
-  return completion.choices[0].message.content.trim();
-}
+  const { method: groundingMethod, error: groundingError } = resolveGroundingMethod(verifyGroundingOption);
+  if (groundingError) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: 'Invalid grounding options',
+        message: groundingError
+      }
+    };
+  }
 
-async function searchSimilarChunks(queryEmbedding, userId, maxResults = 5) {
-  console.log(`🔍 Querying Pinecone index for ${maxResults} similar chunks...`);
-  const pineconeIndex = pineconeClient.Index(PINECONE_INDEX_NAME);
-  
-  const searchResults = await pineconeIndex.query({
-    vector: Array.from(queryEmbedding),
-    topK: maxResults * 2, // Fetch more to allow for filtering
-    includeMetadata: true,
-  });
-
-  // Filter matches by userId
-  const filteredMatches = (searchResults.matches || [])
-    .filter((match) => match.metadata?.userId === userId)
-    .slice(0, maxResults);
-
-  return filteredMatches.map((match, index) => {
-    const similarityScore = (match.score * 100).toFixed(2);
-    const previewText = match.metadata?.text?.slice(0, 300) || "No text available";
-    
-    console.log(`🔹 Rank ${index + 1} | Similarity: ${similarityScore}%`);
-    console.log(`📄 Filename: ${match.metadata?.filename}`);
-    console.log(`📝 Preview: ${previewText}...`);
-    console.log("─".repeat(80));
-    
+  // Get userId from authenticated user
+  const userId = req.user?._id.toString();
+  if (!userId) {
     return {
-      id: match.id,
-      similarity: match.score,
-      preview: previewText,
-      fullText: match.metadata?.text || "",
-      filename: match.metadata?.filename,
-      userId: match.metadata?.userId,
-      chunkId: match.metadata?.chunkId,
+      status: 401,
+      body: {
+        success: false,
+        error: 'Authentication required',
+        message: 'User must be authenticated to send prompts'
+      }
     };
-  });
+  }
+
+  // Retrieval covers the whole knowledge base of the current workspace
+  const scope = getWorkspaceScope(req.organization);
+
+  return { query, includeMetadata, retrievalOptions, generationOptions, groundingMethod, userId, scope };
+}
+
+// Reranking details reported in response metadata; null when it was skipped
+function describeRerank({ rerank, candidatePool }) {
+  return rerank ? { model: RERANK_MODEL_NAME, candidatePool } : null;
+}
+
+// Verifies the answer against its cited chunks unless the request turned it off; null when skipped
+async function checkGrounding(answer, chunks, groundingMethod, organizationId, userId) {
+  if (!groundingMethod) {
+    return null;
+  }
+  const grounding = await verifyGrounding(answer, chunks, { method: groundingMethod });
+  await recordTokenUsage(organizationId, grounding.usage, userId);
+  if (!grounding.grounded) {
+    logger.info('Answer is not fully grounded', { confidence: grounding.confidence, unsupportedSentences: grounding.unsupportedSentences.length });
+  }
+  return grounding;
 }
 
 // ===== MAIN CONTROLLER =====
 
 exports.sendPrompt = async (req, res) => {
-  console.log('--- /api/chat/sendPrompt REQUEST ---');
-  console.log('Body:', req.body);
-  console.log('User:', req.user?._id);
+  // Clients that accept an event stream get the streaming variant on the same route
+  if (wantsEventStream(req)) {
+    return exports.streamPrompt(req, res);
+  }
 
   try {
-    // Extract query and options from request
-    const { 
-      query, 
-      maxResults = 5,
-      includeMetadata = true 
-    } = req.body;
-
-    // Validate input
-    if (!query || query.trim() === '') {
-      return res.status(400).json({
-        success: false,
-        error: 'Query is required',
-        message: 'Please provide a valid search query'
-      });
+    const parsed = parseQueryRequest(req);
+    if (parsed.status) {
+      return res.status(parsed.status).json(parsed.body);
     }
+    const { query, includeMetadata, retrievalOptions, generationOptions, groundingMethod, userId, scope } = parsed;
+    const startedAt = Date.now();
 
-    // Get userId from authenticated user
-    const userId = req.user?._id.toString();
-    if (!userId) {
-      return res.status(401).json({
-        success: false,
-        error: 'Authentication required',
-        message: 'User must be authenticated to send prompts'
-      });
-    }
+    logger.info('Processing query', { userId, retrieval: retrievalOptions });
+    logger.debug('Query text', { query });
 
-    console.log(`🔎 Processing query for user ${userId}: "${query}"`);
+    // Step 1-2: Embed the query and/or search the keyword index, depending on the mode
+    const similarChunks = await retrieveChunks(query, scope, retrievalOptions);
+    const retrievalMs = Date.now() - startedAt;
+    const relevance = assessRelevance(similarChunks, retrievalOptions.minSimilarity);
 
-    // Step 1: Generate embedding for the query
-    const queryEmbedding = await generateQueryEmbedding(query);
-
-    // Step 2: Search for similar chunks in vector database
-    const similarChunks = await searchSimilarChunks(queryEmbedding, userId, maxResults);
-
-    if (similarChunks.length === 0) {
-      console.log("❌ No relevant chunks found for this user");
+    // Abstain instead of letting the model answer from unrelated context
+    if (relevance.abstain) {
+      logger.info('Abstaining from answering', { reason: relevance.reason, chunks: similarChunks.length, maxSimilarity: relevance.maxSimilarity });
+      const queryId = await recordQuery({
+        user: req.user._id,
+        organization: req.organization._id,
+        source: 'query',
+        query,
+        retrievalMode: retrievalOptions.mode,
+        chunks: similarChunks,
+        abstained: true,
+        answer: NO_RESULTS_ANSWER,
+        latencyMs: { retrieval: retrievalMs, generation: 0, total: Date.now() - startedAt }
+      });
       return res.status(200).json({
         success: true,
         query: query,
-        answer: "I couldn't find any relevant information in your uploaded documents to answer this question. Please make sure you have uploaded documents that contain information related to your query.",
+        answer: NO_RESULTS_ANSWER,
         sources: [],
+        grounding: null,
         metadata: {
+          queryId: queryId,
           userId: userId,
-          chunksFound: 0,
+          organizationId: scope.organizationId,
+          retrievalMode: retrievalOptions.mode,
+          rerank: describeRerank(retrievalOptions),
+          chunksFound: similarChunks.length,
+          maxSimilarity: relevance.maxSimilarity,
+          minSimilarity: retrievalOptions.minSimilarity,
+          abstained: true,
+          abstainReason: relevance.reason,
           processingTime: new Date().toISOString()
         }
       });
     }
 
-    // Step 3: Generate AI answer using the retrieved context
-    console.log(`💡 Generating AI answer using ${similarChunks.length} relevant chunks...`);
-    const aiAnswer = await answerWithGPT4O(query, similarChunks);
+    // Step 3: Generate AI answer using the retrieved context and the workspace's prompt
+    logger.info('Generating answer', { chunks: similarChunks.length });
+    const generationStartedAt = Date.now();
+    const promptSettings = await getPromptSettings(req.organization);
+    const prompt = describePrompt(promptSettings, query);
+    const completion = await generateAnswer(query, similarChunks, generationOptions, [], promptSettings);
+
+    // Step 4: Prepare response, mapping [n] markers in the answer to their sources
+    const sources = formatSources(similarChunks);
+    const { citations, invalidMarkers } = extractCitations(completion.content, sources);
+    await recordTokenUsage(req.organization._id, completion.usage, req.user._id);
 
-    // Step 4: Prepare response
+    // Step 5: Check every answer sentence against the chunks it cites
+    const grounding = await checkGrounding(completion.content, similarChunks, groundingMethod, req.organization._id, req.user._id);
+    const queryId = await recordQuery({
+      user: req.user._id,
+      organization: req.organization._id,
+      source: 'query',
+      query,
+      retrievalMode: retrievalOptions.mode,
+      chunks: similarChunks,
+      answer: completion.content,
+      citations,
+      grounding,
+      prompt,
+      completion,
+      latencyMs: { retrieval: retrievalMs, generation: Date.now() - generationStartedAt, total: Date.now() - startedAt }
+    });
     const response = {
       success: true,
       query: query,
-      answer: aiAnswer,
-      sources: includeMetadata ? similarChunks.map(chunk => ({
-        filename: chunk.filename,
-        similarity: chunk.similarity,
-        preview: chunk.preview,
-        chunkId: chunk.chunkId
-      })) : [],
+      answer: completion.content,
+      sources: includeMetadata ? sources : [],
+      citations: citations,
+      grounding: grounding,
       metadata: {
+        queryId: queryId,
         userId: userId,
+        organizationId: scope.organizationId,
+        retrievalMode: retrievalOptions.mode,
+        rerank: describeRerank(retrievalOptions),
         chunksFound: similarChunks.length,
-        maxSimilarity: similarChunks[0]?.similarity || 0,
+        maxSimilarity: Math.max(0, ...similarChunks.map(chunk => chunk.similarity || 0)),
+        minSimilarity: retrievalOptions.minSimilarity,
+        abstained: false,
         processingTime: new Date().toISOString(),
-        model: "gpt-4o",
+        model: completion.model,
+        provider: completion.provider,
+        prompt: prompt,
+        generation: {
+          maxTokens: generationOptions.maxTokens,
+          temperature: generationOptions.temperature
+        },
+        usage: completion.usage,
+        invalidCitations: invalidMarkers,
         embeddingModel: EMBEDDING_MODEL_NAME
       }
     };
 
-    console.log("✅ Query processed successfully");
+    logger.info('Query processed', { queryId, usage: completion.usage });
+    logger.debug('Answer text', { answer: completion.content });
     res.status(200).json(response);
 
   } catch (error) {
-    console.error('❌ Error processing prompt:', error);
+    logger.error('Error processing prompt', { error });
     
     res.status(500).json({
       success: false,
@@ -193,4 +263,201 @@ exports.sendPrompt = async (req, res) => {
       }
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Streams an answer over Server-Sent Events. Events, in order:
+ *   sources - { query, sources } once retrieval is done
+ *   token   - { content } for every generated delta
+ *   done    - { answer, citations, grounding, metadata } with queryId, model, usage and timing
+ *   error   - { error, message, stage } instead of the remaining events
+ * Generation is cancelled when the client disconnects.
+ */
+exports.streamPrompt = async (req, res) => {
+  const parsed = parseQueryRequest(req);
+  if (parsed.status) {
+    return res.status(parsed.status).json(parsed.body);
+  }
+  const { query, includeMetadata, retrievalOptions, generationOptions, groundingMethod, userId, scope } = parsed;
+
+  const stream = openEventStream(req, res);
+  const startedAt = Date.now();
+  let stage = 'retrieval';
+
+  try {
+    logger.info('Streaming query', { userId, retrieval: retrievalOptions });
+    logger.debug('Query text', { query });
+
+    // Step 1: Retrieve context exactly like the JSON endpoint
+    const similarChunks = await retrieveChunks(query, scope, retrievalOptions);
+    const retrievalMs = Date.now() - startedAt;
+    const relevance = assessRelevance(similarChunks, retrievalOptions.minSimilarity);
+
+    // Chunks too weak to answer from are not offered as sources either
+    const sources = formatSources(similarChunks);
+    stream.send('sources', {
+      query: query,
+      sources: includeMetadata && !relevance.abstain ? sources : []
+    });
+
+    const metadata = {
+      userId: userId,
+      organizationId: scope.organizationId,
+      retrievalMode: retrievalOptions.mode,
+      rerank: describeRerank(retrievalOptions),
+      chunksFound: similarChunks.length,
+      maxSimilarity: Math.max(0, ...similarChunks.map(chunk => chunk.similarity || 0)),
+      minSimilarity: retrievalOptions.minSimilarity,
+      abstained: relevance.abstain,
+      embeddingModel: EMBEDDING_MODEL_NAME
+    };
+
+    if (relevance.abstain) {
+      logger.info('Abstaining from answering', { reason: relevance.reason, chunks: similarChunks.length, maxSimilarity: relevance.maxSimilarity });
+      const timing = { retrievalMs, generationMs: 0, totalMs: Date.now() - startedAt };
+      const queryId = await recordQuery({
+        user: req.user._id,
+        organization: req.organization._id,
+        source: 'stream',
+        query,
+        retrievalMode: retrievalOptions.mode,
+        chunks: similarChunks,
+        abstained: true,
+        answer: NO_RESULTS_ANSWER,
+        latencyMs: { retrieval: timing.retrievalMs, generation: 0, total: timing.totalMs }
+      });
+      stream.send('token', { content: NO_RESULTS_ANSWER });
+      stream.send('done', {
+        answer: NO_RESULTS_ANSWER,
+        citations: [],
+        grounding: null,
+        metadata: { ...metadata, maxSimilarity: relevance.maxSimilarity, abstainReason: relevance.reason, queryId, timing }
+      });
+      return;
+    }
+
+    // Step 2: Stream the answer token by token
+    stage = 'generation';
+    const generationStartedAt = Date.now();
+    let answer = '';
+    let finalEvent = {};
+    const promptSettings = await getPromptSettings(req.organization);
+    const prompt = describePrompt(promptSettings, query);
+
+    const completionStream = getLLMProvider().stream({
+      messages: buildAnswerMessages(query, similarChunks, [], promptSettings),
+      ...generationOptions,
+      signal: stream.signal,
+    });
+
+    for await (const event of completionStream) {
+      if (stream.signal.aborted) {
+        break;
+      }
+      if (event.type === 'delta') {
+        answer += event.content;
+        stream.send('token', { content: event.content });
+      } else if (event.type === 'done') {
+        finalEvent = event;
+      }
+    }
+
+    if (stream.signal.aborted) {
+      logger.info('Streaming cancelled by client');
+      return;
+    }
+
+    const { citations, invalidMarkers } = extractCitations(answer, sources);
+    const generationMs = Date.now() - generationStartedAt;
+    await recordTokenUsage(req.organization._id, finalEvent.usage, req.user._id);
+
+    // Step 3: Verify the complete answer before the done event
+    stage = 'grounding';
+    const grounding = await checkGrounding(answer.trim(), similarChunks, groundingMethod, req.organization._id, req.user._id);
+    const queryId = await recordQuery({
+      user: req.user._id,
+      organization: req.organization._id,
+      source: 'stream',
+      query,
+      retrievalMode: retrievalOptions.mode,
+      chunks: similarChunks,
+      answer: answer.trim(),
+      citations,
+      grounding,
+      prompt,
+      completion: finalEvent,
+      latencyMs: { retrieval: retrievalMs, generation: generationMs, total: Date.now() - startedAt }
+    });
+    stream.send('done', {
+      answer: answer.trim(),
+      citations: citations,
+      grounding: grounding,
+      metadata: {
+        ...metadata,
+        queryId: queryId,
+        model: finalEvent.model,
+        provider: finalEvent.provider,
+        prompt: prompt,
+        generation: {
+          maxTokens: generationOptions.maxTokens,
+          temperature: generationOptions.temperature
+        },
+        usage: finalEvent.usage,
+        invalidCitations: invalidMarkers,
+        timing: {
+          retrievalMs,
+          generationMs,
+          totalMs: Date.now() - startedAt
+        }
+      }
+    });
+    logger.info('Streamed query processed', { queryId, usage: finalEvent.usage });
+    logger.debug('Answer text', { answer: answer.trim() });
+
+  } catch (error) {
+    if (stream.signal.aborted) {
+      logger.info('Streaming cancelled by client');
+      return;
+    }
+    logger.error('Error streaming prompt', { error, stage });
+    stream.send('error', {
+      error: 'Failed to process prompt',
+      message: error.message,
+      stage: stage
+    });
+  } finally {
+    stream.close();
+  }
+};
+
+/**
+ * @desc    Rate an answer with thumbs up or down and an optional comment;
+ *          rating again replaces the earlier feedback
+ * @route   POST /api/query/:id/feedback
+ * @access  Private (the user who asked)
+ */
+exports.submitFeedback = asyncHandler(async (req, res) => {
+  const { rating, comment } = req.body || {};
+  if (!QueryLog.FEEDBACK_RATINGS.includes(rating)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Bad request',
+      message: `rating must be one of: ${QueryLog.FEEDBACK_RATINGS.join(', ')}`
+    });
+  }
+  if (comment !== undefined && typeof comment !== 'string') {
+    return res.status(400).json({ success: false, error: 'Bad request', message: 'comment must be a string' });
+  }
+
+  const queryLog = mongoose.isValidObjectId(req.params.id)
+    ? await QueryLog.findOne({ _id: req.params.id, user: req.user._id, organization: req.organization._id })
+    : null;
+  if (!queryLog) {
+    return res.status(404).json({ success: false, error: 'Not found', message: 'Query not found.' });
+  }
+
+  queryLog.feedback = { rating, comment: comment || undefined, createdAt: new Date() };
+  await queryLog.save();
+
+  res.status(200).json({ success: true, queryId: queryLog._id, feedback: queryLog.feedback });
+});
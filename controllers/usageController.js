@@ -0,0 +1,17 @@
+const asyncHandler = require("express-async-handler");
+const { getUsageReport } = require("../services/usageService");
+
+/**
+ * @desc    Current usage of the workspace (and your own queries) against the plan's limits
+ * @route   GET /api/usage
+ * @access  Private
+ */
+exports.getUsage = asyncHandler(async (req, res) => {
+  const usage = await getUsageReport(req.organization, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    organizationId: req.organization._id,
+    ...usage,
+  });
+});
@@ -1,35 +1,67 @@
 const User = require("../models/users"); // Make sure this path is correct
+const { createOrganization, deleteOrganization } = require("../services/workspaceService");
 const asyncHandler = require("express-async-handler"); // If not installed, npm i express-async-handler
+const {
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  validatePassword,
+  requestPasswordReset,
+  resetPassword,
+} = require("../services/authService");
+const { getCookie } = require("../utils/cookies");
+const { logger } = require("../utils/logger");
 
-// Helper to send JWT token in response
-const sendTokenResponse = (user, statusCode, res) => {
-  const token = user.getSignedJwtToken(); // This method should be defined in your userModel
-const daysToExpire = Number(process.env.JWT_COOKIE_EXPIRE) || 7; // fallback to 7 days
-
-const options = {
-  expires: new Date(Date.now() + daysToExpire * 24 * 60 * 60 * 1000),
-  httpOnly: true,
-};
+const REFRESH_COOKIE_PATH = "/api/user"; // Only the refresh and logout routes need it
 
+const cookieOptions = (expires, path = "/") => {
+  const options = { expires, httpOnly: true, sameSite: "lax", path };
   if (process.env.NODE_ENV === "production") {
     options.secure = true;
   }
+  return options;
+};
 
+// Helper to start a session and send its tokens in the response
+const sendTokenResponse = async (user, statusCode, req, res) => {
+  const tokens = await issueTokens(user, req);
+  sendTokens(user, tokens, statusCode, res);
+};
+
+// Sends an access + refresh token pair as JSON and as httpOnly cookies
+const sendTokens = (user, tokens, statusCode, res) => {
   res
     .status(statusCode)
-    .cookie("token", token, options)
+    .cookie("token", tokens.accessToken, cookieOptions(tokens.accessTokenExpiresAt))
+    .cookie("refreshToken", tokens.refreshToken, cookieOptions(tokens.refreshTokenExpiresAt, REFRESH_COOKIE_PATH))
     .json({
       success: true,
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        username: user.username,
-        email: user.email,
-      },
+      token: tokens.accessToken,
+      expiresAt: tokens.accessTokenExpiresAt,
+      refreshToken: tokens.refreshToken,
+      refreshTokenExpiresAt: tokens.refreshTokenExpiresAt,
+      user: user.toProfile(),
     });
 };
 
+// Removes a half-created account so the same email can sign up again
+const undoSignUp = async (user, organization) => {
+  try {
+    if (organization) {
+      await deleteOrganization(organization._id);
+    }
+    await User.deleteOne({ _id: user._id });
+  } catch (cleanupError) {
+    logger.error("Could not remove a failed sign-up", { userId: user._id, error: cleanupError });
+  }
+};
+
+const clearTokenCookies = (res) => {
+  res.clearCookie("token", cookieOptions(undefined));
+  res.clearCookie("refreshToken", cookieOptions(undefined, REFRESH_COOKIE_PATH));
+};
+
 /**
  * @desc    Sign in user & get token
  * @route   POST /api/signIn
@@ -42,7 +74,7 @@ exports.signUp = asyncHandler(async (req, res, next) => {
   if (!name || !username || !email || !password || !company) {
     return res
       .status(400)
-      .json({ success: false, error: "Please fill in all required fields." });
+      .json({ success: false, error: "Bad request", message: "Please fill in all required fields." });
   }
 
   try {
@@ -56,8 +88,21 @@ exports.signUp = asyncHandler(async (req, res, next) => {
       company,
     });
 
-    // 2. Send JWT token upon successful registration
-    sendTokenResponse(user, 201, res); // 201 status code for successful creation
+    // 2. Every company starts with its own workspace, owned by the new user.
+    // Without it the account is unusable and would block signing up again with
+    // the same email, so the user is removed if the workspace cannot be set up.
+    let organization;
+    try {
+      organization = await createOrganization({ name: company, owner: user });
+      user.defaultOrganization = organization._id;
+      await user.save();
+    } catch (error) {
+      await undoSignUp(user, organization);
+      throw error;
+    }
+
+    // 3. Send JWT token upon successful registration
+    await sendTokenResponse(user, 201, req, res); // 201 status code for successful creation
   } catch (error) {
     // Handle specific errors like duplicate email/username
     if (error.code === 11000) {
@@ -65,7 +110,7 @@ exports.signUp = asyncHandler(async (req, res, next) => {
       // Check if the duplicate is email or username
       const field = Object.keys(error.keyValue)[0];
       const message = `A user with that ${field} already exists.`;
-      return res.status(400).json({ success: false, error: message });
+      return res.status(400).json({ success: false, error: "Bad request", message });
     }
     // For other validation errors (e.g., minlength), Mongoose handles them
     // The global error handler should catch these.
@@ -80,7 +125,7 @@ exports.signUser = asyncHandler(async (req, res, next) => {
     // You should use a custom error handler here for better error messages
     return res
       .status(400)
-      .json({ success: false, error: "Please provide an email and password." });
+      .json({ success: false, error: "Bad request", message: "Please provide an email and password." });
   }
 
   // 2. Check for user (explicitly select password)
@@ -89,7 +134,7 @@ exports.signUser = asyncHandler(async (req, res, next) => {
   if (!user) {
     return res
       .status(401)
-      .json({ success: false, error: "Invalid credentials." });
+      .json({ success: false, error: "Unauthorized", message: "Invalid credentials." });
   }
 
   // 3. Check if password matches
@@ -98,9 +143,180 @@ exports.signUser = asyncHandler(async (req, res, next) => {
   if (!isMatch) {
     return res
       .status(401)
-      .json({ success: false, error: "Invalid credentials." });
+      .json({ success: false, error: "Unauthorized", message: "Invalid credentials." });
   }
 
   // 4. Send JWT token
-  sendTokenResponse(user, 200, res);
+  await sendTokenResponse(user, 200, req, res);
+});
+
+/**
+ * @desc    Exchange a refresh token for a new access and refresh token
+ * @route   POST /api/user/refresh
+ * @access  Public (refresh token in the body or the `refreshToken` cookie)
+ */
+exports.refreshToken = asyncHandler(async (req, res) => {
+  const token = req.body?.refreshToken || getCookie(req, "refreshToken");
+  if (!token || typeof token !== "string") {
+    return res
+      .status(400)
+      .json({ success: false, error: "Bad request", message: "Please provide a refresh token." });
+  }
+
+  const { user, tokens, error } = await rotateRefreshToken(token, req);
+  if (error) {
+    clearTokenCookies(res);
+    return res.status(401).json({ success: false, error: "Unauthorized", message: error });
+  }
+
+  sendTokens(user, tokens, 200, res);
+});
+
+/**
+ * @desc    Log out: revoke this session, or every session with { all: true }
+ * @route   POST /api/user/logout
+ * @access  Private
+ */
+exports.logout = asyncHandler(async (req, res) => {
+  if (req.body?.all === true) {
+    await revokeAllSessions(req.user);
+  } else {
+    await revokeSession(req.auth.sid, req.auth);
+  }
+
+  clearTokenCookies(res);
+  res.status(200).json({ success: true, message: "Logged out." });
+});
+
+/**
+ * @desc    Change the password; signs out every other session
+ * @route   PATCH /api/user/password
+ * @access  Private
+ */
+exports.changePassword = asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body || {};
+  if (!currentPassword || !newPassword) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Bad request", message: "Please provide currentPassword and newPassword." });
+  }
+
+  const passwordError = validatePassword(newPassword);
+  if (passwordError) {
+    return res.status(400).json({ success: false, error: "Bad request", message: passwordError });
+  }
+
+  const user = req.user;
+  if (!(await user.comparePassword(currentPassword))) {
+    return res
+      .status(401)
+      .json({ success: false, error: "Unauthorized", message: "Current password is incorrect." });
+  }
+
+  user.password = newPassword;
+  await revokeAllSessions(user);
+  logger.info("Password changed", { userId: user._id });
+
+  // The caller keeps working with a fresh session
+  await sendTokenResponse(user, 200, req, res);
+});
+
+/**
+ * @desc    Email a password reset link
+ * @route   POST /api/user/password/forgot
+ * @access  Public
+ */
+exports.forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body || {};
+  if (!email || typeof email !== "string") {
+    return res
+      .status(400)
+      .json({ success: false, error: "Bad request", message: "Please provide an email address." });
+  }
+
+  await requestPasswordReset(email);
+
+  // Same answer whether or not the account exists
+  res.status(200).json({
+    success: true,
+    message: "If an account exists for this email, a reset link has been sent.",
+  });
+});
+
+/**
+ * @desc    Set a new password with a reset token; signs out every session
+ * @route   POST /api/user/password/reset
+ * @access  Public
+ */
+exports.resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body || {};
+  if (!token || typeof token !== "string") {
+    return res
+      .status(400)
+      .json({ success: false, error: "Bad request", message: "Please provide a reset token." });
+  }
+
+  const passwordError = validatePassword(password);
+  if (passwordError) {
+    return res.status(400).json({ success: false, error: "Bad request", message: passwordError });
+  }
+
+  const { error } = await resetPassword(token, password);
+  if (error) {
+    return res.status(400).json({ success: false, error: "Bad request", message: error });
+  }
+
+  res
+    .status(200)
+    .json({ success: true, message: "Password updated. Please sign in with your new password." });
+});
+
+/**
+ * @desc    Get the signed-in user's profile
+ * @route   GET /api/user/me
+ * @access  Private
+ */
+exports.getMe = asyncHandler(async (req, res) => {
+  res.status(200).json({ success: true, user: req.user.toProfile() });
+});
+
+/**
+ * @desc    Update the signed-in user's name, username, email or company
+ * @route   PATCH /api/user/me
+ * @access  Private
+ */
+exports.updateMe = asyncHandler(async (req, res, next) => {
+  const updatableFields = ["name", "username", "email", "company"];
+  const body = req.body || {};
+  const updates = updatableFields.filter((field) => body[field] !== undefined);
+
+  if (updates.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: "Bad request",
+      message: `Please provide at least one of: ${updatableFields.join(", ")}.`,
+    });
+  }
+  for (const field of updates) {
+    if (typeof body[field] !== "string" || (field !== "company" && body[field].trim() === "")) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Bad request", message: `${field} must be a non-empty string.` });
+    }
+    req.user[field] = body[field];
+  }
+
+  try {
+    await req.user.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      const field = Object.keys(error.keyValue)[0];
+      return res
+        .status(400)
+        .json({ success: false, error: "Bad request", message: `A user with that ${field} already exists.` });
+    }
+    return next(error);
+  }
+
+  res.status(200).json({ success: true, user: req.user.toProfile() });
 });
@@ -1,12 +1,13 @@
 // db.js (CommonJS compatible)
 const mongoose = require("mongoose"); // Use require() for mongoose
+const { logger } = require("./utils/logger");
 
 const connectDB = async () => {
   try {
     const conn = await mongoose.connect(process.env.MONGO_URI);
-    console.log(`MongoDB Connected: ${conn.connection.host} 🥳`); // Added host for better logging
+    logger.info("MongoDB connected", { host: conn.connection.host });
   } catch (error) {
-    console.error(`Error connecting to MongoDB: ${error.message} 😵‍💫`);
+    logger.error("Could not connect to MongoDB", { error });
     process.exit(1); // Exit process with failure
   }
 };
@@ -1,54 +1,115 @@
 // index.js (or server.js, depending on your main file name)
+const http = require("http");
 const express = require("express");
 const cors = require("cors");
-const morgan = require("morgan"); // optional for logging
 require("dotenv").config(); // Load environment variables from .env
+const { logger } = require("./utils/logger");
+const { requestContext } = require("./middleware/requestContext");
 
 // Database connection
 const connectDB = require("./db"); // Assuming your db.js is in a 'config' folder
 connectDB(); // Call the database connection function
 
+// Background ingestion worker (queued uploads and re-indexing)
+const { startIngestionWorker } = require("./services/ingestionQueue");
+
+// Extractions left running by a process that died are marked failed
+const { startStaleExtractionCheck } = require("./services/extractionService");
+
+// Shared embedding model, loaded once at startup
+const { warmUpEmbeddings, getEmbeddingStatus } = require("./services/embeddings");
+
 // Import individual route files
 const userRoutes = require("./routes/userRoutes");
 const uploadRoutes = require("./routes/uploadRoutes"); // NEW import
 const queryRoutes = require("./routes/queryRoutes"); // NEW import
+const documentRoutes = require("./routes/documentRoutes");
+const conversationRoutes = require("./routes/conversationRoutes");
+const organizationRoutes = require("./routes/organizationRoutes");
+const evaluationRoutes = require("./routes/evaluationRoutes");
+const analyticsRoutes = require("./routes/analyticsRoutes");
+const usageRoutes = require("./routes/usageRoutes");
+const apiKeyRoutes = require("./routes/apiKeyRoutes");
+const promptTemplateRoutes = require("./routes/promptTemplateRoutes");
+const extractionRoutes = require("./routes/extractionRoutes");
+const docsRoutes = require("./routes/docsRoutes");
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a reverse proxy, take the client IP (used by API key allowlists) from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 // Middleware
-app.use(cors());
+app.use(requestContext); // Request ID (X-Request-Id) on every log line, and one JSON line per request
+app.use(cors({ exposedHeaders: ["X-Request-Id", "RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset", "Retry-After"] }));
 app.use(express.json()); // Parse JSON bodies
 app.use(express.urlencoded({ extended: true })); // For form-data (e.g., from simple HTML forms)
-app.use(morgan("dev")); // Log requests (e.g., GET / 200 5ms)
 
 // Apply routes
 // Each router is now mounted to its specific base path
 app.use("/api/user", userRoutes); // Handles /api/user/signIn etc.
 app.use("/api/upload", uploadRoutes); // Handles /api/upload
 app.use("/api/query", queryRoutes); // Handles /api/query
+app.use("/api/documents", documentRoutes); // Handles /api/documents
+app.use("/api/conversations", conversationRoutes); // Handles /api/conversations
+app.use("/api/organizations", organizationRoutes); // Handles /api/organizations
+app.use("/api/evaluations", evaluationRoutes); // Handles /api/evaluations
+app.use("/api/analytics", analyticsRoutes); // Handles /api/analytics
+app.use("/api/usage", usageRoutes); // Handles /api/usage
+app.use("/api/api-keys", apiKeyRoutes); // Handles /api/api-keys
+app.use("/api/prompt-templates", promptTemplateRoutes); // Handles /api/prompt-templates
+app.use("/api/extractions", extractionRoutes); // Handles /api/extractions
+app.use("/api/docs", docsRoutes); // Handles /api/docs/openapi.json
 
 // Health check
 app.get("/", (req, res) => {
   res.send("✅ RAG Backend is running!");
 });
 
+// Readiness check: 503 until the embedding model has loaded
+app.get("/health", (req, res) => {
+  const embeddings = getEmbeddingStatus();
+  res.status(embeddings.ready ? 200 : 503).json({
+    success: embeddings.ready,
+    status: embeddings.ready ? "ready" : "starting",
+    embeddings,
+  });
+});
+
 // Global Error Handler (Highly Recommended)
 // This should be the last app.use() in your middleware stack
 app.use((err, req, res, next) => {
-  console.error(err.stack); // Log the error stack for debugging
+  // A body express.json() could not parse is the client's mistake, not ours
+  if (err.type === "entity.parse.failed" || (err instanceof SyntaxError && "body" in err)) {
+    logger.warn("Request body is not valid JSON", { error: err });
+    return res.status(400).json({
+      success: false,
+      error: "Invalid JSON",
+      message: "The request body is not valid JSON.",
+    });
+  }
+
   // Determine status code (default to 500 Internal Server Error)
-  const statusCode = err.statusCode || 500;
-  // Send a standardized error response
+  const statusCode = err.statusCode || err.status || 500;
+  logger[statusCode >= 500 ? "error" : "warn"]("Request failed", { error: err });
+  // Send the same { success, error, message } shape as the controllers
+  const reason = http.STATUS_CODES[statusCode] || "Error";
   res.status(statusCode).json({
     success: false,
+    error: reason.charAt(0) + reason.slice(1).toLowerCase(),
     message: err.message || "Internal Server Error",
-    // In development, you might send the full error for debugging
-    // error: process.env.NODE_ENV === 'development' ? err : {}
   });
 });
 
 // Start server
 app.listen(PORT, () => {
-  console.log(`🚀 Server listening at http://localhost:${PORT}`);
+  logger.info(`Server listening at http://localhost:${PORT}`, { port: PORT });
+  startIngestionWorker();
+  startStaleExtractionCheck();
+  if (process.env.EMBEDDING_WARMUP !== "off") {
+    warmUpEmbeddings();
+  }
 });
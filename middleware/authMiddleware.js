@@ -1,6 +1,19 @@
-const jwt = require("jsonwebtoken");
 const asyncHandler = require("express-async-handler");
-const User = require("../models/users");
+const ApiKey = require("../models/apiKeys");
+const { verifyAccessToken } = require("../services/authService");
+const { authenticateApiKey } = require("../services/apiKeyService");
+const { getCookie } = require("../utils/cookies");
+
+// Scopes declared by requireScope() on the route being handled. API keys are
+// only accepted on routes that declare one.
+function routeScopes(req) {
+  return (req.route?.stack || []).flatMap((layer) => layer.handle.apiKeyScopes || []);
+}
+
+// Accepts an API key (X-API-Key header, or 'Authorization: Bearer vm_...') or a
+// user access token ('Authorization: Bearer <token>' or the `token` cookie set
+// on sign-in). Attaches the user as req.user and either the decoded token
+// (id, sid, jti, exp) as req.auth or the key as req.apiKey.
 exports.protect = asyncHandler(async (req, res, next) => {
   let token;
 
@@ -8,40 +21,58 @@ exports.protect = asyncHandler(async (req, res, next) => {
     req.headers.authorization &&
     req.headers.authorization.startsWith("Bearer")
   ) {
-    console.log(req.headers.authorization); // Log the authorization header for debugging
     // Extract token from 'Bearer <token>' format
-    try {
-      token = req.headers.authorization.split(" ")[1];
-
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      console.log(decoded)
-
-      // Attach user to the request object (without password)
-      // The decoded object typically contains { id: user._id, iat: ..., exp: ... }
-      const user = await User.findById(decoded.id)
-
-      console.log(user)
-      req.user = user
+    token = req.headers.authorization.split(" ")[1];
+  } else {
+    token = req.get("X-API-Key") || getCookie(req, "token");
+  }
 
-      if (!req.user) {
-        return res
-          .status(401)
-          .json({ success: false, message: "User not found for this token." });
-      }
+  if (!token) {
+    return res
+      .status(401)
+      .json({ success: false, error: "Unauthorized", message: "Not authorized, no token." });
+  }
 
-      next(); // Proceed to the next middleware or route handler
-    } catch (error) {
-      console.error(error);
+  if (ApiKey.isApiKey(token)) {
+    if (routeScopes(req).length === 0) {
       return res
-        .status(401)
-        .json({ success: false, message: "Not authorized, token failed." });
+        .status(403)
+        .json({ success: false, error: "Forbidden", message: "API keys cannot be used for this endpoint." });
     }
+
+    const { apiKey, user, error } = await authenticateApiKey(token, req.ip);
+    if (error) {
+      return res.status(401).json({ success: false, error: "Unauthorized", message: error });
+    }
+
+    req.user = user;
+    req.apiKey = apiKey;
+    return next();
   }
 
-  if (!token) {
-    return res
-      .status(401)
-      .json({ success: false, message: "Not authorized, no token." });
+  const { user, token: decoded, error } = await verifyAccessToken(token);
+  if (error) {
+    return res.status(401).json({ success: false, error: "Unauthorized", message: error });
   }
+
+  req.user = user;
+  req.auth = decoded;
+  next(); // Proceed to the next middleware or route handler
 });
+
+// Lets API keys through when they carry `scope`; user tokens are not limited
+// by scopes. Must run after `protect`.
+exports.requireScope = (scope) => {
+  const middleware = (req, res, next) => {
+    if (req.apiKey && !req.apiKey.scopes.includes(scope)) {
+      return res.status(403).json({
+        success: false,
+        error: "Forbidden",
+        message: `This API key needs the '${scope}' scope.`,
+      });
+    }
+    next();
+  };
+  middleware.apiKeyScopes = [scope];
+  return middleware;
+};
@@ -0,0 +1,36 @@
+const crypto = require("crypto");
+const { logger, requestContext } = require("../utils/logger");
+
+const REQUEST_ID_HEADER = "X-Request-Id";
+// Accept a caller's ID (e.g. from a gateway) only if it is short and plain
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Gives every request an ID (the caller's X-Request-Id or a new UUID), returns
+// it in the X-Request-Id response header, makes it available to every log line
+// written while the request is handled, and logs the request when it finishes.
+exports.requestContext = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const requestId = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set(REQUEST_ID_HEADER, requestId);
+
+  res.on("finish", () => {
+    const fields = {
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      status: res.statusCode,
+      durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+      userId: req.user?._id,
+      organizationId: req.organization?._id,
+      apiKeyPrefix: req.apiKey?.prefix,
+    };
+    requestContext.run({ requestId }, () => {
+      const level = res.statusCode >= 500 ? "error" : res.statusCode >= 400 ? "warn" : "info";
+      logger[level]("Request completed", fields);
+    });
+  });
+
+  requestContext.run({ requestId }, next);
+};
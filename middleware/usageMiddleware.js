@@ -0,0 +1,83 @@
+const asyncHandler = require("express-async-handler");
+const {
+  consumeRateLimit,
+  reserveQuery,
+  getPlanLimits,
+  getStoredUsage,
+} = require("../services/usageService");
+const { logger } = require("../utils/logger");
+
+function secondsUntil(date) {
+  return Math.max(0, Math.ceil((date.getTime() - Date.now()) / 1000));
+}
+
+function sendQuotaExceeded(res, { quota, limit, used, resetsAt }) {
+  if (resetsAt) {
+    res.set("Retry-After", String(secondsUntil(resetsAt)));
+  }
+  return res.status(429).json({
+    success: false,
+    error: "Quota exceeded",
+    message: `The '${quota}' quota is used up (${used} of ${limit}).`,
+    quota,
+    limit,
+    used,
+    resetsAt,
+  });
+}
+
+// Per-user rate limit for a route group (see RATE_LIMITS in usageService).
+// Must run after `protect`. Sets the RateLimit-* headers on every response and
+// answers 429 with Retry-After once the window is used up.
+exports.rateLimit = (name) =>
+  asyncHandler(async (req, res, next) => {
+    const { allowed, limit, remaining, windowSeconds, resetAt } = await consumeRateLimit(name, req.user._id);
+    const resetSeconds = secondsUntil(resetAt);
+
+    res.set({
+      "RateLimit-Limit": String(limit),
+      "RateLimit-Remaining": String(remaining),
+      "RateLimit-Reset": String(resetSeconds),
+    });
+
+    if (!allowed) {
+      res.set("Retry-After", String(resetSeconds));
+      return res.status(429).json({
+        success: false,
+        error: "Too many requests",
+        message: `You can make ${limit} requests every ${windowSeconds} seconds. Try again in ${resetSeconds} seconds.`,
+      });
+    }
+    next();
+  });
+
+// Counts the request against the monthly query and token quotas. Must run after
+// `resolveWorkspace`. Requests that end in an error status get their query back.
+exports.requireQueryQuota = asyncHandler(async (req, res, next) => {
+  const { exceeded, release } = await reserveQuery(req.organization, req.user._id);
+  if (exceeded) {
+    return sendQuotaExceeded(res, exceeded);
+  }
+
+  res.on("finish", () => {
+    if (res.statusCode >= 400) {
+      release().catch((error) => logger.error("Could not release a query reservation", { error }));
+    }
+  });
+  next();
+});
+
+// Rejects uploads once the workspace stores as many documents or chunks as its
+// plan allows. The upload controller also caps how many files of one request fit.
+exports.requireUploadQuota = asyncHandler(async (req, res, next) => {
+  const limits = getPlanLimits(req.organization);
+  const stored = await getStoredUsage(req.organization._id);
+
+  if (limits.documents !== null && stored.documents >= limits.documents) {
+    return sendQuotaExceeded(res, { quota: "documents", limit: limits.documents, used: stored.documents });
+  }
+  if (limits.chunks !== null && stored.chunks >= limits.chunks) {
+    return sendQuotaExceeded(res, { quota: "chunks", limit: limits.chunks, used: stored.chunks });
+  }
+  next();
+});
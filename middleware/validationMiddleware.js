@@ -0,0 +1,83 @@
+const Ajv = require("ajv");
+const addFormats = require("ajv-formats");
+const { objectId } = require("../schemas/common");
+
+// Bodies are validated as sent; query strings and path parameters arrive as
+// strings, so their validator coerces "10" to 10 before checking types.
+const bodyAjv = addFormats(new Ajv({ allErrors: true, strict: false }));
+const stringAjv = addFormats(new Ajv({ allErrors: true, strict: false, coerceTypes: true }));
+
+const LOCATIONS = ["params", "query", "body"];
+
+// ===== HELPER FUNCTIONS =====
+
+// Turns an Ajv error into { location, field, message } with a dotted field path
+function toDetail(location, error) {
+  const path = error.instancePath.split("/").slice(1).join(".");
+  if (error.keyword === "required") {
+    return { location, field: path ? `${path}.${error.params.missingProperty}` : error.params.missingProperty, message: "is required" };
+  }
+  if (error.keyword === "additionalProperties") {
+    return { location, field: path ? `${path}.${error.params.additionalProperty}` : error.params.additionalProperty, message: "is not allowed" };
+  }
+  if (error.keyword === "enum") {
+    return { location, field: path, message: `must be one of: ${error.params.allowedValues.join(", ")}` };
+  }
+  if (error.keyword === "pattern" && error.params.pattern === "\\S") {
+    return { location, field: path, message: "must not be blank" };
+  }
+  if (error.keyword === "pattern" && error.params.pattern === objectId.pattern) {
+    return { location, field: path, message: "must be a valid ID" };
+  }
+  return { location, field: path, message: error.message };
+}
+
+function compileValidators(operation) {
+  const validators = {};
+  if (operation.params) {
+    validators.params = stringAjv.compile(operation.params);
+  }
+  if (operation.query) {
+    validators.query = stringAjv.compile(operation.query);
+  }
+  // Multipart bodies are parsed (and their files checked) later by multer and the controller
+  if (operation.body && !operation.bodyContentType) {
+    validators.body = bodyAjv.compile(operation.body);
+  }
+  return validators;
+}
+
+// ===== EXPORTED MIDDLEWARE =====
+
+// Checks the request against an operation from `schemas/` and answers 400 with
+// every problem found:
+//   { success: false, error: "Validation failed", message, details: [{ location, field, message }] }
+// Query strings and params are validated on copies; handlers still read them as strings.
+exports.validate = (operation) => {
+  const validators = compileValidators(operation);
+
+  return (req, res, next) => {
+    const details = [];
+    for (const location of LOCATIONS) {
+      const validator = validators[location];
+      if (!validator) {
+        continue;
+      }
+      const value = location === "body" ? req.body ?? {} : { ...req[location] };
+      if (!validator(value)) {
+        details.push(...validator.errors.map((error) => toDetail(location, error)));
+      }
+    }
+
+    if (details.length > 0) {
+      const [first] = details;
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        message: `${first.field || first.location} ${first.message}`,
+        details,
+      });
+    }
+    next();
+  };
+};
@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+const asyncHandler = require("express-async-handler");
+const Organization = require("../models/organizations");
+const Membership = require("../models/memberships");
+const { ensureDefaultWorkspace } = require("../services/workspaceService");
+
+// Resolves the workspace a request acts on: the X-Organization-Id header when
+// present, otherwise the user's default workspace. Requests made with an API key
+// always act on the key's workspace. Must run after `protect`.
+// Sets req.organization and req.membership.
+exports.resolveWorkspace = asyncHandler(async (req, res, next) => {
+  const requestedId = req.get("X-Organization-Id");
+
+  if (requestedId && !mongoose.isValidObjectId(requestedId)) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Bad request", message: "Invalid X-Organization-Id header." });
+  }
+
+  if (req.apiKey && requestedId && !req.apiKey.organization.equals(requestedId)) {
+    return res
+      .status(403)
+      .json({ success: false, error: "Forbidden", message: "This API key belongs to a different workspace." });
+  }
+
+  const organizationId = req.apiKey
+    ? req.apiKey.organization
+    : requestedId || (await ensureDefaultWorkspace(req.user));
+  const membership = await Membership.findOne({ organization: organizationId, user: req.user._id });
+  if (!membership) {
+    return res
+      .status(403)
+      .json({ success: false, error: "Forbidden", message: "You are not a member of this workspace." });
+  }
+
+  const organization = await Organization.findById(organizationId);
+  if (!organization) {
+    return res
+      .status(404)
+      .json({ success: false, error: "Not found", message: "Workspace not found." });
+  }
+
+  req.organization = organization;
+  req.membership = membership;
+  next();
+});
+
+// Allows the request through when the member has `role` or a more privileged one
+exports.requireRole = (role) => (req, res, next) => {
+  if (!req.membership || !req.membership.hasRole(role)) {
+    return res.status(403).json({
+      success: false,
+      error: "Forbidden",
+      message: `This action requires the '${role}' role or higher in the workspace.`,
+    });
+  }
+  next();
+};
@@ -0,0 +1,102 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+// Scopes an API key can carry; every route that accepts keys names the one it needs
+const API_KEY_SCOPES = ["query", "upload", "documents:read", "documents:delete", "extract"];
+const KEY_PREFIX = "vm_";
+
+// API Key Schema - a credential for calling the API from a customer's backend.
+// A key acts as the member who created it, in one workspace, limited to its
+// scopes. Only the SHA-256 of the key is stored; `prefix` identifies it in lists.
+const apiKeySchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+      index: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    prefix: {
+      type: String,
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    scopes: {
+      type: [{ type: String, enum: API_KEY_SCOPES }],
+      required: true,
+    },
+    expiresAt: Date,
+    // IP addresses or CIDR ranges the key may be used from; empty means any
+    allowedIps: {
+      type: [String],
+      default: [],
+    },
+    lastUsedAt: Date,
+    lastUsedIp: String,
+    rotatedAt: Date,
+    revokedAt: Date,
+  },
+  { timestamps: true }
+);
+
+// 🔑 Hashes a raw API key the same way it is stored
+apiKeySchema.statics.hashKey = function (key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+};
+
+// Whether a bearer credential looks like an API key rather than a JWT
+apiKeySchema.statics.isApiKey = function (value) {
+  return typeof value === "string" && value.startsWith(KEY_PREFIX);
+};
+
+// 🎟️ Creates a new random key, stores its hash and prefix and returns the raw key
+apiKeySchema.methods.generateKey = function () {
+  const id = crypto.randomBytes(4).toString("hex");
+  const secret = crypto.randomBytes(24).toString("base64url");
+  const key = `${KEY_PREFIX}${id}_${secret}`;
+  this.prefix = `${KEY_PREFIX}${id}`;
+  this.keyHash = this.constructor.hashKey(key);
+  return key;
+};
+
+apiKeySchema.methods.isActive = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+apiKeySchema.methods.toSummary = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    prefix: this.prefix,
+    organization: this.organization,
+    createdBy: this.createdBy,
+    scopes: this.scopes,
+    expiresAt: this.expiresAt,
+    allowedIps: this.allowedIps,
+    lastUsedAt: this.lastUsedAt,
+    lastUsedIp: this.lastUsedIp,
+    status: this.revokedAt ? "revoked" : this.isActive() ? "active" : "expired",
+    rotatedAt: this.rotatedAt,
+    revokedAt: this.revokedAt,
+    createdAt: this.createdAt,
+  };
+};
+
+apiKeySchema.statics.SCOPES = API_KEY_SCOPES;
+
+module.exports = mongoose.model("ApiKey", apiKeySchema);
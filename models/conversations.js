@@ -0,0 +1,112 @@
+const mongoose = require("mongoose");
+
+// Source chunk that was retrieved for an assistant message
+const sourceSchema = new mongoose.Schema(
+  {
+    citation: Number, // The [n] marker used in the answer
+    chunkId: String,
+    documentId: String,
+    filename: String,
+    pageStart: Number,
+    pageEnd: Number,
+    similarity: Number,
+    preview: String,
+  },
+  { _id: false }
+);
+
+const groundingSchema = new mongoose.Schema(
+  {
+    grounded: Boolean,
+    confidence: Number,
+    method: String,
+    unsupportedSentences: [
+      {
+        _id: false,
+        sentence: String,
+        citations: [Number],
+        support: Number,
+      },
+    ],
+  },
+  { _id: false }
+);
+
+const messageSchema = new mongoose.Schema(
+  {
+    role: {
+      type: String,
+      enum: ["user", "assistant"],
+      required: true,
+    },
+    content: {
+      type: String,
+      required: true,
+    },
+    // For user messages: the follow-up rewritten into a standalone question
+    standaloneQuestion: {
+      type: String,
+    },
+    sources: {
+      type: [sourceSchema],
+      default: undefined,
+    },
+    model: {
+      type: String,
+    },
+    // For assistant messages: the grounding check of the answer (see services/grounding.js)
+    grounding: {
+      type: groundingSchema,
+      default: undefined,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// Conversation Schema - a chat thread with its full message history
+const conversationSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // Workspace whose knowledge base answers are retrieved from
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+    },
+    title: {
+      type: String,
+      trim: true,
+      default: "New conversation",
+      maxlength: 200,
+    },
+    messages: {
+      type: [messageSchema],
+      default: [],
+    },
+    lastMessageAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+conversationSchema.index({ owner: 1, updatedAt: -1 });
+
+// 💬 Shape used in conversation lists (without the messages)
+conversationSchema.methods.toSummary = function () {
+  return {
+    id: this._id,
+    organization: this.organization,
+    title: this.title,
+    messageCount: this.messages.length,
+    lastMessageAt: this.lastMessageAt,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+  };
+};
+
+module.exports = mongoose.model("Conversation", conversationSchema);
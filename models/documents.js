@@ -0,0 +1,121 @@
+const mongoose = require("mongoose");
+
+// Document Schema - one record per uploaded file
+const documentSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // Workspace whose knowledge base the document belongs to
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+    },
+    filename: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    mimeType: {
+      type: String,
+    },
+    size: {
+      type: Number, // Size of the original upload in bytes
+      default: 0,
+    },
+    pageCount: {
+      type: Number,
+      default: 0,
+    },
+    // SHA-256 of the uploaded file, used to skip exact duplicates
+    contentHash: {
+      type: String,
+    },
+    // Re-uploading a filename creates a new version; older versions stay
+    // searchable only on request once a newer one is indexed
+    version: {
+      type: Number,
+      default: 1,
+    },
+    previousVersion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Document",
+    },
+    supersededBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Document",
+    },
+    supersededAt: {
+      type: Date,
+    },
+    // Structure reported by the format loader (headings, table rows, columns...)
+    structure: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Extraction quality of the last indexing run (rating, script mix, repairs, warnings)
+    qualityReport: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    chunkIds: {
+      type: [String], // Vector IDs of every chunk stored in the index
+      default: [],
+    },
+    chunkHashes: {
+      type: [String], // SHA-256 of each chunk's text, parallel to chunkIds
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: ["queued", "processing", "indexed", "failed", "cancelled"],
+      default: "queued",
+    },
+    error: {
+      type: String,
+    },
+    // Where the original upload is kept so the document can be re-indexed
+    storagePath: {
+      type: String,
+      select: false,
+    },
+    indexedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+documentSchema.index({ owner: 1, createdAt: -1 });
+documentSchema.index({ organization: 1, createdAt: -1 });
+documentSchema.index({ organization: 1, contentHash: 1 });
+documentSchema.index({ organization: 1, filename: 1, version: -1 });
+
+// 📄 Shape returned by the API (internal paths stay on the server)
+documentSchema.methods.toSummary = function () {
+  return {
+    id: this._id,
+    owner: this.owner,
+    organization: this.organization,
+    filename: this.filename,
+    mimeType: this.mimeType,
+    size: this.size,
+    pageCount: this.pageCount,
+    contentHash: this.contentHash,
+    version: this.version,
+    isLatest: !this.supersededBy,
+    previousVersion: this.previousVersion,
+    supersededBy: this.supersededBy,
+    chunkCount: this.chunkIds.length,
+    quality: this.qualityReport?.rating,
+    status: this.status,
+    error: this.error,
+    indexedAt: this.indexedAt,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+  };
+};
+
+module.exports = mongoose.model("Document", documentSchema);
@@ -0,0 +1,89 @@
+const mongoose = require("mongoose");
+
+// Evaluation Run Schema - one pass of a golden dataset through retrieval and
+// answering, kept so runs can be compared after pipeline changes
+const evaluationRunSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    // Missing for runs started from the command line
+    startedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    source: {
+      type: String,
+      enum: ["api", "cli"],
+      default: "api",
+    },
+    label: {
+      type: String,
+      trim: true,
+    },
+    dataset: {
+      name: { type: String, required: true },
+      hash: { type: String, required: true }, // SHA-256 of the items; equal hashes mean comparable runs
+      itemCount: { type: Number, required: true },
+    },
+    // Pipeline settings the run was made with (retrieval, generation, chunking, models)
+    config: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ["running", "completed", "failed"],
+      default: "running",
+    },
+    itemsProcessed: {
+      type: Number,
+      default: 0,
+    },
+    // Averages over the items: recallAtK, mrr, ndcgAtK, citationAccuracy, faithfulness...
+    metrics: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    // Per-item results: retrieved chunks, scores, answer and judge verdict
+    items: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: [],
+    },
+    error: {
+      type: String,
+    },
+    finishedAt: {
+      type: Date,
+    },
+    durationMs: {
+      type: Number,
+    },
+  },
+  { timestamps: true }
+);
+
+evaluationRunSchema.index({ organization: 1, "dataset.name": 1, createdAt: -1 });
+
+// 📊 Shape returned by the API; per-item results only come with a single run
+evaluationRunSchema.methods.toSummary = function () {
+  return {
+    id: this._id,
+    organization: this.organization,
+    startedBy: this.startedBy,
+    source: this.source,
+    label: this.label,
+    dataset: this.dataset,
+    config: this.config,
+    status: this.status,
+    itemsProcessed: this.itemsProcessed,
+    metrics: this.metrics,
+    error: this.error,
+    createdAt: this.createdAt,
+    finishedAt: this.finishedAt,
+    durationMs: this.durationMs,
+  };
+};
+
+module.exports = mongoose.model("EvaluationRun", evaluationRunSchema);
@@ -0,0 +1,147 @@
+const mongoose = require("mongoose");
+
+// Chunk an extracted value was taken from
+const fieldCitationSchema = new mongoose.Schema(
+  {
+    marker: Number, // The [n] marker of the excerpt in the extraction prompt
+    chunkId: String,
+    documentId: String,
+    filename: String,
+    pageStart: Number,
+    pageEnd: Number,
+  },
+  { _id: false }
+);
+
+// What was extracted from one document
+const extractionResultSchema = new mongoose.Schema(
+  {
+    document: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Document",
+      required: true,
+    },
+    filename: String,
+    version: Number,
+    // completed: valid against the schema; invalid: the model's best reply did not validate
+    status: {
+      type: String,
+      enum: ["completed", "invalid", "failed"],
+      required: true,
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    // One entry per extracted value, with the chunks it came from
+    fields: [
+      {
+        _id: false,
+        path: String, // e.g. "total" or "seller.iban"
+        value: mongoose.Schema.Types.Mixed,
+        citations: [fieldCitationSchema],
+      },
+    ],
+    validationErrors: [
+      {
+        _id: false,
+        field: String,
+        message: String,
+      },
+    ],
+    invalidCitations: [Number],
+    chunksUsed: Number,
+    attempts: Number,
+    model: String,
+    usage: {
+      promptTokens: Number,
+      completionTokens: Number,
+      totalTokens: Number,
+    },
+    error: String,
+  },
+  { _id: false }
+);
+
+// Extraction Schema - fields pulled out of one or more documents into a JSON
+// schema, kept so the results can be exported later as JSON or CSV
+const extractionSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    // The JSON schema the results were validated against
+    schema: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    documents: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Document",
+      },
+    ],
+    status: {
+      type: String,
+      enum: ["running", "completed", "failed"],
+      default: "running",
+    },
+    documentsProcessed: {
+      type: Number,
+      default: 0,
+    },
+    // Retrieval and generation settings the extraction ran with
+    config: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    results: {
+      type: [extractionResultSchema],
+      default: [],
+    },
+    error: String,
+    // Refreshed while the extraction runs; a stale one means its process died
+    heartbeatAt: Date,
+    finishedAt: Date,
+    durationMs: Number,
+  },
+  { timestamps: true, minimize: false }
+);
+
+extractionSchema.index({ organization: 1, createdAt: -1 });
+extractionSchema.index({ status: 1, heartbeatAt: 1 });
+
+// 🧾 Shape returned in lists; the results only come with a single extraction
+extractionSchema.methods.toSummary = function () {
+  const counts = { completed: 0, invalid: 0, failed: 0 };
+  this.results.forEach((result) => {
+    counts[result.status] += 1;
+  });
+
+  return {
+    id: this._id,
+    name: this.name,
+    createdBy: this.createdBy,
+    documents: this.documents,
+    status: this.status,
+    documentsProcessed: this.documentsProcessed,
+    resultCounts: counts,
+    config: this.config,
+    error: this.error,
+    createdAt: this.createdAt,
+    finishedAt: this.finishedAt,
+    durationMs: this.durationMs,
+  };
+};
+
+module.exports = mongoose.model("Extraction", extractionSchema);
@@ -0,0 +1,133 @@
+const mongoose = require("mongoose");
+
+const STAGES = ["queued", "parsing", "chunking", "embedding", "upserting", "done"];
+
+// Progress of one file inside an ingestion job
+const jobFileSchema = new mongoose.Schema(
+  {
+    document: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Document",
+    },
+    filename: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "running", "completed", "error", "cancelled", "skipped"],
+      default: "pending",
+    },
+    stage: {
+      type: String,
+      enum: STAGES,
+      default: "queued",
+    },
+    chunksProcessed: {
+      type: Number,
+      default: 0,
+    },
+    chunksTotal: {
+      type: Number,
+      default: 0,
+    },
+    error: {
+      type: String,
+    },
+    // Existing document with identical content when the file was skipped
+    duplicateOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Document",
+    },
+  },
+  { _id: false }
+);
+
+// Ingestion Job Schema - a queue entry processed by the background worker
+const ingestionJobSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+    },
+    type: {
+      type: String,
+      enum: ["upload", "reindex"],
+      default: "upload",
+    },
+    status: {
+      type: String,
+      enum: ["queued", "running", "completed", "failed", "cancelled"],
+      default: "queued",
+    },
+    files: {
+      type: [jobFileSchema],
+      default: [],
+    },
+    cancelRequested: {
+      type: Boolean,
+      default: false,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Set by the worker that holds the job; a stale heartbeat means it died
+    workerId: {
+      type: String,
+    },
+    heartbeatAt: {
+      type: Date,
+    },
+    startedAt: {
+      type: Date,
+    },
+    finishedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+ingestionJobSchema.index({ status: 1, createdAt: 1 });
+
+// 📊 Shape returned by the jobs API
+ingestionJobSchema.methods.toSummary = function () {
+  const activeFile = this.files.find((file) => file.status === "running");
+  const chunksProcessed = this.files.reduce((sum, file) => sum + file.chunksProcessed, 0);
+  const chunksTotal = this.files.reduce((sum, file) => sum + file.chunksTotal, 0);
+
+  return {
+    id: this._id,
+    organization: this.organization,
+    type: this.type,
+    status: this.status,
+    stage: activeFile ? activeFile.stage : this.finishedAt ? "done" : "queued",
+    chunksProcessed,
+    chunksTotal,
+    files: this.files.map((file) => ({
+      documentId: file.document,
+      filename: file.filename,
+      status: file.status,
+      stage: file.stage,
+      chunksProcessed: file.chunksProcessed,
+      chunksTotal: file.chunksTotal,
+      error: file.error,
+      duplicateOf: file.duplicateOf,
+    })),
+    cancelRequested: this.cancelRequested,
+    attempts: this.attempts,
+    startedAt: this.startedAt,
+    finishedAt: this.finishedAt,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+  };
+};
+
+module.exports = mongoose.model("IngestionJob", ingestionJobSchema);
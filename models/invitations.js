@@ -0,0 +1,83 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+const INVITATION_TTL_DAYS = Number(process.env.INVITATION_TTL_DAYS) || 7;
+
+// Invitation Schema - a pending invite to join a workspace. Only the SHA-256
+// of the token is stored; the raw token is handed out once when it is created.
+const invitationSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+      index: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    role: {
+      type: String,
+      enum: ["admin", "member", "viewer"],
+      default: "member",
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000),
+    },
+    acceptedAt: Date,
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    revokedAt: Date,
+  },
+  { timestamps: true }
+);
+
+// 🔑 Hashes a raw invitation token the same way it is stored
+invitationSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
+
+// 🎟️ Creates a random token, stores its hash and returns the raw token
+invitationSchema.methods.generateToken = function () {
+  const token = crypto.randomBytes(32).toString("hex");
+  this.tokenHash = this.constructor.hashToken(token);
+  return token;
+};
+
+invitationSchema.methods.isPending = function () {
+  return !this.acceptedAt && !this.revokedAt && this.expiresAt > new Date();
+};
+
+invitationSchema.methods.toSummary = function () {
+  return {
+    id: this._id,
+    organization: this.organization,
+    email: this.email,
+    role: this.role,
+    invitedBy: this.invitedBy,
+    expiresAt: this.expiresAt,
+    acceptedAt: this.acceptedAt,
+    revokedAt: this.revokedAt,
+    status: this.acceptedAt ? "accepted" : this.revokedAt ? "revoked" : this.expiresAt > new Date() ? "pending" : "expired",
+    createdAt: this.createdAt,
+  };
+};
+
+module.exports = mongoose.model("Invitation", invitationSchema);
@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+// Lexical Chunk Schema - the BM25 postings for one chunk, written at ingest time.
+// `terms` and `termCounts` are parallel arrays (terms can contain "." so they
+// cannot be map keys).
+const lexicalChunkSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Organization",
+  },
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Document",
+    required: true,
+    index: true,
+  },
+  chunkId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  filename: String,
+  text: String,
+  chunkIndex: Number,
+  pageStart: Number,
+  pageEnd: Number,
+  terms: {
+    type: [String],
+    default: [],
+  },
+  termCounts: {
+    type: [Number],
+    default: [],
+  },
+  length: {
+    type: Number, // Number of tokens in the chunk
+    default: 0,
+  },
+  // True once a newer version of the document has been indexed
+  superseded: {
+    type: Boolean,
+    default: false,
+  },
+});
+
+lexicalChunkSchema.index({ owner: 1, terms: 1 });
+lexicalChunkSchema.index({ organization: 1, terms: 1 });
+
+module.exports = mongoose.model("LexicalChunk", lexicalChunkSchema);
@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+
+// Roles from most to least privileged:
+//   owner  - everything, including managing admins and deleting the workspace
+//   admin  - invite and manage members, delete any document
+//   member - upload, query, manage their own documents
+//   viewer - query and read documents only
+const ROLES = ["owner", "admin", "member", "viewer"];
+
+// Membership Schema - links a user to a workspace with a role
+const membershipSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    role: {
+      type: String,
+      enum: ROLES,
+      default: "member",
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+membershipSchema.index({ organization: 1, user: 1 }, { unique: true });
+
+// ✅ True when the member's role is `role` or more privileged
+membershipSchema.methods.hasRole = function (role) {
+  return ROLES.indexOf(this.role) <= ROLES.indexOf(role);
+};
+
+membershipSchema.statics.ROLES = ROLES;
+
+module.exports = mongoose.model("Membership", membershipSchema);
@@ -0,0 +1,76 @@
+const mongoose = require("mongoose");
+
+// Billing plans; their quotas live in services/usageService.js
+const PLANS = ["free", "team", "enterprise"];
+// Language answers are written in: the question's language, or always Georgian or English
+const ANSWER_LANGUAGES = ["auto", "ka", "en"];
+
+// Organization Schema - a company workspace with a shared knowledge base.
+// Every workspace gets its own vector namespace so tenants are isolated at
+// the index level.
+const organizationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    vectorNamespace: {
+      type: String,
+      unique: true,
+    },
+    plan: {
+      type: String,
+      enum: PLANS,
+      default: () => (PLANS.includes(process.env.DEFAULT_PLAN) ? process.env.DEFAULT_PLAN : "free"),
+    },
+    // Per-workspace overrides of the plan's quotas, e.g. { documents: 5000 }; null means unlimited
+    limits: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Answer prompt in use; null means the built-in default template
+    promptTemplate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PromptTemplate",
+      default: null,
+    },
+    answerLanguage: {
+      type: String,
+      enum: ANSWER_LANGUAGES,
+      default: "auto",
+    },
+  },
+  { timestamps: true }
+);
+
+organizationSchema.pre("validate", function (next) {
+  if (!this.vectorNamespace) {
+    this.vectorNamespace = `org_${this._id}`;
+  }
+  next();
+});
+
+// 🏢 Shape returned by the API
+organizationSchema.methods.toSummary = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    owner: this.owner,
+    plan: this.plan,
+    answerLanguage: this.answerLanguage,
+    promptTemplate: this.promptTemplate,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+  };
+};
+
+organizationSchema.statics.PLANS = PLANS;
+organizationSchema.statics.ANSWER_LANGUAGES = ANSWER_LANGUAGES;
+
+module.exports = mongoose.model("Organization", organizationSchema);
@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+// Prompt Template Schema - one version of a workspace's answer prompt. Versions
+// are never edited: saving a template adds the next version, and the workspace
+// points at the one in use (Organization.promptTemplate). See
+// services/promptTemplates.js for the {{variables}} a template can use.
+const promptTemplateSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    template: {
+      type: String,
+      required: true,
+    },
+    // What changed in this version, e.g. "Formal tone, bullet lists"
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+promptTemplateSchema.index({ organization: 1, version: -1 }, { unique: true });
+
+// 📝 Shape returned by the API; `active` needs the workspace it belongs to
+promptTemplateSchema.methods.toSummary = function (organization) {
+  return {
+    id: this._id,
+    version: this.version,
+    description: this.description,
+    template: this.template,
+    active: Boolean(organization?.promptTemplate && organization.promptTemplate.equals(this._id)),
+    createdBy: this.createdBy,
+    createdAt: this.createdAt,
+  };
+};
+
+module.exports = mongoose.model("PromptTemplate", promptTemplateSchema);
@@ -0,0 +1,137 @@
+const mongoose = require("mongoose");
+
+const FEEDBACK_RATINGS = ["up", "down"];
+
+// One retrieved chunk as it was ranked for the query
+const loggedChunkSchema = new mongoose.Schema(
+  {
+    chunkId: String,
+    documentId: String,
+    filename: String,
+    similarity: Number,
+    keywordScore: Number,
+    fusedScore: Number,
+    rerankScore: Number,
+  },
+  { _id: false }
+);
+
+const loggedCitationSchema = new mongoose.Schema(
+  {
+    marker: Number,
+    chunkId: String,
+    documentId: String,
+    filename: String,
+  },
+  { _id: false }
+);
+
+// Query Log Schema - every question answered by /api/query or a conversation,
+// kept for feedback and workspace analytics
+const queryLogSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    source: {
+      type: String,
+      enum: ["query", "stream", "conversation"],
+      required: true,
+    },
+    conversation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Conversation",
+    },
+    query: {
+      type: String,
+      required: true,
+    },
+    // The question retrieval actually ran on (a rewritten follow-up in conversations)
+    retrievalQuery: {
+      type: String,
+    },
+    retrievalMode: {
+      type: String,
+    },
+    chunks: {
+      type: [loggedChunkSchema],
+      default: [],
+    },
+    chunksFound: {
+      type: Number,
+      default: 0,
+    },
+    // Best vector similarity; null when no vector scores exist (keyword mode)
+    maxSimilarity: {
+      type: Number,
+    },
+    // False when nothing was retrieved or the best match was below the similarity threshold
+    answered: {
+      type: Boolean,
+      default: true,
+    },
+    // True when the answer was withheld because the retrieved chunks were not relevant enough
+    abstained: {
+      type: Boolean,
+      default: false,
+    },
+    answer: {
+      type: String,
+    },
+    citations: {
+      type: [loggedCitationSchema],
+      default: [],
+    },
+    // Verdict of the grounding check on the answer (see services/grounding.js)
+    grounding: {
+      grounded: Boolean,
+      confidence: Number,
+      method: String,
+      unsupportedSentences: Number,
+    },
+    // Prompt the answer was generated with: template version (none for the default) and answer language
+    prompt: {
+      templateVersion: Number,
+      language: String,
+    },
+    model: String,
+    provider: String,
+    usage: {
+      promptTokens: Number,
+      completionTokens: Number,
+      totalTokens: Number,
+    },
+    latencyMs: {
+      retrieval: Number,
+      generation: Number,
+      total: Number,
+    },
+    feedback: {
+      rating: {
+        type: String,
+        enum: FEEDBACK_RATINGS,
+      },
+      comment: {
+        type: String,
+        trim: true,
+        maxlength: 2000,
+      },
+      createdAt: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+queryLogSchema.index({ organization: 1, createdAt: -1 });
+queryLogSchema.index({ organization: 1, answered: 1, createdAt: -1 });
+
+queryLogSchema.statics.FEEDBACK_RATINGS = FEEDBACK_RATINGS;
+
+module.exports = mongoose.model("QueryLog", queryLogSchema);
@@ -0,0 +1,63 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Refresh Token Schema - one per issued refresh token. Only the SHA-256 of the
+// token is stored. Every refresh replaces the token with a new one in the same
+// `session`; presenting a replaced token again revokes the whole session.
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // Sign-in this token belongs to; access tokens carry it as `sid`
+    session: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    },
+    revokedAt: Date,
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RefreshToken",
+    },
+    createdByIp: String,
+    userAgent: String,
+  },
+  { timestamps: true }
+);
+
+// Expired tokens are removed by MongoDB's TTL monitor
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// 🔑 Hashes a raw refresh token the same way it is stored
+refreshTokenSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
+
+// 🎟️ Creates a random token, stores its hash and returns the raw token
+refreshTokenSchema.methods.generateToken = function () {
+  const token = crypto.randomBytes(48).toString("hex");
+  this.tokenHash = this.constructor.hashToken(token);
+  return token;
+};
+
+refreshTokenSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model("RefreshToken", refreshTokenSchema);
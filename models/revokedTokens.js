@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+// Revoked Token Schema - access tokens (by their `jti`) that were logged out
+// before they expired. `protect` rejects them; each entry is removed by the
+// TTL monitor once the token would have expired anyway.
+const revokedTokenSchema = new mongoose.Schema(
+  {
+    jti: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RevokedToken", revokedTokenSchema);
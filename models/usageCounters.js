@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+// Usage Counter Schema - one counter document per key, incremented atomically:
+//   rate:<route>:<userId>:<windowStart>   requests in a rate-limit window
+//   month:<YYYY-MM>:org:<orgId>           queries and LLM tokens of a workspace
+//   month:<YYYY-MM>:org:<orgId>:user:<id> queries and LLM tokens of one member in a workspace
+// Expired counters are removed by MongoDB's TTL monitor.
+const usageCounterSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    requests: {
+      type: Number,
+      default: 0,
+    },
+    queries: {
+      type: Number,
+      default: 0,
+    },
+    tokens: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+usageCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("UsageCounter", usageCounterSchema);
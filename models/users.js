@@ -1,8 +1,12 @@
 //email, saxeli, gvari. company
+const crypto = require("crypto");
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 const jsonwebtoken = require("jsonwebtoken");
 
+const ACCESS_TOKEN_EXPIRE = process.env.ACCESS_TOKEN_EXPIRE || "15m";
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+
 // User Schema
 const userSchema = new mongoose.Schema({
   name: {
@@ -28,6 +32,27 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6,
   },
+  company: {
+    type: String,
+    trim: true,
+  },
+  // Workspace used when a request does not name one in X-Organization-Id
+  defaultOrganization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Organization",
+  },
+  // Access tokens issued before this moment are rejected (set on password
+  // change or reset and on "log out everywhere")
+  tokensValidAfter: Date,
+  // SHA-256 of the pending password reset token; cleared once it is used
+  passwordResetTokenHash: {
+    type: String,
+    select: false,
+  },
+  passwordResetExpiresAt: {
+    type: Date,
+    select: false,
+  },
 });
 
 userSchema.pre("save", async function (next) {
@@ -40,17 +65,47 @@ userSchema.pre("save", async function (next) {
   next();
 });
 
-// 🔑 Sign JWT and return token for the user 🚀
-userSchema.methods.getSignedJwtToken = function () {
+// 🔑 Sign a short-lived access token for the user 🚀
+// `sessionId` ties it to the refresh token it was issued with (logout revokes both)
+userSchema.methods.getSignedJwtToken = function (sessionId) {
   return jsonwebtoken.sign(
-    { id: this._id }, // Payload: user's ID
+    { id: this._id, sid: sessionId }, // Payload: user's ID and session
     process.env.JWT_SECRET, // Your secret key from .env
     {
-      expiresIn: process.env.JWT_EXPIRE, // Token expiration from .env
+      expiresIn: ACCESS_TOKEN_EXPIRE,
+      jwtid: crypto.randomUUID(), // Lets a single token be revoked on logout
     }
   );
 };
 
+// 🚫 Whether an access token issued at `issuedAt` (JWT `iat`, in seconds) was revoked wholesale
+userSchema.methods.isTokenRevoked = function (issuedAt) {
+  return Boolean(this.tokensValidAfter) && issuedAt < Math.floor(this.tokensValidAfter.getTime() / 1000);
+};
+
+// 🔁 Creates a single-use password reset token, stores its hash and returns the raw token
+userSchema.methods.generatePasswordResetToken = function () {
+  const token = crypto.randomBytes(32).toString("hex");
+  this.passwordResetTokenHash = this.constructor.hashResetToken(token);
+  this.passwordResetExpiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+  return token;
+};
+
+userSchema.statics.hashResetToken = function (token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
+
+userSchema.methods.toProfile = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    username: this.username,
+    email: this.email,
+    company: this.company,
+    defaultOrganization: this.defaultOrganization,
+  };
+};
+
 // ✅ Match user entered password to hashed password in database 🤝
 userSchema.methods.comparePassword = async function (enteredPassword) {
   // `this.password` refers to the hashed password stored in the database
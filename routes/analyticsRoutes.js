@@ -0,0 +1,14 @@
+// routes/analyticsRoutes.js
+const express = require("express");
+const router = express.Router();
+const analyticsController = require("../controllers/analyticsController");
+const { protect } = require("./../middleware/authMiddleware");
+const { resolveWorkspace, requireRole } = require("./../middleware/workspaceMiddleware");
+
+// Workspace usage analytics from the query logs (workspace admins only)
+router.get("/queries", protect, resolveWorkspace, requireRole("admin"), analyticsController.getQueryVolume); // /api/analytics/queries
+router.get("/unanswered", protect, resolveWorkspace, requireRole("admin"), analyticsController.getUnansweredQueries);
+router.get("/documents", protect, resolveWorkspace, requireRole("admin"), analyticsController.getTopDocuments);
+router.get("/feedback", protect, resolveWorkspace, requireRole("admin"), analyticsController.getFeedback);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+// routes/apiKeyRoutes.js
+const express = require("express");
+const router = express.Router();
+const apiKeyController = require("../controllers/apiKeyController");
+const { protect } = require("./../middleware/authMiddleware");
+const { resolveWorkspace } = require("./../middleware/workspaceMiddleware");
+
+// API keys for server-to-server integrations (managed with a user token only)
+router.post("/", protect, resolveWorkspace, apiKeyController.createApiKey); // /api/api-keys
+router.get("/", protect, resolveWorkspace, apiKeyController.listApiKeys);
+router.post("/:id/rotate", protect, resolveWorkspace, apiKeyController.rotateApiKey);
+router.delete("/:id", protect, resolveWorkspace, apiKeyController.revokeApiKey);
+
+module.exports = router;
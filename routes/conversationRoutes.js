@@ -0,0 +1,17 @@
+// routes/conversationRoutes.js
+const express = require("express");
+const router = express.Router();
+const conversationController = require("../controllers/conversationController");
+const { protect } = require("./../middleware/authMiddleware");
+const { resolveWorkspace } = require("./../middleware/workspaceMiddleware");
+const { rateLimit, requireQueryQuota } = require("./../middleware/usageMiddleware");
+
+// Conversation routes (multi-turn chat over the workspace's documents)
+router.post("/", protect, resolveWorkspace, conversationController.createConversation); // /api/conversations
+router.get("/", protect, resolveWorkspace, conversationController.listConversations);
+router.get("/:id", protect, resolveWorkspace, conversationController.getConversation);
+router.patch("/:id", protect, resolveWorkspace, conversationController.renameConversation);
+router.delete("/:id", protect, resolveWorkspace, conversationController.deleteConversation);
+router.post("/:id/messages", protect, rateLimit("query"), resolveWorkspace, requireQueryQuota, conversationController.sendMessage);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+// routes/docsRoutes.js
+const express = require("express");
+const router = express.Router();
+const { getOpenApiDocument } = require("../schemas");
+
+// Public API description for client generators
+router.get("/openapi.json", (req, res) => {
+  res.status(200).json(getOpenApiDocument());
+}); // /api/docs/openapi.json
+
+module.exports = router;
@@ -0,0 +1,15 @@
+// routes/documentRoutes.js
+const express = require("express");
+const router = express.Router();
+const documentController = require("../controllers/documentController");
+const { protect, requireScope } = require("./../middleware/authMiddleware");
+const { resolveWorkspace, requireRole } = require("./../middleware/workspaceMiddleware");
+
+// Document management routes
+router.get("/", protect, requireScope("documents:read"), resolveWorkspace, documentController.listDocuments); // /api/documents
+router.get("/:id", protect, requireScope("documents:read"), resolveWorkspace, documentController.getDocument);
+router.get("/:id/versions", protect, requireScope("documents:read"), resolveWorkspace, documentController.getDocumentVersions);
+router.delete("/:id", protect, requireScope("documents:delete"), resolveWorkspace, requireRole("member"), documentController.deleteDocument);
+router.post("/:id/reindex", protect, requireScope("upload"), resolveWorkspace, requireRole("member"), documentController.reindexDocument);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+// routes/evaluationRoutes.js
+const express = require("express");
+const router = express.Router();
+const evaluationController = require("../controllers/evaluationController");
+const { protect } = require("./../middleware/authMiddleware");
+const { resolveWorkspace, requireRole } = require("./../middleware/workspaceMiddleware");
+const { rateLimit, requireQueryQuota } = require("./../middleware/usageMiddleware");
+
+// Evaluation runs over golden datasets (workspace admins only)
+router.post("/", protect, rateLimit("query"), resolveWorkspace, requireRole("admin"), requireQueryQuota, evaluationController.startEvaluation); // /api/evaluations
+router.get("/", protect, resolveWorkspace, requireRole("admin"), evaluationController.listEvaluations);
+router.get("/compare", protect, resolveWorkspace, requireRole("admin"), evaluationController.compareEvaluations);
+router.get("/:id", protect, resolveWorkspace, requireRole("admin"), evaluationController.getEvaluation);
+
+module.exports = router;
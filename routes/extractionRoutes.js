@@ -0,0 +1,15 @@
+// routes/extractionRoutes.js
+const express = require("express");
+const router = express.Router();
+const extractionController = require("../controllers/extractionController");
+const { protect, requireScope } = require("./../middleware/authMiddleware");
+const { resolveWorkspace, requireRole } = require("./../middleware/workspaceMiddleware");
+const { rateLimit, requireQueryQuota } = require("./../middleware/usageMiddleware");
+
+// Structured field extraction from documents into a JSON schema
+router.post("/", protect, requireScope("extract"), rateLimit("query"), resolveWorkspace, requireRole("member"), requireQueryQuota, extractionController.startExtraction); // /api/extractions
+router.get("/", protect, requireScope("extract"), resolveWorkspace, extractionController.listExtractions);
+router.get("/:id", protect, requireScope("extract"), resolveWorkspace, extractionController.getExtraction);
+router.get("/:id/export", protect, requireScope("extract"), resolveWorkspace, extractionController.exportExtraction); // ?format=json|csv
+
+module.exports = router;
@@ -0,0 +1,20 @@
+// routes/organizationRoutes.js
+const express = require("express");
+const router = express.Router();
+const organizationController = require("../controllers/organizationController");
+const { protect } = require("./../middleware/authMiddleware");
+
+// Workspace, membership and invitation routes
+router.post("/", protect, organizationController.createOrganization); // /api/organizations
+router.get("/", protect, organizationController.listOrganizations);
+router.post("/join", protect, organizationController.joinOrganization);
+router.get("/:id", protect, organizationController.getOrganization);
+router.patch("/:id", protect, organizationController.updateOrganization);
+router.post("/:id/activate", protect, organizationController.activateOrganization);
+router.post("/:id/invitations", protect, organizationController.createInvitation);
+router.get("/:id/invitations", protect, organizationController.listInvitations);
+router.delete("/:id/invitations/:invitationId", protect, organizationController.revokeInvitation);
+router.patch("/:id/members/:userId", protect, organizationController.updateMember);
+router.delete("/:id/members/:userId", protect, organizationController.removeMember);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+// routes/promptTemplateRoutes.js
+const express = require("express");
+const router = express.Router();
+const promptTemplateController = require("../controllers/promptTemplateController");
+const { protect } = require("./../middleware/authMiddleware");
+const { resolveWorkspace, requireRole } = require("./../middleware/workspaceMiddleware");
+const { rateLimit } = require("./../middleware/usageMiddleware");
+
+// Versioned answer prompt templates of the workspace (workspace admins only)
+router.get("/", protect, resolveWorkspace, requireRole("admin"), promptTemplateController.listPromptTemplates); // /api/prompt-templates
+router.post("/", protect, resolveWorkspace, requireRole("admin"), promptTemplateController.createPromptTemplate);
+router.post("/reset", protect, resolveWorkspace, requireRole("admin"), promptTemplateController.resetPromptTemplate);
+router.post("/preview", protect, resolveWorkspace, requireRole("admin"), rateLimit("query"), promptTemplateController.previewPrompt);
+router.get("/:id", protect, resolveWorkspace, requireRole("admin"), promptTemplateController.getPromptTemplate);
+router.post("/:id/activate", protect, resolveWorkspace, requireRole("admin"), promptTemplateController.activatePromptTemplate);
+
+module.exports = router;
@@ -2,11 +2,17 @@
 const express = require("express");
 const router = express.Router();
 const queryController = require("../controllers/queryController"); // Path to your query controller
-const { protect } = require("./../middleware/authMiddleware");
+const { protect, requireScope } = require("./../middleware/authMiddleware");
+const { resolveWorkspace } = require("./../middleware/workspaceMiddleware");
+const { rateLimit, requireQueryQuota } = require("./../middleware/usageMiddleware");
+const { validate } = require("./../middleware/validationMiddleware");
+const { querySchemas } = require("./../schemas");
 // If this route also accepts file uploads, include multer here
 
 // AI query route
 // Apply multer middleware if files are expected here too
-router.post("/", protect, queryController.sendPrompt); // Correct for /api/query
+router.post("/", protect, requireScope("query"), validate(querySchemas.sendPrompt), rateLimit("query"), resolveWorkspace, requireQueryQuota, queryController.sendPrompt); // Correct for /api/query (SSE with Accept: text/event-stream)
+router.post("/stream", protect, requireScope("query"), validate(querySchemas.streamPrompt), rateLimit("query"), resolveWorkspace, requireQueryQuota, queryController.streamPrompt); // Always streams over SSE
+router.post("/:id/feedback", protect, requireScope("query"), validate(querySchemas.submitFeedback), resolveWorkspace, queryController.submitFeedback); // Thumbs up/down on an answer
 
 module.exports = router;
@@ -2,13 +2,35 @@
 const express = require("express");
 const router = express.Router();
 const uploadController = require("../controllers/uploadController");
-const { protect } = require("./../middleware/authMiddleware"); // Path to your upload controller
+const { protect, requireScope } = require("./../middleware/authMiddleware"); // Path to your upload controller
+const { resolveWorkspace, requireRole } = require("./../middleware/workspaceMiddleware");
+const { rateLimit, requireUploadQuota } = require("./../middleware/usageMiddleware");
+const { validate } = require("./../middleware/validationMiddleware");
+const { uploadSchemas } = require("./../schemas");
 // Assuming you have multer configured in server.js and pass it here, or configure it here
 const multer = require("multer"); // Import multer
 // Define storage for multer in this file or import from a config file
 
 const upload = multer({ dest: "uploads/" });
 
-router.post("/", upload.array("files"), protect, uploadController.uploadFiles);
+// Auth, role, rate limit and quota checks run before multer so rejected requests never write temp files
+router.post(
+  "/",
+  protect,
+  requireScope("upload"),
+  validate(uploadSchemas.uploadFiles),
+  rateLimit("upload"),
+  resolveWorkspace,
+  requireRole("member"),
+  requireUploadQuota,
+  upload.array("files"),
+  uploadController.uploadFiles
+);
+
+// Background ingestion jobs created by uploads and re-indexing
+router.get("/jobs", protect, requireScope("upload"), validate(uploadSchemas.listJobs), resolveWorkspace, uploadController.listJobs);
+router.get("/jobs/:id", protect, requireScope("upload"), validate(uploadSchemas.getJob), resolveWorkspace, uploadController.getJob);
+router.post("/jobs/:id/cancel", protect, requireScope("upload"), validate(uploadSchemas.cancelJob), resolveWorkspace, uploadController.cancelJob);
+router.post("/jobs/:id/retry", protect, requireScope("upload"), validate(uploadSchemas.retryJob), resolveWorkspace, uploadController.retryJob);
 
 module.exports = router;
@@ -0,0 +1,11 @@
+// routes/usageRoutes.js
+const express = require("express");
+const router = express.Router();
+const usageController = require("../controllers/usageController");
+const { protect } = require("./../middleware/authMiddleware");
+const { resolveWorkspace } = require("./../middleware/workspaceMiddleware");
+
+// Quota usage of the current workspace
+router.get("/", protect, resolveWorkspace, usageController.getUsage); // /api/usage
+
+module.exports = router;
@@ -2,14 +2,20 @@
 const express = require("express");
 const router = express.Router();
 const userController = require("../controllers/userController"); // Path to your user controller
-// You might also need protect middleware if certain user routes are private
-// const { protect } = require("../controllers/authController");
+const { protect } = require("../middleware/authMiddleware");
+const { validate } = require("../middleware/validationMiddleware");
+const { userSchemas } = require("../schemas");
 
 // User authentication/management routes
-router.post("/signup", userController.signUp);
-router.post("/signIn", userController.signUser);
+router.post("/signup", validate(userSchemas.signUp), userController.signUp);
+router.post("/signIn", validate(userSchemas.signIn), userController.signUser);
 // Correct for /api/user/signIn
-// Add other user routes here, e.g.,
-// router.get("/profile", protect, userController.getUserProfile);
+router.post("/refresh", validate(userSchemas.refresh), userController.refreshToken);
+router.post("/logout", protect, validate(userSchemas.logout), userController.logout);
+router.patch("/password", protect, validate(userSchemas.changePassword), userController.changePassword);
+router.post("/password/forgot", validate(userSchemas.forgotPassword), userController.forgotPassword);
+router.post("/password/reset", validate(userSchemas.resetPassword), userController.resetPassword);
+router.get("/me", protect, userController.getMe);
+router.patch("/me", protect, validate(userSchemas.updateMe), userController.updateMe);
 
 module.exports = router;
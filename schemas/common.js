@@ -0,0 +1,185 @@
+// Shared JSON schemas for request validation and the OpenAPI document.
+// Response schemas point at `components` with ref(); request schemas are kept
+// self-contained so the validation middleware can compile them on their own.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const objectId = { type: "string", pattern: "^[0-9a-fA-F]{24}$" };
+const nonEmptyString = (maxLength) => ({ type: "string", minLength: 1, pattern: "\\S", maxLength });
+
+const idParams = {
+  type: "object",
+  required: ["id"],
+  properties: { id: objectId },
+};
+
+const components = {
+  Error: {
+    type: "object",
+    required: ["success", "error", "message"],
+    properties: {
+      success: { type: "boolean", const: false },
+      error: { type: "string", description: "Short summary, e.g. \"Not found\"" },
+      message: { type: "string", description: "What went wrong, for display" },
+    },
+  },
+  ValidationError: {
+    type: "object",
+    required: ["success", "error", "message", "details"],
+    properties: {
+      success: { type: "boolean", const: false },
+      error: { type: "string", const: "Validation failed" },
+      message: { type: "string", description: "The first problem, for display" },
+      details: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["location", "field", "message"],
+          properties: {
+            location: { type: "string", enum: ["body", "query", "params"] },
+            field: { type: "string", description: "Dotted path of the offending field; empty for the whole location" },
+            message: { type: "string" },
+          },
+        },
+      },
+    },
+  },
+  UserProfile: {
+    type: "object",
+    properties: {
+      id: objectId,
+      name: { type: "string" },
+      username: { type: "string" },
+      email: { type: "string", format: "email" },
+      company: { type: "string" },
+      defaultOrganization: objectId,
+    },
+  },
+  TokenResponse: {
+    type: "object",
+    required: ["success", "token", "refreshToken", "user"],
+    properties: {
+      success: { type: "boolean", const: true },
+      token: { type: "string", description: "Access token (also set as the `token` cookie)" },
+      expiresAt: { type: "string", format: "date-time" },
+      refreshToken: { type: "string", description: "Refresh token (also set as the `refreshToken` cookie)" },
+      refreshTokenExpiresAt: { type: "string", format: "date-time" },
+      user: ref("UserProfile"),
+    },
+  },
+  Message: {
+    type: "object",
+    required: ["success", "message"],
+    properties: {
+      success: { type: "boolean", const: true },
+      message: { type: "string" },
+    },
+  },
+  IngestionJob: {
+    type: "object",
+    properties: {
+      id: objectId,
+      organization: objectId,
+      type: { type: "string" },
+      status: { type: "string" },
+      stage: { type: "string" },
+      chunksProcessed: { type: "integer" },
+      chunksTotal: { type: "integer" },
+      files: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            documentId: objectId,
+            filename: { type: "string" },
+            status: { type: "string" },
+            stage: { type: "string" },
+            chunksProcessed: { type: "integer" },
+            chunksTotal: { type: "integer" },
+            error: { type: "string" },
+            duplicateOf: objectId,
+          },
+        },
+      },
+      cancelRequested: { type: "boolean" },
+      attempts: { type: "integer" },
+      startedAt: { type: "string", format: "date-time" },
+      finishedAt: { type: "string", format: "date-time" },
+      createdAt: { type: "string", format: "date-time" },
+      updatedAt: { type: "string", format: "date-time" },
+    },
+  },
+  JobResponse: {
+    type: "object",
+    required: ["success", "job"],
+    properties: {
+      success: { type: "boolean", const: true },
+      job: ref("IngestionJob"),
+    },
+  },
+  Source: {
+    type: "object",
+    properties: {
+      citation: { type: "integer", description: "Number used by [n] markers in the answer" },
+      filename: { type: "string" },
+      documentId: objectId,
+      pageStart: { type: "integer" },
+      pageEnd: { type: "integer" },
+      similarity: { type: "number" },
+      keywordScore: { type: "number" },
+      fusedScore: { type: "number" },
+      rerankScore: { type: "number" },
+      preview: { type: "string" },
+      chunkId: { type: "string" },
+    },
+  },
+  Citation: {
+    type: "object",
+    properties: {
+      marker: { type: "integer" },
+      filename: { type: "string" },
+      documentId: objectId,
+      pageStart: { type: "integer" },
+      pageEnd: { type: "integer" },
+      chunkId: { type: "string" },
+    },
+  },
+  TokenUsage: {
+    type: "object",
+    properties: {
+      promptTokens: { type: "integer" },
+      completionTokens: { type: "integer" },
+      totalTokens: { type: "integer" },
+    },
+  },
+  Grounding: {
+    type: ["object", "null"],
+    description: "Result of checking every answer sentence against the chunks it cites; null when the check was skipped",
+    properties: {
+      grounded: { type: "boolean" },
+      confidence: { type: "number", minimum: 0, maximum: 1 },
+      method: { type: "string", enum: ["lexical", "llm"] },
+      sentencesChecked: { type: "integer" },
+      unsupportedSentences: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            sentence: { type: "string" },
+            citations: { type: "array", items: { type: "integer" } },
+            support: { type: "number" },
+          },
+        },
+      },
+      usage: ref("TokenUsage"),
+    },
+  },
+};
+
+module.exports = {
+  ref,
+  objectId,
+  nonEmptyString,
+  idParams,
+  components,
+};
@@ -0,0 +1,144 @@
+const { components, ref } = require("./common");
+const userSchemas = require("./userSchemas");
+const uploadSchemas = require("./uploadSchemas");
+const querySchemas = require("./querySchemas");
+const packageJson = require("../package.json");
+
+// Every operation with a schema, in the order they appear in the document
+const operations = [
+  ...Object.values(userSchemas),
+  ...Object.values(uploadSchemas),
+  ...Object.values(querySchemas),
+];
+
+const SECURITY = {
+  public: [],
+  user: [{ bearerAuth: [] }, { cookieAuth: [] }],
+  userOrApiKey: [{ bearerAuth: [] }, { cookieAuth: [] }, { apiKeyAuth: [] }],
+};
+
+const workspaceHeader = {
+  name: "X-Organization-Id",
+  in: "header",
+  required: false,
+  description: "Workspace to act on (default: the user's default workspace; API keys always use their own)",
+  schema: { type: "string", pattern: "^[0-9a-fA-F]{24}$" },
+};
+
+// ===== HELPER FUNCTIONS =====
+
+// Express "/jobs/:id" -> OpenAPI "/jobs/{id}"
+function toOpenApiPath(path) {
+  return path.replace(/:(\w+)/g, "{$1}");
+}
+
+function toParameters(schema, location) {
+  if (!schema) {
+    return [];
+  }
+  return Object.entries(schema.properties).map(([name, property]) => ({
+    name,
+    in: location,
+    required: location === "path" || (schema.required || []).includes(name),
+    schema: property,
+  }));
+}
+
+function toResponse({ description, schema, contentType = "application/json" }) {
+  return { description, content: { [contentType]: { schema } } };
+}
+
+function toOperation(operation) {
+  const responses = {};
+  for (const [status, response] of Object.entries(operation.responses)) {
+    responses[status] = toResponse(response);
+  }
+  if (operation.body || operation.query || operation.params) {
+    responses[400] = responses[400] || toResponse({ description: "The request does not match its schema", schema: ref("ValidationError") });
+  }
+  if (operation.auth !== "public") {
+    responses[401] = responses[401] || toResponse({ description: "Missing, invalid, expired or revoked credentials", schema: ref("Error") });
+    if (operation.workspace || operation.scope) {
+      responses[403] = responses[403] || toResponse({ description: "Not a member of the workspace, missing role or API key scope", schema: ref("Error") });
+    }
+  }
+  responses.default = toResponse({ description: "Unexpected error", schema: ref("Error") });
+
+  const result = {
+    operationId: operation.operationId,
+    tags: operation.tags,
+    summary: operation.summary,
+    security: SECURITY[operation.auth],
+    parameters: [
+      ...toParameters(operation.params, "path"),
+      ...toParameters(operation.query, "query"),
+      ...(operation.workspace ? [workspaceHeader] : []),
+    ],
+    responses,
+  };
+  if (operation.scope) {
+    result.description = `API keys need the \`${operation.scope}\` scope.`;
+  }
+  if (operation.rateLimited) {
+    result.description = [result.description, "Rate limited per user; responses carry RateLimit-* headers."].filter(Boolean).join(" ");
+  }
+  if (operation.body) {
+    result.requestBody = {
+      required: (operation.body.required || []).length > 0,
+      content: { [operation.bodyContentType || "application/json"]: { schema: operation.body } },
+    };
+  }
+  return result;
+}
+
+// ===== EXPORTED API =====
+
+let openApiDocument;
+
+/**
+ * The OpenAPI 3.1 description of every operation above, built once.
+ */
+function getOpenApiDocument() {
+  if (openApiDocument) {
+    return openApiDocument;
+  }
+
+  const paths = {};
+  for (const operation of operations) {
+    const path = toOpenApiPath(operation.path);
+    paths[path] = { ...paths[path], [operation.method]: toOperation(operation) };
+  }
+
+  openApiDocument = {
+    openapi: "3.1.0",
+    info: {
+      title: "VectorMind RAG API",
+      version: packageJson.version,
+      description: packageJson.description,
+    },
+    servers: [{ url: "/" }],
+    tags: [
+      { name: "User", description: "Accounts, sessions and passwords" },
+      { name: "Upload", description: "Document uploads and ingestion jobs" },
+      { name: "Query", description: "Questions answered from the workspace's documents" },
+    ],
+    paths,
+    components: {
+      schemas: components,
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT", description: "Access token from sign-in or refresh (an API key is accepted here too)" },
+        cookieAuth: { type: "apiKey", in: "cookie", name: "token" },
+        apiKeyAuth: { type: "apiKey", in: "header", name: "X-API-Key" },
+      },
+    },
+  };
+  return openApiDocument;
+}
+
+module.exports = {
+  operations,
+  userSchemas,
+  uploadSchemas,
+  querySchemas,
+  getOpenApiDocument,
+};
@@ -0,0 +1,179 @@
+const QueryLog = require("../models/queryLogs");
+const Organization = require("../models/organizations");
+const { RETRIEVAL_MODES, MAX_RESULTS, MAX_CANDIDATE_POOL } = require("../services/ragService");
+const { MAX_TOKENS_LIMIT } = require("../services/llm");
+const { ref, objectId, nonEmptyString, idParams } = require("./common");
+
+// Request and response schemas for /api/query
+const MAX_QUERY_LENGTH = 4000;
+
+const queryBody = {
+  type: "object",
+  required: ["query"],
+  additionalProperties: false,
+  properties: {
+    query: nonEmptyString(MAX_QUERY_LENGTH),
+    maxResults: { type: "integer", minimum: 1, maximum: MAX_RESULTS, default: 5 },
+    includeMetadata: { type: "boolean", default: true, description: "Include the sources in the response" },
+    mode: { type: "string", enum: RETRIEVAL_MODES, description: "Defaults to RETRIEVAL_MODE (hybrid)" },
+    rerank: { type: "boolean", description: "Defaults to RERANK_ENABLED" },
+    candidatePool: {
+      type: "integer",
+      minimum: 1,
+      maximum: MAX_CANDIDATE_POOL,
+      description: "Chunks retrieved before reranking; at least maxResults",
+    },
+    allVersions: { type: "boolean", default: false, description: "Also search superseded document versions" },
+    minSimilarity: {
+      type: "number",
+      minimum: 0,
+      maximum: 1,
+      description: "Abstain when the best vector similarity is below this; defaults to MIN_SIMILARITY (0.35)",
+    },
+    verifyGrounding: { type: "boolean", default: true, description: "Check the answer against its cited chunks (GROUNDING_CHECK)" },
+    model: nonEmptyString(200),
+    maxTokens: { type: "integer", minimum: 1, maximum: MAX_TOKENS_LIMIT },
+    temperature: { type: "number", minimum: 0, maximum: 2 },
+  },
+};
+
+const answerMetadata = {
+  type: "object",
+  properties: {
+    queryId: objectId,
+    userId: objectId,
+    organizationId: { type: "string" },
+    retrievalMode: { type: "string", enum: RETRIEVAL_MODES },
+    rerank: {
+      type: ["object", "null"],
+      properties: {
+        model: { type: "string" },
+        candidatePool: { type: "integer" },
+      },
+    },
+    chunksFound: { type: "integer" },
+    maxSimilarity: { type: ["number", "null"] },
+    minSimilarity: { type: "number" },
+    abstained: { type: "boolean", description: "True when the answer was withheld because nothing relevant enough was found" },
+    abstainReason: { type: "string", enum: ["no_chunks", "low_similarity"] },
+    processingTime: { type: "string", format: "date-time" },
+    model: { type: "string" },
+    provider: { type: "string" },
+    prompt: {
+      type: "object",
+      description: "Prompt the answer was generated with",
+      properties: {
+        templateVersion: { type: ["integer", "null"], description: "Workspace template version; null for the default" },
+        languagePolicy: { type: "string", enum: Organization.ANSWER_LANGUAGES },
+        language: { type: ["string", "null"], description: "Language the answer was asked for; null means the question's" },
+      },
+    },
+    generation: {
+      type: "object",
+      properties: {
+        maxTokens: { type: "integer" },
+        temperature: { type: "number" },
+      },
+    },
+    usage: ref("TokenUsage"),
+    invalidCitations: { type: "array", items: { type: "integer" } },
+    embeddingModel: { type: "string" },
+  },
+};
+
+const answerResponse = {
+  type: "object",
+  required: ["success", "query", "answer", "sources", "metadata"],
+  properties: {
+    success: { type: "boolean", const: true },
+    query: { type: "string" },
+    answer: { type: "string" },
+    sources: { type: "array", items: ref("Source") },
+    citations: { type: "array", items: ref("Citation") },
+    grounding: ref("Grounding"),
+    metadata: answerMetadata,
+  },
+};
+
+const eventStream = {
+  description: "Server-Sent Events: `sources`, `token` (repeated), then `done` or `error`",
+  contentType: "text/event-stream",
+  schema: { type: "string" },
+};
+
+exports.sendPrompt = {
+  operationId: "sendPrompt",
+  method: "post",
+  path: "/api/query",
+  tags: ["Query"],
+  summary: "Answer a question from the workspace's documents (streams with Accept: text/event-stream)",
+  auth: "userOrApiKey",
+  scope: "query",
+  workspace: true,
+  rateLimited: true,
+  body: queryBody,
+  responses: {
+    200: { description: "Answer with sources and citations", schema: answerResponse },
+    429: { description: "Rate limit or query/token quota reached", schema: ref("Error") },
+  },
+};
+
+exports.streamPrompt = {
+  operationId: "streamPrompt",
+  method: "post",
+  path: "/api/query/stream",
+  tags: ["Query"],
+  summary: "Answer a question over Server-Sent Events",
+  auth: "userOrApiKey",
+  scope: "query",
+  workspace: true,
+  rateLimited: true,
+  body: queryBody,
+  responses: {
+    200: eventStream,
+    429: { description: "Rate limit or query/token quota reached", schema: ref("Error") },
+  },
+};
+
+exports.submitFeedback = {
+  operationId: "submitFeedback",
+  method: "post",
+  path: "/api/query/:id/feedback",
+  tags: ["Query"],
+  summary: "Rate an answer; rating again replaces the earlier feedback",
+  auth: "userOrApiKey",
+  scope: "query",
+  workspace: true,
+  params: idParams,
+  body: {
+    type: "object",
+    required: ["rating"],
+    additionalProperties: false,
+    properties: {
+      rating: { type: "string", enum: QueryLog.FEEDBACK_RATINGS },
+      comment: { type: "string", maxLength: 2000 },
+    },
+  },
+  responses: {
+    200: {
+      description: "Feedback saved",
+      schema: {
+        type: "object",
+        required: ["success", "queryId", "feedback"],
+        properties: {
+          success: { type: "boolean", const: true },
+          queryId: objectId,
+          feedback: {
+            type: "object",
+            properties: {
+              rating: { type: "string", enum: QueryLog.FEEDBACK_RATINGS },
+              comment: { type: "string" },
+              createdAt: { type: "string", format: "date-time" },
+            },
+          },
+        },
+      },
+    },
+    404: { description: "Query not found", schema: ref("Error") },
+  },
+};
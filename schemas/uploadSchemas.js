@@ -0,0 +1,133 @@
+const { ref, objectId, idParams } = require("./common");
+
+// Request and response schemas for /api/upload
+const JOB_STATUSES = ["queued", "running", "completed", "failed", "cancelled"];
+
+exports.uploadFiles = {
+  operationId: "uploadFiles",
+  method: "post",
+  path: "/api/upload",
+  tags: ["Upload"],
+  summary: "Upload files into the workspace and queue them for ingestion",
+  auth: "userOrApiKey",
+  scope: "upload",
+  workspace: true,
+  rateLimited: true,
+  bodyContentType: "multipart/form-data",
+  // Files are checked by multer and the controller; no other fields are read
+  body: {
+    type: "object",
+    properties: {
+      files: {
+        type: "array",
+        items: { type: "string", format: "binary" },
+        description: "PDF, DOCX, TXT, Markdown, HTML or CSV files",
+      },
+    },
+  },
+  responses: {
+    202: {
+      description: "Files queued for ingestion",
+      schema: {
+        type: "object",
+        required: ["success", "jobId", "job"],
+        properties: {
+          success: { type: "boolean", const: true },
+          message: { type: "string" },
+          jobId: objectId,
+          statusUrl: { type: "string" },
+          job: ref("IngestionJob"),
+          totalFiles: { type: "integer" },
+          queuedFiles: { type: "integer" },
+          rejectedFiles: { type: "integer" },
+          skippedDuplicates: { type: "integer" },
+          chunkingMethod: { type: "string" },
+          chunkingConfig: { type: "object" },
+        },
+      },
+    },
+    429: { description: "Rate limit or document quota reached", schema: ref("Error") },
+  },
+};
+
+exports.listJobs = {
+  operationId: "listJobs",
+  method: "get",
+  path: "/api/upload/jobs",
+  tags: ["Upload"],
+  summary: "List your ingestion jobs in the workspace, newest first",
+  auth: "userOrApiKey",
+  scope: "upload",
+  workspace: true,
+  query: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      status: { type: "string", enum: JOB_STATUSES },
+    },
+  },
+  responses: {
+    200: {
+      description: "Jobs",
+      schema: {
+        type: "object",
+        required: ["success", "jobs"],
+        properties: {
+          success: { type: "boolean", const: true },
+          count: { type: "integer" },
+          jobs: { type: "array", items: ref("IngestionJob") },
+        },
+      },
+    },
+  },
+};
+
+exports.getJob = {
+  operationId: "getJob",
+  method: "get",
+  path: "/api/upload/jobs/:id",
+  tags: ["Upload"],
+  summary: "Get an ingestion job's progress",
+  auth: "userOrApiKey",
+  scope: "upload",
+  workspace: true,
+  params: idParams,
+  responses: {
+    200: { description: "Job", schema: ref("JobResponse") },
+    404: { description: "Job not found", schema: ref("Error") },
+  },
+};
+
+exports.cancelJob = {
+  operationId: "cancelJob",
+  method: "post",
+  path: "/api/upload/jobs/:id/cancel",
+  tags: ["Upload"],
+  summary: "Cancel a queued or running ingestion job",
+  auth: "userOrApiKey",
+  scope: "upload",
+  workspace: true,
+  params: idParams,
+  responses: {
+    202: { description: "Cancellation requested", schema: ref("JobResponse") },
+    404: { description: "Job not found", schema: ref("Error") },
+    409: { description: "The job has already finished", schema: ref("Error") },
+  },
+};
+
+exports.retryJob = {
+  operationId: "retryJob",
+  method: "post",
+  path: "/api/upload/jobs/:id/retry",
+  tags: ["Upload"],
+  summary: "Retry the failed files of an ingestion job",
+  auth: "userOrApiKey",
+  scope: "upload",
+  workspace: true,
+  params: idParams,
+  responses: {
+    202: { description: "Job requeued", schema: ref("JobResponse") },
+    404: { description: "Job not found", schema: ref("Error") },
+    409: { description: "Nothing to retry", schema: ref("Error") },
+  },
+};
@@ -0,0 +1,194 @@
+const { ref, nonEmptyString } = require("./common");
+
+// Request and response schemas for /api/user
+const password = { type: "string", minLength: 6, maxLength: 128 };
+const email = { type: "string", format: "email", maxLength: 254 };
+
+exports.signUp = {
+  operationId: "signUp",
+  method: "post",
+  path: "/api/user/signup",
+  tags: ["User"],
+  summary: "Create an account and its first workspace, and start a session",
+  auth: "public",
+  body: {
+    type: "object",
+    required: ["name", "username", "email", "password", "company"],
+    additionalProperties: false,
+    properties: {
+      name: nonEmptyString(100),
+      username: nonEmptyString(50),
+      email,
+      password,
+      company: nonEmptyString(200),
+    },
+  },
+  responses: {
+    201: { description: "Account created", schema: ref("TokenResponse") },
+  },
+};
+
+exports.signIn = {
+  operationId: "signIn",
+  method: "post",
+  path: "/api/user/signIn",
+  tags: ["User"],
+  summary: "Sign in and start a session",
+  auth: "public",
+  body: {
+    type: "object",
+    required: ["email", "password"],
+    additionalProperties: false,
+    properties: {
+      email,
+      password: { type: "string", minLength: 1, maxLength: 128 },
+    },
+  },
+  responses: {
+    200: { description: "Signed in", schema: ref("TokenResponse") },
+    401: { description: "Invalid credentials", schema: ref("Error") },
+  },
+};
+
+exports.refresh = {
+  operationId: "refreshToken",
+  method: "post",
+  path: "/api/user/refresh",
+  tags: ["User"],
+  summary: "Exchange a refresh token (body or `refreshToken` cookie) for a new token pair",
+  auth: "public",
+  body: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      refreshToken: nonEmptyString(256),
+    },
+  },
+  responses: {
+    200: { description: "New tokens", schema: ref("TokenResponse") },
+    401: { description: "Invalid, expired, revoked or reused refresh token", schema: ref("Error") },
+  },
+};
+
+exports.logout = {
+  operationId: "logout",
+  method: "post",
+  path: "/api/user/logout",
+  tags: ["User"],
+  summary: "Revoke the current session, or every session with `all`",
+  auth: "user",
+  body: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      all: { type: "boolean" },
+    },
+  },
+  responses: {
+    200: { description: "Logged out", schema: ref("Message") },
+  },
+};
+
+exports.changePassword = {
+  operationId: "changePassword",
+  method: "patch",
+  path: "/api/user/password",
+  tags: ["User"],
+  summary: "Change the password and sign out every other session",
+  auth: "user",
+  body: {
+    type: "object",
+    required: ["currentPassword", "newPassword"],
+    additionalProperties: false,
+    properties: {
+      currentPassword: { type: "string", minLength: 1, maxLength: 128 },
+      newPassword: password,
+    },
+  },
+  responses: {
+    200: { description: "Password changed; tokens of a new session", schema: ref("TokenResponse") },
+  },
+};
+
+exports.forgotPassword = {
+  operationId: "forgotPassword",
+  method: "post",
+  path: "/api/user/password/forgot",
+  tags: ["User"],
+  summary: "Email a password reset link (same answer whether or not the account exists)",
+  auth: "public",
+  body: {
+    type: "object",
+    required: ["email"],
+    additionalProperties: false,
+    properties: { email },
+  },
+  responses: {
+    200: { description: "Reset link sent if the account exists", schema: ref("Message") },
+  },
+};
+
+exports.resetPassword = {
+  operationId: "resetPassword",
+  method: "post",
+  path: "/api/user/password/reset",
+  tags: ["User"],
+  summary: "Set a new password with a reset token and sign out every session",
+  auth: "public",
+  body: {
+    type: "object",
+    required: ["token", "password"],
+    additionalProperties: false,
+    properties: {
+      token: nonEmptyString(256),
+      password,
+    },
+  },
+  responses: {
+    200: { description: "Password updated", schema: ref("Message") },
+  },
+};
+
+const profileResponse = {
+  type: "object",
+  required: ["success", "user"],
+  properties: {
+    success: { type: "boolean", const: true },
+    user: ref("UserProfile"),
+  },
+};
+
+exports.getMe = {
+  operationId: "getMe",
+  method: "get",
+  path: "/api/user/me",
+  tags: ["User"],
+  summary: "Get the signed-in user's profile",
+  auth: "user",
+  responses: {
+    200: { description: "Profile", schema: profileResponse },
+  },
+};
+
+exports.updateMe = {
+  operationId: "updateMe",
+  method: "patch",
+  path: "/api/user/me",
+  tags: ["User"],
+  summary: "Update the signed-in user's profile",
+  auth: "user",
+  body: {
+    type: "object",
+    minProperties: 1,
+    additionalProperties: false,
+    properties: {
+      name: nonEmptyString(100),
+      username: nonEmptyString(50),
+      email,
+      company: { type: "string", maxLength: 200 },
+    },
+  },
+  responses: {
+    200: { description: "Updated profile", schema: profileResponse },
+  },
+};
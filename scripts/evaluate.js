@@ -0,0 +1,139 @@
+// scripts/evaluate.js
+//
+// Runs a golden dataset through the same retrieval and answering code as
+// /api/query, stores the run and prints its metrics next to the previous run
+// of the same dataset in the workspace (or the run given with --compare).
+//
+// Usage:
+//   node scripts/evaluate.js <dataset.json> --organization <workspaceId>
+//     [--label "chunk size 600"] [--mode vector|keyword|hybrid] [--max-results 5]
+//     [--rerank] [--min-similarity 0.35] [--retrieval-only] [--judge] [--compare <runId>]
+//
+// Works offline with VECTOR_STORE=local and LLM_PROVIDER=mock (the mock
+// provider cannot act as a judge, so --judge reports judge errors there).
+require("dotenv").config();
+const fs = require("fs");
+const { parseArgs } = require("util");
+const mongoose = require("mongoose");
+const Organization = require("../models/organizations");
+const EvaluationRun = require("../models/evaluationRuns");
+const {
+  validateDataset,
+  resolveEvaluationOptions,
+  createEvaluationRun,
+  executeEvaluationRun,
+  compareRuns,
+} = require("../services/evaluation");
+const { getWorkspaceScope } = require("../services/workspaceService");
+
+const { values: args, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    organization: { type: "string" },
+    label: { type: "string" },
+    mode: { type: "string" },
+    "max-results": { type: "string" },
+    rerank: { type: "boolean", default: false },
+    "min-similarity": { type: "string" },
+    "retrieval-only": { type: "boolean", default: false },
+    judge: { type: "boolean", default: false },
+    compare: { type: "string" },
+  },
+});
+
+function formatMetric(value) {
+  return value === null || value === undefined ? "n/a" : value.toFixed(3);
+}
+
+function formatDelta(delta) {
+  if (delta === null) {
+    return "";
+  }
+  const arrow = delta > 0 ? "▲" : delta < 0 ? "▼" : "=";
+  return ` ${arrow} ${delta > 0 ? "+" : ""}${delta.toFixed(3)}`;
+}
+
+async function findBaseRun(run) {
+  if (args.compare) {
+    return EvaluationRun.findOne({ _id: args.compare, organization: run.organization });
+  }
+  return EvaluationRun.findOne({
+    _id: { $ne: run._id },
+    organization: run.organization,
+    "dataset.name": run.dataset.name,
+    status: "completed",
+  }).sort({ createdAt: -1 });
+}
+
+async function main() {
+  const [datasetPath] = positionals;
+  if (!datasetPath || !args.organization) {
+    throw new Error("Usage: node scripts/evaluate.js <dataset.json> --organization <workspaceId> [options]");
+  }
+
+  const { dataset, error: datasetError } = validateDataset(JSON.parse(fs.readFileSync(datasetPath, "utf8")));
+  if (datasetError) {
+    throw new Error(`Invalid dataset: ${datasetError}`);
+  }
+
+  const { options, error: optionsError } = resolveEvaluationOptions({
+    mode: args.mode,
+    maxResults: args["max-results"] !== undefined ? Number(args["max-results"]) : undefined,
+    rerank: args.rerank,
+    minSimilarity: args["min-similarity"] !== undefined ? Number(args["min-similarity"]) : undefined,
+    retrievalOnly: args["retrieval-only"],
+    judge: args.judge,
+  });
+  if (optionsError) {
+    throw new Error(`Invalid options: ${optionsError}`);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const organization = mongoose.isValidObjectId(args.organization)
+    ? await Organization.findById(args.organization)
+    : null;
+  if (!organization) {
+    throw new Error(`Workspace ${args.organization} not found`);
+  }
+
+  const run = await createEvaluationRun({
+    organization: organization._id,
+    source: "cli",
+    label: args.label,
+    dataset,
+    options,
+  });
+  await executeEvaluationRun(run, dataset, getWorkspaceScope(organization), options);
+
+  if (run.status !== "completed") {
+    throw new Error(`Evaluation run ${run._id} failed: ${run.error}`);
+  }
+
+  const base = await findBaseRun(run);
+  const comparison = base ? compareRuns(base, run) : null;
+
+  console.log(`\n📊 Run ${run._id} - '${dataset.name}'${run.label ? ` (${run.label})` : ""}, ${run.metrics.items} items, k=${options.retrievalOptions.maxResults}`);
+  if (base) {
+    console.log(`   compared with run ${base._id} from ${base.createdAt.toISOString()}${comparison.sameDataset ? "" : " (different dataset version)"}`);
+  }
+  for (const metric of ["recallAtK", "mrr", "ndcgAtK", "hitRate", "citationAccuracy", "faithfulness", "correctness", "abstentionRate", "groundedRate"]) {
+    const delta = comparison ? comparison.metrics[metric].delta : null;
+    console.log(`   ${metric.padEnd(17)} ${formatMetric(run.metrics[metric])}${formatDelta(delta)}`);
+  }
+  if (run.metrics.itemsFailed > 0) {
+    console.warn(`⚠️ ${run.metrics.itemsFailed} items failed; see the run for their errors`);
+  }
+  if (comparison) {
+    const regressed = comparison.items.filter((item) => item.change === "regressed");
+    regressed.forEach((item) => console.log(`   ▼ ${item.id}: ${item.question}`));
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch(async (error) => {
+  console.error("❌ Evaluation failed:", error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
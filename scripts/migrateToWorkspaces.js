@@ -0,0 +1,187 @@
+// scripts/migrateToWorkspaces.js
+//
+// Moves data from before workspaces into the per-workspace layout:
+//   - documents, keyword postings, conversations and ingestion jobs without an
+//     organization are assigned to their owner's default workspace
+//   - vectors in the default namespace (scoped only by `userId` metadata) are
+//     moved into their workspace's namespace with `organizationId` metadata
+//
+// Usage: node scripts/migrateToWorkspaces.js [--dry-run]
+// Safe to run more than once; each run only touches what is still unmigrated.
+require("dotenv").config();
+const mongoose = require("mongoose");
+const User = require("../models/users");
+const Organization = require("../models/organizations");
+const Document = require("../models/documents");
+const LexicalChunk = require("../models/lexicalChunks");
+const Conversation = require("../models/conversations");
+const IngestionJob = require("../models/ingestionJobs");
+const { getVectorStore } = require("../services/vectorStore");
+const { ensureDefaultWorkspace, getWorkspaceScope } = require("../services/workspaceService");
+
+const DRY_RUN = process.argv.includes("--dry-run");
+const LIST_PAGE_SIZE = 100;
+const FETCH_BATCH_SIZE = 100;
+
+const workspaceByUser = new Map(); // userId -> Organization (null when the user is gone)
+const workspaceByDocument = new Map(); // documentId -> Organization
+
+async function getUserWorkspace(userId) {
+  const key = String(userId);
+  if (!workspaceByUser.has(key)) {
+    const user = mongoose.isValidObjectId(key) ? await User.findById(key) : null;
+    let organization = null;
+    if (user) {
+      // A dry run must not create personal workspaces, so it only looks them up
+      const organizationId = DRY_RUN ? user.defaultOrganization : await ensureDefaultWorkspace(user);
+      organization = organizationId ? await Organization.findById(organizationId) : null;
+      if (DRY_RUN && !organization) {
+        organization = new Organization({ name: `${user.name}'s workspace (to be created)`, owner: user._id });
+        await organization.validate();
+      }
+    }
+    workspaceByUser.set(key, organization);
+  }
+  return workspaceByUser.get(key);
+}
+
+async function migrateDocuments() {
+  const documents = await Document.find({ organization: { $exists: false } });
+  let migrated = 0;
+
+  for (const document of documents) {
+    const organization = await getUserWorkspace(document.owner);
+    if (!organization) {
+      console.warn(`⚠️ Skipping document ${document._id} (${document.filename}): owner ${document.owner} no longer exists`);
+      continue;
+    }
+
+    workspaceByDocument.set(String(document._id), organization);
+    if (!DRY_RUN) {
+      document.organization = organization._id;
+      await document.save();
+      await LexicalChunk.updateMany({ document: document._id }, { $set: { organization: organization._id } });
+    }
+    migrated += 1;
+  }
+
+  console.log(`📄 Documents assigned to a workspace: ${migrated} of ${documents.length}`);
+}
+
+// Conversations and jobs simply follow their owner
+async function migrateOwnedRecords(Model, label) {
+  const records = await Model.find({ organization: { $exists: false } }).select("owner");
+  let migrated = 0;
+
+  for (const record of records) {
+    const organization = await getUserWorkspace(record.owner);
+    if (!organization) {
+      continue;
+    }
+    if (!DRY_RUN) {
+      await Model.updateOne({ _id: record._id }, { $set: { organization: organization._id } });
+    }
+    migrated += 1;
+  }
+
+  console.log(`🗂️ ${label} assigned to a workspace: ${migrated} of ${records.length}`);
+}
+
+async function listDefaultNamespaceIds(vectorStore) {
+  const ids = [];
+  let paginationToken;
+  do {
+    const page = await vectorStore.listIds({ limit: LIST_PAGE_SIZE, paginationToken });
+    ids.push(...page.ids);
+    paginationToken = page.paginationToken;
+  } while (paginationToken);
+  return ids;
+}
+
+async function resolveVectorWorkspace(metadata = {}) {
+  if (metadata.documentId) {
+    if (!workspaceByDocument.has(metadata.documentId)) {
+      const document = mongoose.isValidObjectId(metadata.documentId)
+        ? await Document.findById(metadata.documentId).select("organization owner")
+        : null;
+      workspaceByDocument.set(
+        metadata.documentId,
+        document?.organization ? await Organization.findById(document.organization) : null
+      );
+    }
+    const organization = workspaceByDocument.get(metadata.documentId);
+    if (organization) {
+      return organization;
+    }
+  }
+
+  // Vectors from before the documents collection only carry the uploader
+  return metadata.userId ? getUserWorkspace(metadata.userId) : null;
+}
+
+async function migrateVectors() {
+  const vectorStore = getVectorStore();
+  const ids = await listDefaultNamespaceIds(vectorStore);
+  console.log(`🔢 Found ${ids.length} vectors in the default namespace`);
+
+  let moved = 0;
+  let orphaned = 0;
+
+  for (let batchIndex = 0; batchIndex < ids.length; batchIndex += FETCH_BATCH_SIZE) {
+    const { records } = await vectorStore.fetch(ids.slice(batchIndex, batchIndex + FETCH_BATCH_SIZE));
+    const byNamespace = new Map(); // namespace -> vectors
+
+    for (const record of Object.values(records)) {
+      const organization = await resolveVectorWorkspace(record.metadata);
+      if (!organization) {
+        orphaned += 1;
+        continue;
+      }
+
+      const { organizationId, namespace } = getWorkspaceScope(organization);
+      if (!byNamespace.has(namespace)) {
+        byNamespace.set(namespace, []);
+      }
+      byNamespace.get(namespace).push({
+        id: record.id,
+        values: Array.from(record.values),
+        metadata: { ...record.metadata, organizationId },
+      });
+    }
+
+    for (const [namespace, vectors] of byNamespace) {
+      if (!DRY_RUN) {
+        // Copy first, then delete, so an interrupted run never loses vectors
+        await vectorStore.upsert(vectors, { namespace });
+        await vectorStore.deleteMany({ ids: vectors.map((vector) => vector.id) });
+      }
+      moved += vectors.length;
+    }
+
+    console.log(`📦 Processed ${Math.min(batchIndex + FETCH_BATCH_SIZE, ids.length)} of ${ids.length} vectors`);
+  }
+
+  console.log(`✅ Vectors moved into workspace namespaces: ${moved}`);
+  if (orphaned > 0) {
+    console.warn(`⚠️ ${orphaned} vectors have no document or user to attribute them to and were left in the default namespace`);
+  }
+}
+
+async function main() {
+  console.log(`🚚 Migrating to workspaces${DRY_RUN ? " (dry run, nothing is written)" : ""}...`);
+  await mongoose.connect(process.env.MONGO_URI);
+
+  await migrateDocuments();
+  await migrateOwnedRecords(Conversation, "Conversations");
+  await migrateOwnedRecords(IngestionJob, "Ingestion jobs");
+  await migrateVectors();
+
+  await mongoose.disconnect();
+  console.log("🎉 Migration finished");
+}
+
+main().catch(async (error) => {
+  console.error("❌ Migration failed:", error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
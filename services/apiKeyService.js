@@ -0,0 +1,143 @@
+const net = require('net');
+const ApiKey = require('../models/apiKeys');
+const User = require('../models/users');
+const { logger } = require('../utils/logger');
+
+const MAX_KEY_NAME_LENGTH = 100;
+const MAX_ALLOWED_IPS = 50;
+const LAST_USED_WRITE_INTERVAL_MS = 60 * 1000; // At most one lastUsedAt write per key per minute
+
+// ===== HELPER FUNCTIONS =====
+
+// "10.0.0.0/8" -> { address: '10.0.0.0', prefix: 8, family: 'ipv4' }; null when invalid
+function parseIpEntry(entry) {
+  if (typeof entry !== 'string') {
+    return null;
+  }
+  const [address, prefixText, ...rest] = entry.trim().split('/');
+  const version = net.isIP(address);
+  if (!version || rest.length > 0) {
+    return null;
+  }
+
+  const family = version === 4 ? 'ipv4' : 'ipv6';
+  if (prefixText === undefined) {
+    return { address, family };
+  }
+  const prefix = Number(prefixText);
+  if (!/^\d+$/.test(prefixText) || prefix > (version === 4 ? 32 : 128)) {
+    return null;
+  }
+  return { address, prefix, family };
+}
+
+// Express reports IPv4 clients of a dual-stack server as ::ffff:a.b.c.d
+function normalizeIp(ip) {
+  return typeof ip === 'string' && ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+}
+
+function isIpAllowed(allowedIps, ip) {
+  if (!allowedIps || allowedIps.length === 0) {
+    return true;
+  }
+  const clientIp = normalizeIp(ip);
+  const version = net.isIP(clientIp);
+  if (!version) {
+    return false;
+  }
+
+  const blockList = new net.BlockList();
+  for (const entry of allowedIps.map(parseIpEntry).filter(Boolean)) {
+    if (entry.prefix === undefined) {
+      blockList.addAddress(entry.address, entry.family);
+    } else {
+      blockList.addSubnet(entry.address, entry.prefix, entry.family);
+    }
+  }
+  return blockList.check(clientIp, version === 4 ? 'ipv4' : 'ipv6');
+}
+
+function recordUse(apiKey, ip) {
+  if (apiKey.lastUsedAt && Date.now() - apiKey.lastUsedAt.getTime() < LAST_USED_WRITE_INTERVAL_MS) {
+    return;
+  }
+  ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: normalizeIp(ip) })
+    .catch(error => logger.error('Could not record API key use', { apiKeyPrefix: apiKey.prefix, error }));
+}
+
+// ===== EXPORTED API =====
+
+/**
+ * Validates the body of a create request (or, with `partial`, an update).
+ * Returns { values } ready to assign to an ApiKey, or { error } for a 400.
+ */
+function validateApiKeyInput(body = {}, { partial = false } = {}) {
+  const values = {};
+  const { name, scopes, expiresAt, allowedIps } = body;
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || name.trim() === '' || name.length > MAX_KEY_NAME_LENGTH) {
+      return { error: `name must be a non-empty string of at most ${MAX_KEY_NAME_LENGTH} characters` };
+    }
+    values.name = name;
+  }
+
+  if (scopes !== undefined || !partial) {
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !ApiKey.SCOPES.includes(scope))) {
+      return { error: `scopes must be a non-empty array of: ${ApiKey.SCOPES.join(', ')}` };
+    }
+    values.scopes = [...new Set(scopes)];
+  }
+
+  if (expiresAt !== undefined && expiresAt !== null) {
+    const date = new Date(expiresAt);
+    if (Number.isNaN(date.getTime()) || date <= new Date()) {
+      return { error: 'expiresAt must be a date in the future' };
+    }
+    values.expiresAt = date;
+  } else if (expiresAt === null) {
+    values.expiresAt = undefined;
+  }
+
+  if (allowedIps !== undefined) {
+    if (!Array.isArray(allowedIps) || allowedIps.length > MAX_ALLOWED_IPS) {
+      return { error: `allowedIps must be an array of at most ${MAX_ALLOWED_IPS} IP addresses or CIDR ranges` };
+    }
+    const invalid = allowedIps.find(entry => !parseIpEntry(entry));
+    if (invalid !== undefined) {
+      return { error: `allowedIps contains an invalid IP address or CIDR range: ${invalid}` };
+    }
+    values.allowedIps = allowedIps.map(entry => entry.trim());
+  }
+
+  return { values };
+}
+
+/**
+ * Looks up a raw API key presented by a client at `ip`.
+ * Returns { apiKey, user } (the member the key acts as) or { error }.
+ */
+async function authenticateApiKey(key, ip) {
+  const apiKey = await ApiKey.findOne({ keyHash: ApiKey.hashKey(key) });
+  if (!apiKey || !apiKey.isActive()) {
+    return { error: 'Invalid, expired or revoked API key.' };
+  }
+  if (!isIpAllowed(apiKey.allowedIps, ip)) {
+    logger.warn('API key used from an address outside its allowlist', { apiKeyPrefix: apiKey.prefix, ip });
+    return { error: 'This API key cannot be used from your IP address.' };
+  }
+
+  const user = await User.findById(apiKey.createdBy);
+  if (!user) {
+    return { error: 'The user this API key belongs to no longer exists.' };
+  }
+
+  recordUse(apiKey, ip);
+  return { apiKey, user };
+}
+
+module.exports = {
+  validateApiKeyInput,
+  authenticateApiKey,
+  isIpAllowed,
+};
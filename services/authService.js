@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/users');
+const RefreshToken = require('../models/refreshTokens');
+const RevokedToken = require('../models/revokedTokens');
+const { sendMail } = require('./mailer');
+const { logger } = require('../utils/logger');
+
+const PASSWORD_RESET_URL = process.env.PASSWORD_RESET_URL || 'http://localhost:3000/reset-password';
+const MIN_PASSWORD_LENGTH = 6;
+
+// ===== HELPER FUNCTIONS =====
+
+async function createRefreshToken(user, session, req) {
+  const refreshToken = new RefreshToken({
+    user: user._id,
+    session,
+    createdByIp: req?.ip,
+    userAgent: req?.get?.('user-agent'),
+  });
+  const token = refreshToken.generateToken();
+  await refreshToken.save();
+  return { refreshToken, token };
+}
+
+function buildTokens(user, session, { refreshToken, token }) {
+  const accessToken = user.getSignedJwtToken(session);
+  return {
+    accessToken,
+    accessTokenExpiresAt: new Date(jwt.decode(accessToken).exp * 1000),
+    refreshToken: token,
+    refreshTokenExpiresAt: refreshToken.expiresAt,
+  };
+}
+
+// ===== EXPORTED API =====
+
+/**
+ * Starts a new session for a user who just signed in (or up).
+ * Returns { accessToken, accessTokenExpiresAt, refreshToken, refreshTokenExpiresAt }.
+ */
+async function issueTokens(user, req) {
+  const session = crypto.randomUUID();
+  return buildTokens(user, session, await createRefreshToken(user, session, req));
+}
+
+/**
+ * Exchanges a refresh token for a new access token and a new refresh token.
+ * The old refresh token stops working. Presenting an already-replaced token is
+ * treated as theft: the whole session is revoked.
+ * Returns { user, tokens } or { error }.
+ */
+async function rotateRefreshToken(token, req) {
+  const current = await RefreshToken.findOne({ tokenHash: RefreshToken.hashToken(token) });
+  if (!current) {
+    return { error: 'Invalid refresh token.' };
+  }
+
+  if (current.replacedBy) {
+    await revokeSession(current.session);
+    logger.warn('Refresh token reuse detected; session revoked', { userId: current.user, sessionId: current.session });
+    return { error: 'This refresh token was already used. Please sign in again.' };
+  }
+  if (!current.isActive()) {
+    return { error: 'This refresh token has expired or was revoked. Please sign in again.' };
+  }
+
+  const user = await User.findById(current.user);
+  if (!user) {
+    return { error: 'User not found for this token.' };
+  }
+
+  const next = await createRefreshToken(user, current.session, req);
+  // Only the first concurrent refresh wins; a second one sees replacedBy and is rejected
+  const { modifiedCount } = await RefreshToken.updateOne(
+    { _id: current._id, replacedBy: { $exists: false }, revokedAt: { $exists: false } },
+    { revokedAt: new Date(), replacedBy: next.refreshToken._id }
+  );
+  if (modifiedCount === 0) {
+    await RefreshToken.deleteOne({ _id: next.refreshToken._id });
+    return { error: 'This refresh token was already used. Please sign in again.' };
+  }
+
+  return { user, tokens: buildTokens(user, current.session, next) };
+}
+
+/**
+ * Checks an access token and loads its user.
+ * Returns { user, token } (the decoded payload) or { error }.
+ */
+async function verifyAccessToken(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return { error: error.name === 'TokenExpiredError' ? 'Token expired.' : 'Not authorized, token failed.' };
+  }
+
+  const [user, revoked] = await Promise.all([
+    User.findById(decoded.id),
+    decoded.jti ? RevokedToken.exists({ jti: decoded.jti }) : null,
+  ]);
+  if (!user) {
+    return { error: 'User not found for this token.' };
+  }
+  if (revoked || user.isTokenRevoked(decoded.iat)) {
+    return { error: 'This token has been revoked.' };
+  }
+  return { user, token: decoded };
+}
+
+/**
+ * Ends one session: its refresh tokens stop working and, when given, the
+ * access token in use is rejected until it expires.
+ */
+async function revokeSession(session, accessToken) {
+  const now = new Date();
+  const tasks = [];
+  if (session) {
+    tasks.push(RefreshToken.updateMany({ session, revokedAt: { $exists: false } }, { revokedAt: now }));
+  }
+  if (accessToken?.jti) {
+    tasks.push(RevokedToken.updateOne(
+      { jti: accessToken.jti },
+      { $setOnInsert: { user: accessToken.id, expiresAt: new Date(accessToken.exp * 1000) } },
+      { upsert: true }
+    ));
+  }
+  await Promise.all(tasks);
+}
+
+/**
+ * Ends every session of a user: all refresh tokens are revoked and access
+ * tokens issued until now are rejected. Saves the user.
+ */
+async function revokeAllSessions(user) {
+  const now = new Date();
+  user.tokensValidAfter = now;
+  await Promise.all([
+    user.save(),
+    RefreshToken.updateMany({ user: user._id, revokedAt: { $exists: false } }, { revokedAt: now }),
+  ]);
+}
+
+/**
+ * Returns an error message when `password` is not acceptable, otherwise null.
+ */
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`;
+  }
+  return null;
+}
+
+/**
+ * Emails a password reset link if an account exists for `email`. Resolves the
+ * same way either way, so callers cannot probe which emails are registered.
+ */
+async function requestPasswordReset(email) {
+  const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+  if (!user) {
+    return;
+  }
+
+  const token = user.generatePasswordResetToken();
+  await user.save();
+
+  const resetUrl = `${PASSWORD_RESET_URL}${PASSWORD_RESET_URL.includes('?') ? '&' : '?'}token=${token}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Someone asked to reset the password of your account. Open this link to choose a new one:',
+      resetUrl,
+      '',
+      `The link works once and expires at ${user.passwordResetExpiresAt.toISOString()}.`,
+      'If you did not ask for this, you can ignore this email.',
+    ].join('\n'),
+  });
+  logger.info('Password reset requested', { userId: user._id });
+}
+
+/**
+ * Sets a new password with a reset token and signs the user out everywhere.
+ * Returns { user } or { error }.
+ */
+async function resetPassword(token, password) {
+  const user = await User.findOne({
+    passwordResetTokenHash: User.hashResetToken(token),
+    passwordResetExpiresAt: { $gt: new Date() },
+  });
+  if (!user) {
+    return { error: 'This reset link is invalid or has expired.' };
+  }
+
+  user.password = password;
+  user.passwordResetTokenHash = undefined;
+  user.passwordResetExpiresAt = undefined;
+  await revokeAllSessions(user);
+  return { user };
+}
+
+module.exports = {
+  issueTokens,
+  rotateRefreshToken,
+  verifyAccessToken,
+  revokeSession,
+  revokeAllSessions,
+  validatePassword,
+  requestPasswordReset,
+  resetPassword,
+};
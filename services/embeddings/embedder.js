@@ -0,0 +1,23 @@
+const { pipeline } = require('@xenova/transformers');
+
+// Shared by the in-process backend and the worker threads so both embed
+// exactly the same way (bge-m3 uses the CLS token, normalized).
+function loadEmbeddingPipeline(modelName) {
+  return pipeline("feature-extraction", modelName);
+}
+
+// One forward pass for the whole batch; returns a Float32Array per text
+async function embedBatch(embeddingPipeline, texts) {
+  const output = await embeddingPipeline(texts, {
+    pooling: "cls",
+    normalize: true,
+  });
+
+  const dimension = output.dims[output.dims.length - 1];
+  return texts.map((_, index) => output.data.slice(index * dimension, (index + 1) * dimension));
+}
+
+module.exports = {
+  loadEmbeddingPipeline,
+  embedBatch,
+};
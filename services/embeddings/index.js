@@ -0,0 +1,208 @@
+const { loadEmbeddingPipeline, embedBatch } = require('./embedder');
+const createWorkerPool = require('./workerPool');
+const createLruCache = require('./lruCache');
+const { logger } = require('../../utils/logger');
+
+// Embedding configuration, shared by ingestion and querying. The model is
+// loaded once per process (or once per worker thread with EMBEDDING_WORKERS > 0)
+// and reused for every request.
+const EMBEDDING_MODEL_NAME = "Xenova/bge-m3";
+const EMBEDDING_DIMENSION = 1024;
+const EMBEDDING_BATCH_SIZE = Number(process.env.EMBEDDING_BATCH_SIZE) || 16;
+const EMBEDDING_WORKERS = Number(process.env.EMBEDDING_WORKERS) || 0;
+const QUERY_CACHE_SIZE = process.env.EMBEDDING_CACHE_SIZE !== undefined ? Number(process.env.EMBEDDING_CACHE_SIZE) : 500;
+const LATENCY_WINDOW = 200; // Recent query latencies kept for percentiles
+
+const queryCache = createLruCache(QUERY_CACHE_SIZE);
+
+const state = {
+  status: 'idle', // idle | loading | ready | failed
+  error: null,
+  loadStartedAt: null,
+  loadMs: null,
+};
+
+const metrics = {
+  queries: 0,
+  cacheHits: 0,
+  queryLatenciesMs: [],
+  batches: 0,
+  textsEmbedded: 0,
+  batchMs: 0,
+  busyMs: 0, // Wall-clock time spent embedding; batches overlap with worker threads
+};
+
+let backendPromise;
+
+// Resolves to { embed(texts), concurrency }; the first caller triggers the load
+function getBackend() {
+  if (backendPromise) {
+    return backendPromise;
+  }
+
+  state.status = 'loading';
+  state.loadStartedAt = Date.now();
+  logger.info('Loading embedding model', { model: EMBEDDING_MODEL_NAME, workers: EMBEDDING_WORKERS });
+
+  backendPromise = (EMBEDDING_WORKERS > 0 ? loadWorkerBackend() : loadInProcessBackend())
+    .then(backend => {
+      state.status = 'ready';
+      state.error = null;
+      state.loadMs = Date.now() - state.loadStartedAt;
+      logger.info('Embedding model loaded', { model: EMBEDDING_MODEL_NAME, loadMs: state.loadMs });
+      return backend;
+    })
+    .catch(error => {
+      state.status = 'failed';
+      state.error = error.message;
+      backendPromise = undefined; // Allow a retry on the next request
+      logger.error('Could not load the embedding model', { model: EMBEDDING_MODEL_NAME, error });
+      throw error;
+    });
+
+  return backendPromise;
+}
+
+async function loadInProcessBackend() {
+  const embeddingPipeline = await loadEmbeddingPipeline(EMBEDDING_MODEL_NAME);
+  return {
+    concurrency: 1,
+    embed: texts => embedBatch(embeddingPipeline, texts),
+  };
+}
+
+async function loadWorkerBackend() {
+  const pool = createWorkerPool({ size: EMBEDDING_WORKERS, modelName: EMBEDDING_MODEL_NAME });
+  try {
+    await pool.ready;
+  } catch (error) {
+    await pool.close();
+    throw error;
+  }
+  return pool;
+}
+
+async function runBatch(backend, texts) {
+  const startedAt = Date.now();
+  const vectors = await backend.embed(texts);
+  metrics.batches += 1;
+  metrics.textsEmbedded += texts.length;
+  metrics.batchMs += Date.now() - startedAt;
+  return vectors;
+}
+
+function percentile(sortedValues, fraction) {
+  if (sortedValues.length === 0) {
+    return null;
+  }
+  return sortedValues[Math.min(sortedValues.length - 1, Math.floor(sortedValues.length * fraction))];
+}
+
+/**
+ * Loads the model ahead of the first request. Failures are logged and
+ * reported by getEmbeddingStatus(); the next request retries the load.
+ */
+async function warmUpEmbeddings() {
+  try {
+    await getBackend();
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Embeds a search query, serving repeated queries from an LRU cache.
+ * Returns a Float32Array that callers must not mutate.
+ */
+async function embedQuery(text) {
+  const startedAt = Date.now();
+  metrics.queries += 1;
+
+  let vector = queryCache.get(text);
+  if (vector) {
+    metrics.cacheHits += 1;
+  } else {
+    const backend = await getBackend();
+    const embedStartedAt = Date.now();
+    [vector] = await runBatch(backend, [text]);
+    metrics.busyMs += Date.now() - embedStartedAt;
+    queryCache.set(text, vector);
+  }
+
+  metrics.queryLatenciesMs.push(Date.now() - startedAt);
+  if (metrics.queryLatenciesMs.length > LATENCY_WINDOW) {
+    metrics.queryLatenciesMs.shift();
+  }
+  return vector;
+}
+
+/**
+ * Embeds many texts in batches of EMBEDDING_BATCH_SIZE, one batch per worker
+ * at a time. `onProgress(textsProcessed, textsTotal)` runs after each round and
+ * may throw to stop early (e.g. when the ingestion job is cancelled).
+ */
+async function embedTexts(texts, onProgress = async () => {}) {
+  const backend = await getBackend();
+  const startedAt = Date.now();
+  const batches = [];
+  for (let start = 0; start < texts.length; start += EMBEDDING_BATCH_SIZE) {
+    batches.push(texts.slice(start, start + EMBEDDING_BATCH_SIZE));
+  }
+
+  const vectors = [];
+  for (let start = 0; start < batches.length; start += backend.concurrency) {
+    const roundStartedAt = Date.now();
+    const round = batches.slice(start, start + backend.concurrency);
+    const results = await Promise.all(round.map(batch => runBatch(backend, batch)));
+    results.forEach(batchVectors => vectors.push(...batchVectors));
+    metrics.busyMs += Date.now() - roundStartedAt;
+    await onProgress(vectors.length, texts.length);
+  }
+
+  logger.debug('Embedded texts', { texts: texts.length, batches: batches.length, durationMs: Date.now() - startedAt });
+  return vectors;
+}
+
+// Readiness plus throughput/latency counters for the health endpoint
+function getEmbeddingStatus() {
+  const latencies = [...metrics.queryLatenciesMs].sort((a, b) => a - b);
+
+  return {
+    model: EMBEDDING_MODEL_NAME,
+    dimension: EMBEDDING_DIMENSION,
+    ready: state.status === 'ready',
+    status: state.status,
+    error: state.error,
+    loadMs: state.loadMs,
+    backend: EMBEDDING_WORKERS > 0 ? 'worker-threads' : 'in-process',
+    workers: EMBEDDING_WORKERS,
+    batchSize: EMBEDDING_BATCH_SIZE,
+    queries: {
+      count: metrics.queries,
+      cacheHits: metrics.cacheHits,
+      cacheHitRate: metrics.queries > 0 ? metrics.cacheHits / metrics.queries : null,
+      cacheSize: queryCache.size,
+      cacheCapacity: queryCache.capacity,
+      latencyMs: {
+        p50: percentile(latencies, 0.5),
+        p95: percentile(latencies, 0.95),
+      },
+    },
+    batches: {
+      count: metrics.batches,
+      textsEmbedded: metrics.textsEmbedded,
+      averageBatchMs: metrics.batches > 0 ? Math.round(metrics.batchMs / metrics.batches) : null,
+      textsPerSecond: metrics.busyMs > 0 ? Math.round((metrics.textsEmbedded / metrics.busyMs) * 10000) / 10 : null,
+    },
+  };
+}
+
+module.exports = {
+  EMBEDDING_MODEL_NAME,
+  EMBEDDING_DIMENSION,
+  warmUpEmbeddings,
+  embedQuery,
+  embedTexts,
+  getEmbeddingStatus,
+};
@@ -0,0 +1,36 @@
+// Minimal LRU cache on top of Map's insertion order: a hit moves the key to
+// the end, and the first key is the least recently used one.
+function createLruCache(capacity) {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      if (!entries.has(key)) {
+        return undefined;
+      }
+      const value = entries.get(key);
+      entries.delete(key);
+      entries.set(key, value);
+      return value;
+    },
+
+    set(key, value) {
+      if (capacity <= 0) {
+        return;
+      }
+      entries.delete(key);
+      entries.set(key, value);
+      if (entries.size > capacity) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    get size() {
+      return entries.size;
+    },
+
+    capacity,
+  };
+}
+
+module.exports = createLruCache;
@@ -0,0 +1,24 @@
+const { parentPort, workerData } = require('worker_threads');
+const { loadEmbeddingPipeline, embedBatch } = require('./embedder');
+
+// Worker thread entry point: loads its own copy of the model, then embeds
+// batches posted by the pool one at a time.
+let embeddingPipeline;
+
+loadEmbeddingPipeline(workerData.modelName)
+  .then(loaded => {
+    embeddingPipeline = loaded;
+    parentPort.postMessage({ type: 'ready' });
+  })
+  .catch(error => {
+    parentPort.postMessage({ type: 'load-error', message: error.message });
+  });
+
+parentPort.on('message', async ({ taskId, texts }) => {
+  try {
+    const vectors = await embedBatch(embeddingPipeline, texts);
+    parentPort.postMessage({ type: 'result', taskId, vectors }, vectors.map(vector => vector.buffer));
+  } catch (error) {
+    parentPort.postMessage({ type: 'result', taskId, error: error.message });
+  }
+});
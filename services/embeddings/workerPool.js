@@ -0,0 +1,99 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { logger } = require('../../utils/logger');
+
+// Fixed-size pool of embedding worker threads so model inference never blocks
+// the event loop. Each worker holds its own model and takes one batch at a time;
+// extra batches wait in a FIFO queue.
+function createWorkerPool({ size, modelName }) {
+  const slots = [];
+  const pendingTasks = [];
+  let nextTaskId = 0;
+
+  function dispatch() {
+    for (const slot of slots) {
+      if (pendingTasks.length === 0) {
+        return;
+      }
+      if (slot.ready && !slot.task) {
+        slot.task = pendingTasks.shift();
+        slot.worker.postMessage({ taskId: slot.task.taskId, texts: slot.task.texts });
+      }
+    }
+  }
+
+  // A dead worker fails its current batch; queued batches fail once no worker is left
+  function retire(slot, error) {
+    slots.splice(slots.indexOf(slot), 1);
+    if (slot.task) {
+      slot.task.reject(error);
+      slot.task = null;
+    }
+    if (slots.length === 0) {
+      pendingTasks.splice(0).forEach(task => task.reject(error));
+    }
+  }
+
+  function spawn(workerIndex) {
+    const slot = { worker: new Worker(path.join(__dirname, 'worker.js'), { workerData: { modelName } }), ready: false, task: null };
+    slots.push(slot);
+
+    return new Promise((resolve, reject) => {
+      slot.worker.on('message', message => {
+        if (message.type === 'ready') {
+          slot.ready = true;
+          logger.debug('Embedding worker ready', { worker: workerIndex + 1, workers: size });
+          resolve();
+          dispatch();
+        } else if (message.type === 'load-error') {
+          reject(new Error(message.message));
+          slot.worker.terminate();
+        } else if (message.type === 'result' && slot.task?.taskId === message.taskId) {
+          const task = slot.task;
+          slot.task = null;
+          if (message.error) {
+            task.reject(new Error(message.error));
+          } else {
+            task.resolve(message.vectors);
+          }
+          dispatch();
+        }
+      });
+
+      slot.worker.on('error', error => {
+        logger.error('Embedding worker crashed', { worker: workerIndex + 1, error });
+        reject(error);
+        retire(slot, error);
+      });
+
+      slot.worker.on('exit', code => {
+        if (slots.includes(slot)) {
+          retire(slot, new Error(`Embedding worker exited with code ${code}`));
+        }
+      });
+    });
+  }
+
+  const ready = Promise.all(Array.from({ length: size }, (_, workerIndex) => spawn(workerIndex)));
+
+  return {
+    ready,
+    concurrency: size,
+
+    embed(texts) {
+      if (slots.length === 0) {
+        return Promise.reject(new Error('No embedding workers are running'));
+      }
+      return new Promise((resolve, reject) => {
+        pendingTasks.push({ taskId: nextTaskId++, texts, resolve, reject });
+        dispatch();
+      });
+    },
+
+    async close() {
+      await Promise.all(slots.map(slot => slot.worker.terminate()));
+    },
+  };
+}
+
+module.exports = createWorkerPool;
@@ -0,0 +1,394 @@
+const crypto = require('crypto');
+const EvaluationRun = require('../../models/evaluationRuns');
+const Organization = require('../../models/organizations');
+const { getLLMProvider, resolveGenerationOptions } = require('../llm');
+const {
+  EMBEDDING_MODEL_NAME,
+  NO_RESULTS_ANSWER,
+  RERANK_MODEL_NAME,
+  resolveRetrievalOptions,
+  assessRelevance,
+  retrieveChunks,
+  generateAnswer,
+  formatSources,
+  extractCitations,
+} = require('../ragService');
+const { chunkingConfig } = require('../ingestionService');
+const { GROUNDING_CHECK, verifyGrounding } = require('../grounding');
+const { getPromptSettings } = require('../promptTemplates');
+const { recordTokenUsage, getRemainingTokens } = require('../usageService');
+const { buildTargets, isRelevant, scoreRetrieval, scoreCitations, average } = require('./metrics');
+const { JUDGE_MODEL, judgeAnswer } = require('./judge');
+const { logger } = require('../../utils/logger');
+
+// Golden datasets are JSON documents:
+//   {
+//     "name": "contracts-ka",
+//     "items": [{
+//       "id": "penalty-clause",
+//       "question": "...",
+//       "expectedDocuments": ["contract.pdf"],   // and/or expectedChunkIds, expectedPassages
+//       "referenceAnswer": "..."                 // optional, used by the judge
+//     }]
+//   }
+// Every item runs through the same retrieval and answering code as /api/query.
+const MAX_DATASET_ITEMS = 500;
+const TARGET_FIELDS = ['expectedChunkIds', 'expectedDocuments', 'expectedPassages'];
+const COMPARED_METRICS = ['recallAtK', 'mrr', 'ndcgAtK', 'hitRate', 'citationAccuracy', 'faithfulness', 'correctness', 'abstentionRate', 'groundedRate'];
+
+// ===== HELPER FUNCTIONS =====
+
+function round(value) {
+  return value === null || value === undefined ? null : Math.round(value * 10000) / 10000;
+}
+
+function hashDataset(items) {
+  return crypto.createHash('sha256').update(JSON.stringify(items)).digest('hex');
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+function validateItem(item, index) {
+  const path = `items[${index}]`;
+  if (!item || typeof item !== 'object') {
+    return { error: `${path} must be an object` };
+  }
+  if (!isNonEmptyString(item.question)) {
+    return { error: `${path}.question must be a non-empty string` };
+  }
+
+  const normalized = {
+    id: item.id !== undefined ? String(item.id) : String(index + 1),
+    question: item.question.trim(),
+  };
+
+  for (const field of TARGET_FIELDS) {
+    if (item[field] === undefined) {
+      continue;
+    }
+    if (!Array.isArray(item[field]) || !item[field].every(isNonEmptyString)) {
+      return { error: `${path}.${field} must be an array of non-empty strings` };
+    }
+    normalized[field] = item[field];
+  }
+  if (!TARGET_FIELDS.some(field => normalized[field]?.length > 0)) {
+    return { error: `${path} needs at least one of ${TARGET_FIELDS.join(', ')}` };
+  }
+
+  if (item.referenceAnswer !== undefined) {
+    if (!isNonEmptyString(item.referenceAnswer)) {
+      return { error: `${path}.referenceAnswer must be a non-empty string` };
+    }
+    normalized.referenceAnswer = item.referenceAnswer;
+  }
+
+  return { item: normalized };
+}
+
+// Every model call counts towards the workspace's token quota like a query's
+async function evaluateItem(item, scope, { retrievalOptions, generationOptions, retrievalOnly, judge, promptSettings, organizationId, userId }) {
+  const startedAt = Date.now();
+  const targets = buildTargets(item);
+
+  const chunks = await retrieveChunks(item.question, scope, retrievalOptions);
+  const result = {
+    id: item.id,
+    question: item.question,
+    retrieved: chunks.map((chunk, index) => ({
+      rank: index + 1,
+      chunkId: chunk.chunkId,
+      documentId: chunk.documentId,
+      filename: chunk.filename,
+      pageStart: chunk.pageStart,
+      pageEnd: chunk.pageEnd,
+      relevant: isRelevant(chunk, targets),
+    })),
+    ...scoreRetrieval(chunks, targets, retrievalOptions.maxResults),
+  };
+
+  if (!retrievalOnly) {
+    result.referenceAnswer = item.referenceAnswer;
+    const relevance = assessRelevance(chunks, retrievalOptions.minSimilarity);
+    result.abstained = relevance.abstain;
+
+    if (relevance.abstain) {
+      result.answer = NO_RESULTS_ANSWER;
+      result.abstainReason = relevance.reason;
+      Object.assign(result, scoreCitations([], [], chunks, targets));
+    } else {
+      const completion = await generateAnswer(item.question, chunks, generationOptions, [], promptSettings);
+      const { citations, invalidMarkers } = extractCitations(completion.content, formatSources(chunks));
+      result.answer = completion.content;
+      result.usage = completion.usage;
+      await recordTokenUsage(organizationId, completion.usage, userId);
+      Object.assign(result, scoreCitations(citations, invalidMarkers, chunks, targets));
+
+      if (GROUNDING_CHECK !== 'off') {
+        result.grounding = await verifyGrounding(completion.content, chunks);
+        await recordTokenUsage(organizationId, result.grounding.usage, userId);
+      }
+
+      if (judge) {
+        result.judge = await judgeAnswer({
+          question: item.question,
+          answer: completion.content,
+          chunks,
+          referenceAnswer: item.referenceAnswer,
+        });
+        await recordTokenUsage(organizationId, result.judge.usage, userId);
+      }
+    }
+  }
+
+  result.latencyMs = Date.now() - startedAt;
+  return result;
+}
+
+// Tokens of the answer, the grounding check and the judge
+function itemTokens(item) {
+  return [item.usage, item.grounding?.usage, item.judge?.usage].reduce((sum, usage) => sum + (usage?.totalTokens || 0), 0);
+}
+
+// Averages over the items that ran; failed items are only counted
+function summarizeItems(items) {
+  const scored = items.filter(item => !item.error);
+
+  return {
+    items: items.length,
+    itemsFailed: items.length - scored.length,
+    recallAtK: round(average(scored.map(item => item.recallAtK))),
+    mrr: round(average(scored.map(item => item.reciprocalRank))),
+    ndcgAtK: round(average(scored.map(item => item.ndcgAtK))),
+    hitRate: round(average(scored.map(item => (item.firstRelevantRank ? 1 : 0)))),
+    citationAccuracy: round(average(scored.map(item => item.citationAccuracy))),
+    faithfulness: round(average(scored.map(item => item.judge?.faithfulness))),
+    correctness: round(average(scored.map(item => item.judge?.correctness))),
+    // Share of items that abstained instead of answering, and of generated answers that passed the grounding check
+    abstentionRate: round(average(scored.filter(item => item.abstained !== undefined).map(item => (item.abstained ? 1 : 0)))),
+    groundedRate: round(average(scored.filter(item => item.grounding).map(item => (item.grounding.grounded ? 1 : 0)))),
+    judgeErrors: scored.filter(item => item.judge?.error).length,
+    averageLatencyMs: Math.round(average(scored.map(item => item.latencyMs)) || 0),
+    totalTokens: scored.reduce((sum, item) => sum + itemTokens(item), 0),
+  };
+}
+
+// Per-item scores compared between runs
+function itemScores(item) {
+  return {
+    recallAtK: item.recallAtK,
+    reciprocalRank: item.reciprocalRank,
+    citationAccuracy: item.citationAccuracy,
+    faithfulness: item.judge?.faithfulness,
+  };
+}
+
+// ===== EXPORTED API =====
+
+/**
+ * Checks a golden dataset and fills in item IDs.
+ * Returns `{ dataset }` or `{ error }` with a message suitable for a 400.
+ */
+function validateDataset(dataset) {
+  if (!dataset || typeof dataset !== 'object' || Array.isArray(dataset)) {
+    return { error: 'dataset must be an object with a name and items' };
+  }
+  if (!isNonEmptyString(dataset.name)) {
+    return { error: 'dataset.name must be a non-empty string' };
+  }
+  if (!Array.isArray(dataset.items) || dataset.items.length === 0) {
+    return { error: 'dataset.items must be a non-empty array' };
+  }
+  if (dataset.items.length > MAX_DATASET_ITEMS) {
+    return { error: `dataset.items can hold at most ${MAX_DATASET_ITEMS} items` };
+  }
+
+  const items = [];
+  for (const [index, rawItem] of dataset.items.entries()) {
+    const { item, error } = validateItem(rawItem, index);
+    if (error) {
+      return { error: `dataset.${error}` };
+    }
+    if (items.some(existing => existing.id === item.id)) {
+      return { error: `dataset.items[${index}].id '${item.id}' is used more than once` };
+    }
+    items.push(item);
+  }
+
+  return { dataset: { name: dataset.name.trim(), items } };
+}
+
+/**
+ * Validates the run options shared by the endpoint and the command:
+ * the retrieval and generation options of /api/query plus `retrievalOnly`
+ * (skip answering) and `judge` (grade answers with the LLM judge).
+ * Returns `{ options }` or `{ error }`.
+ */
+function resolveEvaluationOptions({ maxResults, mode, rerank, candidatePool, minSimilarity, model, maxTokens, temperature, retrievalOnly = false, judge = false } = {}) {
+  if (typeof retrievalOnly !== 'boolean' || typeof judge !== 'boolean') {
+    return { error: 'retrievalOnly and judge must be booleans' };
+  }
+  if (retrievalOnly && judge) {
+    return { error: 'judge needs generated answers, so it cannot be combined with retrievalOnly' };
+  }
+
+  const { options: retrievalOptions, error: retrievalError } = resolveRetrievalOptions({ maxResults, mode, rerank, candidatePool, minSimilarity });
+  if (retrievalError) {
+    return { error: retrievalError };
+  }
+  const { options: generationOptions, error: generationError } = resolveGenerationOptions({ model, maxTokens, temperature });
+  if (generationError) {
+    return { error: generationError };
+  }
+
+  return { options: { retrievalOptions, generationOptions, retrievalOnly, judge } };
+}
+
+/**
+ * Records a new run in the `running` state with a snapshot of the pipeline
+ * settings, so later runs can tell what changed.
+ */
+async function createEvaluationRun({ organization, startedBy, source = 'api', label, dataset, options }) {
+  const { retrievalOptions, generationOptions, retrievalOnly, judge } = options;
+  const provider = retrievalOnly ? null : getLLMProvider();
+
+  return EvaluationRun.create({
+    organization,
+    startedBy,
+    source,
+    label,
+    dataset: { name: dataset.name, hash: hashDataset(dataset.items), itemCount: dataset.items.length },
+    config: {
+      retrieval: retrievalOptions,
+      generation: provider
+        ? {
+            provider: provider.name,
+            model: generationOptions.model || provider.defaultModel,
+            maxTokens: generationOptions.maxTokens,
+            temperature: generationOptions.temperature,
+          }
+        : null,
+      retrievalOnly,
+      judge: judge ? { model: JUDGE_MODEL || generationOptions.model || provider.defaultModel } : null,
+      chunking: chunkingConfig,
+      embeddingModel: EMBEDDING_MODEL_NAME,
+      rerankModel: retrievalOptions.rerank ? RERANK_MODEL_NAME : null,
+      groundingCheck: retrievalOnly ? null : GROUNDING_CHECK,
+    },
+  });
+}
+
+/**
+ * Runs every dataset item through retrieval (and answering unless
+ * `retrievalOnly`), saving after each item so progress can be polled.
+ * An item that throws is recorded with its error and the run goes on.
+ * Never throws: the run ends up `completed` or `failed`.
+ */
+async function executeEvaluationRun(run, dataset, scope, options) {
+  const startedAt = Date.now();
+  logger.info('Evaluation started', { runId: run._id, dataset: dataset.name, items: dataset.items.length, organizationId: scope.organizationId });
+
+  try {
+    // Answers use the workspace's prompt as it is when the run starts
+    let promptSettings;
+    let organization;
+    if (!options.retrievalOnly) {
+      organization = await Organization.findById(run.organization);
+      promptSettings = await getPromptSettings(organization);
+      run.config = { ...run.config, prompt: { templateVersion: promptSettings.templateVersion, languagePolicy: promptSettings.languagePolicy } };
+    }
+
+    for (const item of dataset.items) {
+      // A run stops once the workspace's monthly token quota is used up
+      if (organization && (await getRemainingTokens(organization)) === 0) {
+        throw new Error(`The workspace's monthly token quota ran out after ${run.items.length} of ${dataset.items.length} items`);
+      }
+
+      let result;
+      try {
+        result = await evaluateItem(item, scope, { ...options, promptSettings, organizationId: run.organization, userId: run.startedBy });
+      } catch (error) {
+        logger.error('Evaluation item failed', { runId: run._id, itemId: item.id, error });
+        result = { id: item.id, question: item.question, error: error.message };
+      }
+
+      run.items.push(result);
+      run.itemsProcessed = run.items.length;
+      await run.save();
+    }
+
+    run.metrics = summarizeItems(run.items);
+    run.status = 'completed';
+    logger.info('Evaluation finished', { runId: run._id, recallAtK: run.metrics.recallAtK, mrr: run.metrics.mrr, ndcgAtK: run.metrics.ndcgAtK });
+  } catch (error) {
+    logger.error('Evaluation failed', { runId: run._id, error });
+    run.status = 'failed';
+    run.error = error.message;
+  }
+
+  run.finishedAt = new Date();
+  run.durationMs = Date.now() - startedAt;
+  await run.save().catch(error => logger.error('Could not save the evaluation run', { runId: run._id, error }));
+  return run;
+}
+
+/**
+ * Metric deltas (head - base) between two runs, plus the items whose scores
+ * changed. Runs are only strictly comparable when `sameDataset` is true.
+ */
+function compareRuns(base, head) {
+  const metrics = Object.fromEntries(COMPARED_METRICS.map(metric => {
+    const baseValue = base.metrics?.[metric] ?? null;
+    const headValue = head.metrics?.[metric] ?? null;
+    return [metric, {
+      base: baseValue,
+      head: headValue,
+      delta: baseValue !== null && headValue !== null ? round(headValue - baseValue) : null,
+    }];
+  }));
+
+  const baseItems = new Map(base.items.map(item => [item.id, item]));
+  const items = [];
+  for (const headItem of head.items) {
+    const baseItem = baseItems.get(headItem.id);
+    if (!baseItem) {
+      continue;
+    }
+
+    const baseScores = itemScores(baseItem);
+    const headScores = itemScores(headItem);
+    const changes = Object.keys(headScores)
+      .filter(key => typeof baseScores[key] === 'number' && typeof headScores[key] === 'number')
+      .map(key => headScores[key] - baseScores[key])
+      .filter(delta => delta !== 0);
+    if (changes.length === 0) {
+      continue;
+    }
+
+    items.push({
+      id: headItem.id,
+      question: headItem.question,
+      change: changes.every(delta => delta > 0) ? 'improved' : changes.every(delta => delta < 0) ? 'regressed' : 'mixed',
+      base: baseScores,
+      head: headScores,
+    });
+  }
+
+  return {
+    base: base.toSummary(),
+    head: head.toSummary(),
+    sameDataset: base.dataset.hash === head.dataset.hash,
+    metrics,
+    items,
+  };
+}
+
+module.exports = {
+  MAX_DATASET_ITEMS,
+  validateDataset,
+  resolveEvaluationOptions,
+  createEvaluationRun,
+  executeEvaluationRun,
+  compareRuns,
+};
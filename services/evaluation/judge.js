@@ -0,0 +1,72 @@
+const { getLLMProvider } = require('../llm');
+
+// Optional LLM judge for evaluation runs. It uses the configured provider,
+// with EVAL_JUDGE_MODEL when the judge should be a different (stronger) model.
+const JUDGE_MODEL = process.env.EVAL_JUDGE_MODEL;
+const JUDGE_MAX_TOKENS = 300;
+
+function buildJudgePrompt({ question, answer, chunks, referenceAnswer }) {
+  const context = chunks
+    .map((chunk, index) => `[${index + 1}] ${chunk.fullText}`)
+    .join("\n\n");
+
+  return `
+You are grading an answer produced by a retrieval-augmented assistant.
+
+Faithfulness: the share (0 to 1) of the answer's claims that are supported by the context below. Claims that are not in the context count against it, even when they are true.
+${referenceAnswer ? 'Correctness: how well (0 to 1) the answer agrees with the reference answer.' : 'There is no reference answer, so correctness is null.'}
+
+Context:
+${context}
+
+Question: ${question}
+${referenceAnswer ? `\nReference answer: ${referenceAnswer}\n` : ''}
+Answer to grade: ${answer}
+
+Reply with a single JSON object only, with the keys "faithfulness", "correctness" and "reasoning" (one sentence).`;
+}
+
+function toScore(value) {
+  const score = Number(value);
+  return value === null || value === undefined || Number.isNaN(score) ? null : Math.min(1, Math.max(0, score));
+}
+
+/**
+ * Asks the judge model to grade an answer against its retrieved context.
+ * Returns { faithfulness, correctness, reasoning, model, usage } or { error } when
+ * the reply is not the requested JSON (the offline mock provider never is).
+ */
+async function judgeAnswer({ question, answer, chunks, referenceAnswer }) {
+  const completion = await getLLMProvider().generate({
+    messages: [{ role: "user", content: buildJudgePrompt({ question, answer, chunks, referenceAnswer }) }],
+    model: JUDGE_MODEL,
+    maxTokens: JUDGE_MAX_TOKENS,
+    temperature: 0,
+  });
+
+  const json = completion.content.match(/\{[\s\S]*\}/);
+  let verdict;
+  try {
+    verdict = json ? JSON.parse(json[0]) : null;
+  } catch (error) {
+    verdict = null;
+  }
+
+  const faithfulness = toScore(verdict?.faithfulness);
+  if (faithfulness === null) {
+    return { error: 'The judge did not reply with a faithfulness score', model: completion.model, usage: completion.usage };
+  }
+
+  return {
+    faithfulness,
+    correctness: referenceAnswer ? toScore(verdict.correctness) : null,
+    reasoning: typeof verdict.reasoning === 'string' ? verdict.reasoning : undefined,
+    model: completion.model,
+    usage: completion.usage,
+  };
+}
+
+module.exports = {
+  JUDGE_MODEL,
+  judgeAnswer,
+};
@@ -0,0 +1,123 @@
+const { normalizeQueryText } = require('../georgianText');
+
+// Retrieval and citation metrics for one golden-set item. A golden item names
+// what a good answer must be built from as "targets":
+//   expectedChunkIds  - exact vector IDs (only stable until the next re-index)
+//   expectedDocuments - document IDs or filenames
+//   expectedPassages  - text that must appear in a retrieved chunk; survives
+//                       changes to chunk size and separators
+// A retrieved chunk is relevant when it matches at least one target.
+
+function normalizePassage(text) {
+  return normalizeQueryText(text).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function buildTargets(item) {
+  return [
+    ...(item.expectedChunkIds || []).map(value => ({ type: 'chunk', value })),
+    ...(item.expectedDocuments || []).map(value => ({ type: 'document', value })),
+    ...(item.expectedPassages || []).map(value => ({ type: 'passage', value: normalizePassage(value) })),
+  ];
+}
+
+function matchesTarget(chunk, target) {
+  switch (target.type) {
+    case 'chunk':
+      return chunk.chunkId === target.value || chunk.id === target.value;
+    case 'document':
+      return chunk.documentId === target.value || chunk.filename === target.value;
+    case 'passage':
+      return normalizePassage(chunk.fullText || '').includes(target.value);
+    default:
+      return false;
+  }
+}
+
+function isRelevant(chunk, targets) {
+  return targets.some(target => matchesTarget(chunk, target));
+}
+
+/**
+ * Scores a ranked list of retrieved chunks against the targets at cutoff `k`:
+ *   recallAtK      - share of targets matched by any retrieved chunk
+ *   reciprocalRank - 1 / rank of the first relevant chunk (0 when none); MRR averages it
+ *   ndcgAtK        - binary-gain nDCG where a chunk only gains for targets no
+ *                    higher-ranked chunk matched, so near-duplicates are not rewarded
+ *                    twice; the ideal ranking matches one new target per rank
+ */
+function scoreRetrieval(chunks, targets, k = chunks.length) {
+  const matched = new Set();
+  let firstRelevantRank = null;
+  let dcg = 0;
+
+  chunks.slice(0, k).forEach((chunk, index) => {
+    let relevant = false;
+    let gained = false;
+    targets.forEach((target, targetIndex) => {
+      if (matchesTarget(chunk, target)) {
+        relevant = true;
+        if (!matched.has(targetIndex)) {
+          matched.add(targetIndex);
+          gained = true;
+        }
+      }
+    });
+
+    if (relevant && firstRelevantRank === null) {
+      firstRelevantRank = index + 1;
+    }
+    if (gained) {
+      dcg += 1 / Math.log2(index + 2);
+    }
+  });
+
+  let idealDcg = 0;
+  for (let rank = 1; rank <= Math.min(targets.length, k); rank++) {
+    idealDcg += 1 / Math.log2(rank + 1);
+  }
+
+  return {
+    recallAtK: targets.length > 0 ? matched.size / targets.length : null,
+    reciprocalRank: firstRelevantRank ? 1 / firstRelevantRank : 0,
+    ndcgAtK: idealDcg > 0 ? dcg / idealDcg : 0,
+    firstRelevantRank,
+    targetsMatched: matched.size,
+    targetsTotal: targets.length,
+  };
+}
+
+/**
+ * Share of the answer's [n] citations that point at a relevant chunk.
+ * Markers outside the source list count as wrong. Null when nothing was cited.
+ */
+function scoreCitations(citations, invalidMarkers, chunks, targets) {
+  const accurate = citations.filter(citation => {
+    const chunk = chunks[citation.marker - 1];
+    return chunk ? isRelevant(chunk, targets) : false;
+  }).length;
+  const total = citations.length + invalidMarkers.length;
+
+  return {
+    citationAccuracy: total > 0 ? accurate / total : null,
+    citationsTotal: total,
+    citationsAccurate: accurate,
+    invalidCitations: invalidMarkers.length,
+  };
+}
+
+// Mean of the defined values; null when there are none
+function average(values) {
+  const defined = values.filter(value => value !== null && value !== undefined);
+  if (defined.length === 0) {
+    return null;
+  }
+  return defined.reduce((sum, value) => sum + value, 0) / defined.length;
+}
+
+module.exports = {
+  buildTargets,
+  isRelevant,
+  scoreRetrieval,
+  scoreCitations,
+  average,
+};
@@ -0,0 +1,480 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const Extraction = require('../models/extractions');
+const { getLLMProvider, resolveGenerationOptions } = require('./llm');
+const {
+  EMBEDDING_MODEL_NAME,
+  RETRIEVAL_MODES,
+  DEFAULT_RETRIEVAL_MODE,
+  retrieveChunks,
+  formatPageRange,
+  formatSources,
+} = require('./ragService');
+const { recordTokenUsage } = require('./usageService');
+const { toCsv } = require('../utils/csv');
+const { logger } = require('../utils/logger');
+
+// Structured extraction: every top-level field of the caller's JSON schema is
+// searched for in the document (its name plus its description), the excerpts
+// found are numbered like answer context, and the model replies with
+//   { "data": { ...matches the schema }, "citations": { "<field path>": [n, ...] } }
+// `data` is validated against the schema; an invalid reply is retried once
+// with the validation errors so the model can correct itself.
+const MAX_EXTRACTION_DOCUMENTS = 20;
+const MAX_SCHEMA_LENGTH = 20000;
+const CHUNKS_PER_FIELD = 3;
+const MAX_CONTEXT_CHUNKS = 12;
+const MAX_ATTEMPTS = 2;
+const EXPORT_FORMATS = ['json', 'csv'];
+// Extractions run in the API process. One that stops sending heartbeats
+// (crash, restart, deploy) is marked failed instead of staying `running`.
+const EXTRACTION_HEARTBEAT_MS = 30 * 1000;
+const EXTRACTION_STALE_AFTER_MS = Number(process.env.EXTRACTION_STALE_AFTER_MS) || 2 * 60 * 1000;
+const STALE_EXTRACTION_ERROR = 'The server stopped while the extraction was running. Start it again.';
+
+let staleCheckTimer;
+
+// Separate from the request validator: user schemas are compiled on the fly
+const schemaAjv = addFormats(new Ajv({ allErrors: true, strict: false }));
+
+// ===== HELPER FUNCTIONS =====
+
+// "invoiceNumber" / "invoice_number" -> "invoice number"
+function fieldWords(name) {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/[_-]+/g, ' ')
+    .toLowerCase()
+    .trim();
+}
+
+// One retrieval query per top-level field
+function fieldQueries(schema) {
+  return Object.entries(schema.properties).map(([name, property]) =>
+    [fieldWords(name), property?.description || property?.title].filter(Boolean).join(' - ')
+  );
+}
+
+// Leaf paths a schema describes, e.g. ["total", "seller.name"]
+function schemaPaths(schema, prefix = '') {
+  if (!schema?.properties) {
+    return prefix ? [prefix] : [];
+  }
+  return Object.entries(schema.properties).flatMap(([name, property]) =>
+    schemaPaths(property, prefix ? `${prefix}.${name}` : name)
+  );
+}
+
+// Leaf values of extracted data as [{ path, value }]; arrays are kept whole
+function flattenData(data, prefix = '') {
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    return prefix ? [{ path: prefix, value: data }] : [];
+  }
+  return Object.entries(data).flatMap(([name, value]) =>
+    flattenData(value, prefix ? `${prefix}.${name}` : name)
+  );
+}
+
+// Interleaves each field's ranked chunks (best of every field first) without duplicates
+function mergeChunkLists(lists) {
+  const merged = new Map();
+  const longest = Math.max(0, ...lists.map(list => list.length));
+  for (let rank = 0; rank < longest && merged.size < MAX_CONTEXT_CHUNKS; rank++) {
+    for (const list of lists) {
+      const chunk = list[rank];
+      if (chunk && !merged.has(chunk.chunkId) && merged.size < MAX_CONTEXT_CHUNKS) {
+        merged.set(chunk.chunkId, chunk);
+      }
+    }
+  }
+  return [...merged.values()];
+}
+
+async function retrieveDocumentChunks(document, scope, schema, mode) {
+  const lists = [];
+  // One field at a time: every query embeds on the same single model instance
+  for (const query of fieldQueries(schema)) {
+    lists.push(await retrieveChunks(query, scope, {
+      maxResults: CHUNKS_PER_FIELD,
+      mode,
+      allVersions: true,
+      documentIds: [document._id],
+    }));
+  }
+  return mergeChunkLists(lists);
+}
+
+function buildExtractionPrompt(schema, chunks) {
+  const excerpts = chunks
+    .map((chunk, index) => `[${index + 1}] (${[chunk.filename, formatPageRange(chunk)].filter(Boolean).join(', ')})\n${chunk.fullText}`)
+    .join('\n\n');
+
+  const prompt = `
+Extract the fields described by the JSON schema below from the document excerpts.
+Use ONLY the excerpts. When a field is not stated in them, use null if the schema allows it and leave it out otherwise; never guess.
+Reply with a single JSON object with two keys:
+  "data": the extracted values, matching the schema
+  "citations": an object mapping every field path in "data" (e.g. "total" or "seller.name") to the numbers of the excerpts it was taken from, e.g. {"total": [2]}
+
+JSON schema:
+${JSON.stringify(schema, null, 2)}
+
+Excerpts:
+${excerpts}`;
+
+  logger.debug('Extraction prompt', { prompt });
+  return prompt;
+}
+
+// The reply shape, passed to providers that can constrain their output
+function responseSchemaFor(schema) {
+  return {
+    type: 'object',
+    properties: {
+      data: schema,
+      citations: { type: 'object', additionalProperties: { type: 'array', items: { type: 'integer' } } },
+    },
+    required: ['data', 'citations'],
+  };
+}
+
+function parseReply(content) {
+  const json = (content || '').match(/\{[\s\S]*\}/);
+  try {
+    const reply = json ? JSON.parse(json[0]) : null;
+    return reply && typeof reply === 'object' && 'data' in reply ? reply : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Ajv errors as { field, message } with dotted field paths
+function toValidationErrors(errors) {
+  return (errors || []).map(error => {
+    const path = error.instancePath.split('/').slice(1).join('.');
+    const field = error.keyword === 'required'
+      ? [path, error.params.missingProperty].filter(Boolean).join('.')
+      : path;
+    return { field, message: error.message };
+  });
+}
+
+// A field is cited by its own path, else by its top-level field
+function fieldMarkers(citations, path) {
+  const markers = citations[path] ?? citations[path.split('.')[0]] ?? [];
+  return (Array.isArray(markers) ? markers : [markers])
+    .map(marker => Number(String(marker).replace(/[^\d]/g, '')))
+    .filter(marker => Number.isInteger(marker) && marker > 0);
+}
+
+function buildFields(data, citations, sources, invalidMarkers) {
+  return flattenData(data).map(({ path, value }) => ({
+    path,
+    value,
+    citations: fieldMarkers(citations, path).flatMap(marker => {
+      const source = sources[marker - 1];
+      if (!source) {
+        invalidMarkers.add(marker);
+        return [];
+      }
+      return [{
+        marker,
+        chunkId: source.chunkId,
+        documentId: source.documentId,
+        filename: source.filename,
+        pageStart: source.pageStart,
+        pageEnd: source.pageEnd,
+      }];
+    }),
+  }));
+}
+
+function addUsage(total, usage) {
+  if (!usage) {
+    return total;
+  }
+  return {
+    promptTokens: (total?.promptTokens || 0) + (usage.promptTokens || 0),
+    completionTokens: (total?.completionTokens || 0) + (usage.completionTokens || 0),
+    totalTokens: (total?.totalTokens || 0) + (usage.totalTokens || 0),
+  };
+}
+
+async function extractDocument(document, scope, validateData, { schema, mode, generationOptions, organizationId, userId }) {
+  const result = { document: document._id, filename: document.filename, version: document.version };
+
+  const chunks = await retrieveDocumentChunks(document, scope, schema, mode);
+  result.chunksUsed = chunks.length;
+  if (chunks.length === 0) {
+    return { ...result, status: 'failed', error: 'No indexed text was found in this document' };
+  }
+
+  const messages = [{ role: 'user', content: buildExtractionPrompt(schema, chunks) }];
+  let reply;
+  let validationErrors;
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const completion = await getLLMProvider().generate({
+      messages,
+      ...generationOptions,
+      responseSchema: responseSchemaFor(schema),
+    });
+    await recordTokenUsage(organizationId, completion.usage, userId);
+    result.usage = addUsage(result.usage, completion.usage);
+    result.model = completion.model;
+    result.attempts = attempt;
+
+    reply = parseReply(completion.content);
+    validationErrors = !reply
+      ? [{ field: '', message: 'the reply was not a JSON object with a "data" key' }]
+      : validateData(reply.data) ? [] : toValidationErrors(validateData.errors);
+    if (validationErrors.length === 0) {
+      break;
+    }
+
+    messages.push(
+      { role: 'assistant', content: completion.content },
+      {
+        role: 'user',
+        content: `That reply does not match the schema:\n${validationErrors.map(error => `- ${error.field || '(root)'}: ${error.message}`).join('\n')}\nReply again with the corrected JSON object only.`,
+      }
+    );
+  }
+
+  const invalidMarkers = new Set();
+  const citations = reply?.citations && typeof reply.citations === 'object' ? reply.citations : {};
+  Object.assign(result, {
+    status: validationErrors.length === 0 ? 'completed' : 'invalid',
+    data: reply ? reply.data : null,
+    fields: reply ? buildFields(reply.data, citations, formatSources(chunks), invalidMarkers) : [],
+    validationErrors,
+    invalidCitations: [...invalidMarkers],
+  });
+  return result;
+}
+
+// Human-readable source list for a CSV cell
+function formatCitations(citations) {
+  return citations
+    .map(citation => [citation.filename, formatPageRange(citation)].filter(Boolean).join(' '))
+    .join('; ');
+}
+
+function toCsvValue(value) {
+  if (Array.isArray(value) && value.every(item => item === null || typeof item !== 'object')) {
+    return value.join('; ');
+  }
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+// ===== EXPORTED API =====
+
+/**
+ * Checks a caller's JSON schema: an object schema with properties that Ajv
+ * can compile. Returns `{ schema }` or `{ error }` with a message suitable for a 400.
+ */
+function validateExtractionSchema(schema) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    return { error: 'schema must be a JSON schema object' };
+  }
+  if (JSON.stringify(schema).length > MAX_SCHEMA_LENGTH) {
+    return { error: `schema must be at most ${MAX_SCHEMA_LENGTH} characters as JSON` };
+  }
+  if (schema.type !== 'object' || !schema.properties || typeof schema.properties !== 'object' || Object.keys(schema.properties).length === 0) {
+    return { error: 'schema must have type "object" and at least one property' };
+  }
+
+  try {
+    schemaAjv.compile(schema);
+  } catch (error) {
+    return { error: `schema is not a valid JSON schema: ${error.message}` };
+  }
+  return { schema };
+}
+
+/**
+ * Validates the retrieval mode and generation options of an extraction.
+ * The temperature defaults to 0: extraction should copy, not paraphrase.
+ * Returns `{ options }` or `{ error }`.
+ */
+function resolveExtractionOptions({ mode = DEFAULT_RETRIEVAL_MODE, model, maxTokens, temperature = 0 } = {}) {
+  if (!RETRIEVAL_MODES.includes(mode)) {
+    return { error: `mode must be one of: ${RETRIEVAL_MODES.join(', ')}` };
+  }
+  const { options: generationOptions, error } = resolveGenerationOptions({ model, maxTokens, temperature });
+  if (error) {
+    return { error };
+  }
+  return { options: { mode, generationOptions } };
+}
+
+/**
+ * Records a new extraction in the `running` state with the settings it runs with.
+ */
+async function createExtraction({ organization, createdBy, name, schema, documents, options }) {
+  const provider = getLLMProvider();
+
+  return Extraction.create({
+    organization,
+    createdBy,
+    name,
+    schema,
+    documents: documents.map(document => document._id),
+    heartbeatAt: new Date(),
+    config: {
+      retrieval: { mode: options.mode, chunksPerField: CHUNKS_PER_FIELD, maxChunks: MAX_CONTEXT_CHUNKS },
+      generation: {
+        provider: provider.name,
+        model: options.generationOptions.model || provider.defaultModel,
+        maxTokens: options.generationOptions.maxTokens,
+        temperature: options.generationOptions.temperature,
+      },
+      embeddingModel: EMBEDDING_MODEL_NAME,
+    },
+  });
+}
+
+/**
+ * Extracts the schema's fields from every document, saving after each one so
+ * progress can be polled. A document that throws is recorded as `failed` and
+ * the others go on. Never throws: the extraction ends `completed` or `failed`.
+ */
+async function executeExtraction(extraction, documents, scope, options) {
+  const startedAt = Date.now();
+  // Started from the request handler, so these lines carry its request ID
+  logger.info('Extracting fields', { extractionId: extraction._id, organizationId: scope.organizationId, fields: Object.keys(extraction.schema.properties).length, documents: documents.length });
+
+  const heartbeat = setInterval(() => {
+    Extraction.updateOne({ _id: extraction._id, status: 'running' }, { $set: { heartbeatAt: new Date() } })
+      .catch(error => logger.error('Could not refresh the extraction heartbeat', { extractionId: extraction._id, error }));
+  }, EXTRACTION_HEARTBEAT_MS);
+  heartbeat.unref();
+
+  try {
+    const validateData = schemaAjv.compile(extraction.schema);
+
+    for (const document of documents) {
+      let result;
+      try {
+        result = await extractDocument(document, scope, validateData, {
+          ...options,
+          schema: extraction.schema,
+          organizationId: extraction.organization,
+          userId: extraction.createdBy,
+        });
+      } catch (error) {
+        logger.error('Extraction from a document failed', { extractionId: extraction._id, documentId: document._id, error });
+        result = { document: document._id, filename: document.filename, version: document.version, status: 'failed', error: error.message };
+      }
+
+      extraction.results.push(result);
+      extraction.documentsProcessed = extraction.results.length;
+      await extraction.save();
+    }
+
+    extraction.status = 'completed';
+    logger.info('Extraction finished', { extractionId: extraction._id, durationMs: Date.now() - startedAt });
+  } catch (error) {
+    logger.error('Extraction failed', { extractionId: extraction._id, error });
+    extraction.status = 'failed';
+    extraction.error = error.message;
+  } finally {
+    clearInterval(heartbeat);
+  }
+
+  extraction.finishedAt = new Date();
+  extraction.durationMs = Date.now() - startedAt;
+  await extraction.save().catch(error => logger.error('Could not save the extraction', { extractionId: extraction._id, error }));
+  return extraction;
+}
+
+/**
+ * The extraction as a downloadable file: JSON with every result, or CSV with
+ * one row per document, one column per field path and a "<path> (sources)"
+ * column next to each. Returns { contentType, filename, body }.
+ */
+function exportExtraction(extraction, format) {
+  const basename = `extraction-${extraction._id}`;
+  const results = extraction.results.map(result => ({
+    documentId: result.document,
+    filename: result.filename,
+    version: result.version,
+    status: result.status,
+    data: result.data,
+    fields: result.fields,
+    validationErrors: result.validationErrors,
+    error: result.error,
+  }));
+
+  if (format === 'json') {
+    const body = JSON.stringify({
+      id: extraction._id,
+      name: extraction.name,
+      schema: extraction.schema,
+      createdAt: extraction.createdAt,
+      results,
+    }, null, 2);
+    return { contentType: 'application/json', filename: `${basename}.json`, body };
+  }
+
+  // Columns follow the schema, then any extra paths the model returned
+  const paths = [...new Set([
+    ...schemaPaths(extraction.schema),
+    ...results.flatMap(result => (result.fields || []).map(field => field.path)),
+  ])];
+  const columns = ['documentId', 'filename', 'version', 'status', ...paths.flatMap(path => [path, `${path} (sources)`])];
+  const rows = results.map(result => {
+    const row = { documentId: String(result.documentId), filename: result.filename, version: result.version, status: result.status };
+    for (const field of result.fields || []) {
+      row[field.path] = toCsvValue(field.value);
+      row[`${field.path} (sources)`] = formatCitations(field.citations || []);
+    }
+    return row;
+  });
+  return { contentType: 'text/csv; charset=utf-8', filename: `${basename}.csv`, body: toCsv(columns, rows) };
+}
+
+/**
+ * Marks extractions whose process stopped sending heartbeats as failed.
+ * Extractions from before heartbeats were recorded go by their last update.
+ * Returns the number of extractions marked.
+ */
+async function failStaleExtractions() {
+  const cutoff = new Date(Date.now() - EXTRACTION_STALE_AFTER_MS);
+  const { modifiedCount } = await Extraction.updateMany(
+    {
+      status: 'running',
+      $or: [{ heartbeatAt: { $lt: cutoff } }, { heartbeatAt: { $exists: false }, updatedAt: { $lt: cutoff } }],
+    },
+    { $set: { status: 'failed', error: STALE_EXTRACTION_ERROR, finishedAt: new Date() } }
+  );
+  if (modifiedCount > 0) {
+    logger.warn('Marked stale extractions as failed', { extractions: modifiedCount });
+  }
+  return modifiedCount;
+}
+
+/**
+ * Checks for stale extractions now and then every EXTRACTION_STALE_AFTER_MS,
+ * so extractions left `running` by a dead process end up `failed`.
+ */
+function startStaleExtractionCheck() {
+  if (staleCheckTimer) {
+    return;
+  }
+  const check = () => failStaleExtractions().catch(error => logger.error('Could not check for stale extractions', { error }));
+  staleCheckTimer = setInterval(check, EXTRACTION_STALE_AFTER_MS);
+  staleCheckTimer.unref();
+  check();
+}
+
+module.exports = {
+  MAX_EXTRACTION_DOCUMENTS,
+  EXPORT_FORMATS,
+  validateExtractionSchema,
+  resolveExtractionOptions,
+  createExtraction,
+  executeExtraction,
+  exportExtraction,
+  failStaleExtractions,
+  startStaleExtractionCheck,
+};
@@ -0,0 +1,224 @@
+// Georgian text normalization shared by ingestion and querying:
+//   - repairs text typed in legacy ASCII-mapped fonts (AcadNusx, AcadMtavr),
+//     which PDF and Word extraction return as Latin gibberish ("saqarTvelo")
+//   - folds Mtavruli capitals onto Mkhedruli so both spellings retrieve alike
+//   - unifies typographic quotes and dashes
+// Everything here is pure string processing, so it can be used from any loader.
+
+// Mtavruli capitals (U+1C90-U+1CBF) map onto Mkhedruli (U+10D0-U+10FF)
+const MTAVRULI_START = 0x1c90;
+const MTAVRULI_END = 0x1cbf;
+const MTAVRULI_OFFSET = 0x1c90 - 0x10d0;
+
+// Keyboard layout of the AcadNusx/AcadMtavr fonts. Both fonts use the same
+// keys; AcadMtavr only draws capital-style glyphs, which fold to Mkhedruli anyway.
+const LEGACY_FONT_MAP = {
+  a: 'ა', b: 'ბ', g: 'გ', d: 'დ', e: 'ე', v: 'ვ', z: 'ზ', T: 'თ', i: 'ი',
+  k: 'კ', l: 'ლ', m: 'მ', n: 'ნ', o: 'ო', p: 'პ', J: 'ჟ', r: 'რ', s: 'ს',
+  t: 'ტ', u: 'უ', f: 'ფ', q: 'ქ', R: 'ღ', y: 'ყ', S: 'შ', C: 'ჩ', c: 'ც',
+  Z: 'ძ', w: 'წ', W: 'ჭ', x: 'ხ', j: 'ჯ', h: 'ჰ',
+};
+
+// A word that can be legacy Georgian: lowercase keys plus the shifted ones
+const LEGACY_WORD = /^[a-zTJRSCZW]+$/;
+// Shifted keys inside a word ("saqarTvelo", "kanonSi") never happen in English
+const LEGACY_MARKER = /^.+[TJRSCZW]/;
+const LATIN_WORD = /[A-Za-z]{2,}/g;
+
+// Frequent Georgian function words as they come out of a legacy font
+const LEGACY_STOPWORDS = new Set([
+  'da', 'rom', 'aris', 'ar', 'an', 'Tu', 'xolo', 'unda', 'mier', 'ki', 'es',
+  'am', 'mis', 'misi', 'ara', 'iyo', 'ris', 'Tan', 'Semdeg', 'mxolod', 'Tavis',
+]);
+const ENGLISH_STOPWORDS = new Set([
+  'the', 'of', 'and', 'to', 'in', 'is', 'for', 'on', 'with', 'that', 'by',
+  'this', 'be', 'are', 'as', 'at', 'from', 'or', 'it', 'was', 'which', 'not',
+]);
+
+// Lines with fewer Latin words follow the decision made for the whole text
+const MIN_WORDS_FOR_LINE_DECISION = 4;
+const MIN_WORDS_FOR_DETECTION = 3;
+const LEGACY_SCORE_THRESHOLD = 0.2;
+
+const QUOTE_REPLACEMENTS = [
+  [/[\u201C-\u201F\u00AB\u00BB\u2033]/g, '"'],
+  [/[\u2018-\u201B\u2039\u203A\u2032]/g, "'"],
+];
+// Hyphens, figure dash, en/em dashes, horizontal bar and the minus sign
+const DASHES = /[\u2010-\u2015\u2212]/g;
+// Soft hyphens, zero-width characters and BOMs that PDF extraction leaves behind
+const INVISIBLE_CHARACTERS = /[\u00AD\u200B-\u200D\u2060\uFEFF]/g;
+const GEORGIAN_LETTER = /[\u10A0-\u10FF\u1C90-\u1CBF\u2D00-\u2D2F]/g;
+const LETTER = /\p{L}/gu;
+
+function foldMtavruli(text) {
+  return text.replace(/[\u1C90-\u1CBF]/g, char => {
+    const code = char.charCodeAt(0);
+    return code >= MTAVRULI_START && code <= MTAVRULI_END ? String.fromCharCode(code - MTAVRULI_OFFSET) : char;
+  });
+}
+
+/**
+ * Replaces typographic quotes with ASCII quotes, every dash variant with "-",
+ * and drops soft hyphens and zero-width characters.
+ */
+function normalizePunctuation(text) {
+  let normalized = text.replace(INVISIBLE_CHARACTERS, '').replace(DASHES, '-');
+  for (const [pattern, replacement] of QUOTE_REPLACEMENTS) {
+    normalized = normalized.replace(pattern, replacement);
+  }
+  return normalized;
+}
+
+/**
+ * Scores how much the Latin words of `text` look like legacy-font Georgian.
+ * Returns { isLegacy, score, latinWords, markerWords }, where `score` is the
+ * share of Latin words that are Georgian function words or contain a shifted
+ * key mid-word. English function words count against it.
+ */
+function detectLegacyEncoding(text) {
+  const words = (text || '').match(LATIN_WORD) || [];
+  let markerWords = 0;
+  let englishWords = 0;
+
+  for (const word of words) {
+    if (ENGLISH_STOPWORDS.has(word.toLowerCase())) {
+      englishWords += 1;
+    } else if (LEGACY_WORD.test(word) && (LEGACY_STOPWORDS.has(word) || LEGACY_MARKER.test(word))) {
+      markerWords += 1;
+    }
+  }
+
+  const score = words.length > 0 ? (markerWords - englishWords) / words.length : 0;
+  return {
+    isLegacy: words.length >= MIN_WORDS_FOR_DETECTION && score >= LEGACY_SCORE_THRESHOLD,
+    score: Math.round(Math.max(score, 0) * 100) / 100,
+    latinWords: words.length,
+    markerWords,
+  };
+}
+
+// Converts the legacy-looking words of one line. Codes such as "LLC" or
+// "A-12/2023" contain keys the fonts do not use, and emails, URLs and domain
+// names are left alone
+function convertLegacyWords(line) {
+  let convertedWords = 0;
+  const text = line.replace(/\S+/g, token => {
+    if (/@|:\/\/|^www\.|[A-Za-z0-9]\.[A-Za-z0-9]/.test(token)) {
+      return token;
+    }
+    return token.replace(/[A-Za-z]+/g, (word, offset) => {
+      const before = token[offset - 1] || '';
+      const after = token[offset + word.length] || '';
+      if (!LEGACY_WORD.test(word) || /[\w/\\]/.test(before) || /[\w/\\]/.test(after)) {
+        return word;
+      }
+      convertedWords += 1;
+      return Array.from(word, char => LEGACY_FONT_MAP[char]).join('');
+    });
+  });
+  return { text, convertedWords };
+}
+
+/**
+ * Converts AcadNusx/AcadMtavr text to Unicode Georgian. Each line is judged on
+ * its own so Latin passages in a mixed document survive; lines too short to
+ * judge follow the whole text. Pass `force: true` to convert every line.
+ * Returns { text, convertedWords, convertedLines }.
+ */
+function convertLegacyText(text, { force = false } = {}) {
+  const wholeText = force || detectLegacyEncoding(text).isLegacy;
+  let convertedWords = 0;
+  let convertedLines = 0;
+
+  const lines = text.split('\n').map(line => {
+    const detection = detectLegacyEncoding(line);
+    const convert = force || (detection.latinWords >= MIN_WORDS_FOR_LINE_DECISION ? detection.isLegacy : wholeText);
+    if (!convert || detection.latinWords === 0) {
+      return line;
+    }
+
+    const converted = convertLegacyWords(line);
+    if (converted.convertedWords > 0) {
+      convertedWords += converted.convertedWords;
+      convertedLines += 1;
+    }
+    return converted.text;
+  });
+
+  return { text: lines.join('\n'), convertedWords, convertedLines };
+}
+
+/**
+ * Full normalization for indexing: NFC, legacy-font repair, Mtavruli folding
+ * and punctuation cleanup. Returns { text, stats } where `stats` counts what
+ * was changed, for the file's quality report.
+ */
+function normalizeGeorgianText(text, { legacy = 'auto' } = {}) {
+  let normalized = (text || '').normalize('NFC');
+
+  let legacyStats = { convertedWords: 0, convertedLines: 0 };
+  if (legacy !== false) {
+    legacyStats = convertLegacyText(normalized, { force: legacy === true });
+    normalized = legacyStats.text;
+  }
+
+  const mtavruliFolded = (normalized.match(/[\u1C90-\u1CBF]/g) || []).length;
+  normalized = foldMtavruli(normalized);
+
+  const beforePunctuation = normalized;
+  normalized = normalizePunctuation(normalized);
+  let punctuationNormalized = 0;
+  if (normalized !== beforePunctuation) {
+    punctuationNormalized = (beforePunctuation.match(DASHES) || []).length
+      + (beforePunctuation.match(INVISIBLE_CHARACTERS) || []).length
+      + QUOTE_REPLACEMENTS.reduce((count, [pattern]) => count + (beforePunctuation.match(pattern) || []).length, 0);
+  }
+
+  return {
+    text: normalized,
+    stats: {
+      legacyWordsConverted: legacyStats.convertedWords,
+      legacyLinesConverted: legacyStats.convertedLines,
+      mtavruliFolded,
+      punctuationNormalized,
+    },
+  };
+}
+
+/**
+ * Light normalization for search queries: Mtavruli folding and punctuation
+ * only, since a short query is too little text to detect a legacy font.
+ */
+function normalizeQueryText(text) {
+  return normalizePunctuation(foldMtavruli((text || '').normalize('NFC')));
+}
+
+/**
+ * Share of letters in `text` per script: { georgian, latin, other } in 0..1.
+ */
+function measureScripts(text) {
+  const letters = (text.match(LETTER) || []).length;
+  if (letters === 0) {
+    return { georgian: 0, latin: 0, other: 0 };
+  }
+  const georgian = (text.match(GEORGIAN_LETTER) || []).length;
+  const latin = (text.match(/[A-Za-z]/g) || []).length;
+  const round = value => Math.round(value * 1000) / 1000;
+  return {
+    georgian: round(georgian / letters),
+    latin: round(latin / letters),
+    other: round((letters - georgian - latin) / letters),
+  };
+}
+
+module.exports = {
+  LEGACY_FONT_MAP,
+  foldMtavruli,
+  normalizePunctuation,
+  detectLegacyEncoding,
+  convertLegacyText,
+  normalizeGeorgianText,
+  normalizeQueryText,
+  measureScripts,
+};
@@ -0,0 +1,202 @@
+const { getLLMProvider } = require('./llm');
+const { tokenize } = require('./lexical/tokenizer');
+const { logger } = require('../utils/logger');
+
+// Grounding verification - checks every sentence of an answer against the
+// chunks it cites. GROUNDING_CHECK picks the method:
+//   lexical - share of the sentence's content words found in the cited chunks (default, no model call)
+//   llm     - the configured provider judges each sentence (GROUNDING_MODEL to use another model)
+//   off     - no verification
+const GROUNDING_METHODS = ['lexical', 'llm', 'off'];
+const GROUNDING_CHECK = GROUNDING_METHODS.includes(process.env.GROUNDING_CHECK) ? process.env.GROUNDING_CHECK : 'lexical';
+const GROUNDING_MODEL = process.env.GROUNDING_MODEL;
+// A sentence is supported when at least this share of its content words (lexical) or this score (llm) is reached
+const GROUNDING_MIN_SUPPORT = process.env.GROUNDING_MIN_SUPPORT !== undefined
+  ? Number(process.env.GROUNDING_MIN_SUPPORT)
+  : 0.6;
+const GROUNDING_MAX_TOKENS = 800;
+
+const CITATION_MARKERS = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+const LEADING_MARKERS = /^((?:\[\d+(?:\s*,\s*\d+)*\]\s*)+)([\s\S]*)$/;
+// Function words that would make any sentence look supported (stemmed like the text they are compared with)
+const STOP_WORDS = new Set(tokenize([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it', 'its',
+  'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'which', 'with', 'not', 'no', 'can', 'must',
+  'და', 'არის', 'ეს', 'ის', 'რომ', 'თუ', 'ან', 'არ', 'უნდა', 'ასევე', 'მიერ', 'როგორც',
+].join(' ')));
+
+// ===== HELPER FUNCTIONS =====
+
+function markersIn(text) {
+  const markers = new Set();
+  for (const match of text.matchAll(CITATION_MARKERS)) {
+    match[1].split(',').forEach(number => markers.add(Number(number.trim())));
+  }
+  return [...markers].sort((a, b) => a - b);
+}
+
+function contentTokens(text) {
+  return new Set(tokenize(text.replace(CITATION_MARKERS, ' ')).filter(token => !STOP_WORDS.has(token)));
+}
+
+/**
+ * Splits an answer into sentences with the [n] markers each one cites.
+ * Markers written after the full stop ("... in 2023. [2]") belong to the
+ * sentence before them; fragments without content words are not checked.
+ */
+function splitSentences(answer) {
+  const sentences = [];
+
+  for (const line of (answer || '').split(/\n+/)) {
+    for (const segment of line.split(/(?<=[.!?;।։])\s+/)) {
+      const leading = LEADING_MARKERS.exec(segment.trim());
+      let text = segment.trim();
+      if (leading && sentences.length > 0) {
+        sentences[sentences.length - 1].text += ` ${leading[1].trim()}`;
+        text = leading[2].trim();
+      }
+      if (text) {
+        sentences.push({ text });
+      }
+    }
+  }
+
+  return sentences
+    .map(({ text }) => ({ text, markers: markersIn(text), tokens: contentTokens(text) }))
+    .filter(sentence => sentence.tokens.size > 0);
+}
+
+// Chunks a sentence cites; uncited sentences (or ones citing unknown markers) are checked against all of them
+function evidenceFor(sentence, chunks) {
+  const cited = sentence.markers.map(marker => chunks[marker - 1]).filter(Boolean);
+  return cited.length > 0 ? cited : chunks;
+}
+
+function lexicalSupport(sentence, evidence) {
+  const evidenceTokens = new Set(evidence.flatMap(chunk => tokenize(chunk.fullText || '')));
+  const sentenceTokens = [...sentence.tokens];
+  // Numbers, dates and amounts must appear verbatim; one wrong figure makes the claim unsupported
+  if (sentenceTokens.some(token => /\d/.test(token) && !evidenceTokens.has(token))) {
+    return 0;
+  }
+  return sentenceTokens.filter(token => evidenceTokens.has(token)).length / sentenceTokens.length;
+}
+
+function buildVerificationPrompt(sentences, chunks) {
+  const context = chunks
+    .map((chunk, index) => `[${index + 1}] ${chunk.fullText}`)
+    .join("\n\n");
+  const numberedSentences = sentences
+    .map((sentence, index) => `${index + 1}. ${sentence.text}`)
+    .join("\n");
+
+  return `
+You are checking whether the sentences of an answer are supported by the sources they cite.
+A sentence is supported only if the cited sources (or, when it cites none, any source) state what it claims. Knowledge from outside the sources does not count.
+
+Sources:
+${context}
+
+Sentences:
+${numberedSentences}
+
+Reply with a single JSON object only: {"sentences": [{"index": 1, "support": 0.0 to 1.0}, ...]} with one entry per sentence.`;
+}
+
+// Returns one support score per sentence, or null when the reply is not the requested JSON
+async function llmSupport(sentences, chunks) {
+  const completion = await getLLMProvider().generate({
+    messages: [{ role: "user", content: buildVerificationPrompt(sentences, chunks) }],
+    model: GROUNDING_MODEL,
+    maxTokens: GROUNDING_MAX_TOKENS,
+    temperature: 0,
+  });
+
+  const json = completion.content.match(/\{[\s\S]*\}/);
+  let verdict;
+  try {
+    verdict = json ? JSON.parse(json[0]) : null;
+  } catch (error) {
+    verdict = null;
+  }
+  if (!Array.isArray(verdict?.sentences)) {
+    return { scores: null, usage: completion.usage };
+  }
+
+  const scores = sentences.map((sentence, index) => {
+    const entry = verdict.sentences.find(candidate => Number(candidate?.index) === index + 1);
+    const score = Number(entry?.support);
+    return Number.isNaN(score) ? null : Math.min(1, Math.max(0, score));
+  });
+  return { scores: scores.includes(null) ? null : scores, usage: completion.usage };
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// ===== EXPORTED API =====
+
+/**
+ * Resolves the verification method for a request: `verifyGrounding: false`
+ * skips it, otherwise GROUNDING_CHECK applies. Returns `{ method }` (null when
+ * skipped) or `{ error }` with a message suitable for a 400.
+ */
+function resolveGroundingMethod(verifyGrounding = true) {
+  if (typeof verifyGrounding !== 'boolean') {
+    return { error: 'verifyGrounding must be a boolean' };
+  }
+  return { method: verifyGrounding && GROUNDING_CHECK !== 'off' ? GROUNDING_CHECK : null };
+}
+
+/**
+ * Checks every sentence of `answer` against the chunks it cites ([n] is
+ * chunks[n - 1]). Returns:
+ *   grounded             - true when every checked sentence is supported
+ *   confidence           - mean support of the sentences (0..1)
+ *   method               - 'lexical' or 'llm' (lexical when the model's reply was unusable)
+ *   sentencesChecked     - number of sentences verified
+ *   unsupportedSentences - [{ sentence, citations, support }] below GROUNDING_MIN_SUPPORT
+ *   usage                - tokens of the verification call (llm only)
+ */
+async function verifyGrounding(answer, chunks, { method = GROUNDING_CHECK } = {}) {
+  const sentences = splitSentences(answer);
+  if (sentences.length === 0) {
+    return { grounded: false, confidence: 0, method, sentencesChecked: 0, unsupportedSentences: [] };
+  }
+
+  let scores = null;
+  let usage;
+  if (method === 'llm') {
+    ({ scores, usage } = await llmSupport(sentences, chunks));
+    if (!scores) {
+      logger.warn('Grounding check did not get a usable verdict from the model; using the lexical check');
+      method = 'lexical';
+    }
+  }
+  if (!scores) {
+    scores = sentences.map(sentence => lexicalSupport(sentence, evidenceFor(sentence, chunks)));
+  }
+
+  const unsupportedSentences = sentences
+    .map((sentence, index) => ({ sentence: sentence.text, citations: sentence.markers, support: round(scores[index]) }))
+    .filter(entry => entry.support < GROUNDING_MIN_SUPPORT);
+
+  return {
+    grounded: unsupportedSentences.length === 0,
+    confidence: round(scores.reduce((sum, score) => sum + score, 0) / scores.length),
+    method,
+    sentencesChecked: sentences.length,
+    unsupportedSentences,
+    ...(usage && { usage }),
+  };
+}
+
+module.exports = {
+  GROUNDING_METHODS,
+  GROUNDING_CHECK,
+  GROUNDING_MIN_SUPPORT,
+  resolveGroundingMethod,
+  splitSentences,
+  verifyGrounding,
+};
@@ -0,0 +1,315 @@
+const os = require('os');
+const IngestionJob = require('../models/ingestionJobs');
+const Document = require('../models/documents');
+const { processDocument } = require('./ingestionService');
+const { logger } = require('../utils/logger');
+
+// Worker Configuration
+const JOB_POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+const JOB_STALE_AFTER_MS = Number(process.env.JOB_STALE_AFTER_MS) || 2 * 60 * 1000;
+const JOB_MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS) || 3;
+const PROGRESS_WRITE_INTERVAL_MS = 1000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+let pollTimer;
+let isTicking = false;
+
+// ===== HELPER FUNCTIONS =====
+
+function createCancelledError() {
+  const error = new Error('Ingestion was cancelled');
+  error.cancelled = true;
+  return error;
+}
+
+// Saves progress, refreshes the heartbeat and picks up cancellation requests
+async function checkpoint(job) {
+  job.heartbeatAt = new Date();
+  await job.save();
+
+  const latest = await IngestionJob.findById(job._id).select('cancelRequested').lean();
+  if (latest?.cancelRequested) {
+    throw createCancelledError();
+  }
+}
+
+async function markDocuments(documentIds, status, error) {
+  if (documentIds.length === 0) {
+    return;
+  }
+  await Document.updateMany(
+    { _id: { $in: documentIds }, status: { $in: ['queued', 'processing'] } },
+    { $set: { status, error } }
+  );
+}
+
+// Jobs whose worker stopped sending heartbeats (crash, restart, deploy) go back to the queue
+async function requeueStaleJobs() {
+  const staleJobs = await IngestionJob.find({
+    status: 'running',
+    heartbeatAt: { $lt: new Date(Date.now() - JOB_STALE_AFTER_MS) },
+  });
+
+  for (const job of staleJobs) {
+    const exhausted = job.attempts >= JOB_MAX_ATTEMPTS;
+
+    for (const file of job.files) {
+      if (file.status === 'running' || file.status === 'pending') {
+        file.status = exhausted ? 'error' : 'pending';
+        file.stage = 'queued';
+        file.chunksProcessed = 0;
+        file.error = exhausted ? `Gave up after ${job.attempts} attempts` : undefined;
+      }
+    }
+
+    job.status = exhausted ? 'failed' : 'queued';
+    job.workerId = undefined;
+    if (exhausted) {
+      job.finishedAt = new Date();
+      await markDocuments(job.files.map(file => file.document).filter(Boolean), 'failed', 'Ingestion worker stopped responding');
+    } else {
+      await markDocuments(job.files.map(file => file.document).filter(Boolean), 'queued');
+    }
+    await job.save();
+
+    logger.warn('Ingestion job had a stale heartbeat', { jobId: job._id, status: job.status });
+  }
+}
+
+function claimNextJob() {
+  return IngestionJob.findOneAndUpdate(
+    { status: 'queued' },
+    {
+      $set: { status: 'running', workerId: WORKER_ID, heartbeatAt: new Date(), startedAt: new Date() },
+      $inc: { attempts: 1 },
+    },
+    { sort: { createdAt: 1 }, new: true }
+  );
+}
+
+async function runJob(job) {
+  logger.info('Running ingestion job', { jobId: job._id, files: job.files.length, attempt: job.attempts });
+  let cancelled = false;
+
+  for (const file of job.files) {
+    if (file.status !== 'pending') {
+      continue;
+    }
+
+    const document = await Document.findById(file.document).select('+storagePath');
+    if (!document) {
+      file.status = 'error';
+      file.error = 'Document no longer exists';
+      continue;
+    }
+
+    file.status = 'running';
+    file.stage = 'parsing';
+    file.chunksProcessed = 0;
+    file.chunksTotal = 0;
+
+    try {
+      await checkpoint(job);
+
+      let lastWriteAt = 0;
+      await processDocument(document, {
+        onProgress: async ({ stage, chunksProcessed, chunksTotal }) => {
+          const stageChanged = file.stage !== stage;
+          file.stage = stage;
+          file.chunksProcessed = chunksProcessed;
+          file.chunksTotal = chunksTotal;
+
+          // Stage changes are written at once, chunk counters at most once a second
+          if (stageChanged || Date.now() - lastWriteAt >= PROGRESS_WRITE_INTERVAL_MS) {
+            lastWriteAt = Date.now();
+            await checkpoint(job);
+          }
+        },
+      });
+
+      file.status = 'completed';
+      file.stage = 'done';
+      file.chunksProcessed = document.chunkIds.length;
+      file.chunksTotal = document.chunkIds.length;
+      logger.info('Indexed ingestion job file', { jobId: job._id, documentId: file.document });
+    } catch (error) {
+      if (error.cancelled) {
+        file.status = 'cancelled';
+        file.error = error.message;
+        await markDocuments([file.document], 'cancelled', error.message);
+        cancelled = true;
+        break;
+      }
+      logger.error('Could not index ingestion job file', { jobId: job._id, documentId: file.document, error });
+      file.status = 'error';
+      file.error = error.message;
+    }
+  }
+
+  if (cancelled) {
+    const pendingFiles = job.files.filter(file => file.status === 'pending');
+    pendingFiles.forEach(file => {
+      file.status = 'cancelled';
+    });
+    await markDocuments(pendingFiles.map(file => file.document).filter(Boolean), 'cancelled', 'Ingestion was cancelled');
+    job.status = 'cancelled';
+  } else {
+    // Files rejected at upload time have no document and are reported, not retried
+    job.status = job.files.some(file => file.document && file.status === 'error') ? 'failed' : 'completed';
+  }
+
+  job.workerId = undefined;
+  job.finishedAt = new Date();
+  await job.save();
+
+  logger.info('Ingestion job finished', { jobId: job._id, status: job.status });
+}
+
+async function tick() {
+  // One job at a time: embedding is CPU bound and parallel jobs only slow each other down
+  if (isTicking) {
+    return;
+  }
+  isTicking = true;
+
+  try {
+    await requeueStaleJobs();
+
+    let job = await claimNextJob();
+    while (job) {
+      await runJob(job);
+      job = await claimNextJob();
+    }
+  } catch (error) {
+    logger.error('Ingestion worker error', { error });
+  } finally {
+    isTicking = false;
+  }
+}
+
+// ===== EXPORTED QUEUE API =====
+
+/**
+ * Queues saved documents for ingestion. Files rejected before a document was
+ * created are recorded on the job as errors, and duplicates that were not
+ * uploaded again as skipped, so the client sees them too.
+ */
+exports.enqueueIngestionJob = async ({ owner, organization, type = 'upload', documents, rejectedFiles = [], skippedFiles = [] }) => {
+  const files = [
+    ...documents.map(document => ({ document: document._id, filename: document.filename })),
+    ...rejectedFiles.map(file => ({ filename: file.filename, status: 'error', error: file.error })),
+    ...skippedFiles.map(file => ({ filename: file.filename, status: 'skipped', error: file.reason, duplicateOf: file.duplicateOf })),
+  ];
+
+  const job = await IngestionJob.create({
+    owner,
+    organization,
+    type,
+    files,
+    // Nothing to do when every file was rejected or skipped
+    status: documents.length > 0 ? 'queued' : rejectedFiles.length > 0 ? 'failed' : 'completed',
+    finishedAt: documents.length > 0 ? undefined : new Date(),
+  });
+
+  logger.info('Queued ingestion job', { jobId: job._id, documents: documents.length });
+  return job;
+};
+
+/**
+ * Cancels a queued job right away, or asks the worker to stop a running one.
+ * Both are conditional updates, so a worker claiming the job at the same time
+ * either gets it first (and is asked to stop) or never sees it.
+ * Returns false when the job has already finished.
+ */
+exports.cancelIngestionJob = async (job) => {
+  const finishedAt = new Date();
+  const cancelledJob = await IngestionJob.findOneAndUpdate(
+    { _id: job._id, status: 'queued' },
+    { $set: { status: 'cancelled', finishedAt, 'files.$[pending].status': 'cancelled' } },
+    { arrayFilters: [{ 'pending.status': 'pending' }], new: true }
+  );
+  if (cancelledJob) {
+    const pendingFiles = job.files.filter(file => file.status === 'pending');
+    pendingFiles.forEach(file => {
+      file.status = 'cancelled';
+    });
+    job.status = 'cancelled';
+    job.finishedAt = finishedAt;
+    await markDocuments(pendingFiles.map(file => file.document).filter(Boolean), 'cancelled', 'Ingestion was cancelled');
+    return true;
+  }
+
+  const { matchedCount } = await IngestionJob.updateOne(
+    { _id: job._id, status: 'running' },
+    { $set: { cancelRequested: true } }
+  );
+  if (matchedCount > 0) {
+    job.status = 'running';
+    job.cancelRequested = true;
+    return true;
+  }
+
+  // Report the status the job actually finished with
+  const finishedJob = await IngestionJob.findById(job._id).select('status');
+  if (finishedJob) {
+    job.status = finishedJob.status;
+  }
+  return false;
+};
+
+/**
+ * Puts the failed and cancelled files of a finished job back in the queue.
+ * Returns false when there is nothing to retry.
+ */
+exports.retryIngestionJob = async (job) => {
+  if (!['failed', 'cancelled'].includes(job.status)) {
+    return false;
+  }
+
+  const retriableFiles = job.files.filter(file =>
+    file.document && ['error', 'cancelled'].includes(file.status)
+  );
+  if (retriableFiles.length === 0) {
+    return false;
+  }
+
+  retriableFiles.forEach(file => {
+    file.status = 'pending';
+    file.stage = 'queued';
+    file.chunksProcessed = 0;
+    file.chunksTotal = 0;
+    file.error = undefined;
+  });
+
+  job.status = 'queued';
+  job.cancelRequested = false;
+  job.attempts = 0;
+  job.finishedAt = undefined;
+  await job.save();
+
+  await Document.updateMany(
+    { _id: { $in: retriableFiles.map(file => file.document) } },
+    { $set: { status: 'queued' }, $unset: { error: 1 } }
+  );
+  return true;
+};
+
+/**
+ * Starts polling Mongo for queued jobs. Jobs survive restarts: anything left
+ * 'running' by a dead process is requeued once its heartbeat goes stale.
+ */
+exports.startIngestionWorker = () => {
+  if (pollTimer || process.env.INGESTION_WORKER === 'off') {
+    return;
+  }
+
+  logger.info('Ingestion worker started', { workerId: WORKER_ID, pollIntervalMs: JOB_POLL_INTERVAL_MS });
+  pollTimer = setInterval(tick, JOB_POLL_INTERVAL_MS);
+  tick();
+};
+
+exports.stopIngestionWorker = () => {
+  clearInterval(pollTimer);
+  pollTimer = undefined;
+};
@@ -0,0 +1,634 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { RecursiveCharacterTextSplitter } = require('langchain/text_splitter');
+const { getVectorStore } = require('./vectorStore');
+const { resolveLoader, getSupportedExtensions } = require('./loaders');
+const lexicalIndex = require('./lexical');
+const { normalizeGeorgianText, measureScripts } = require('./georgianText');
+const { EMBEDDING_MODEL_NAME, EMBEDDING_DIMENSION, embedTexts } = require('./embeddings');
+const { getWorkspaceScope } = require('./workspaceService');
+const { assertChunkQuota } = require('./usageService');
+const Organization = require('../models/organizations');
+const Document = require('../models/documents');
+const LexicalChunk = require('../models/lexicalChunks');
+const { logger } = require('../utils/logger');
+
+// Configuration Constants
+const BATCH_SIZE = 100;
+const FETCH_BATCH_SIZE = 100;
+
+// Index Configuration
+const SIMILARITY_METRIC = "cosine";
+
+// Semantic Chunking Configuration - Optimized for extracted text
+const CHUNK_SIZE = 800; // Slightly smaller for better sentence completion
+const CHUNK_OVERLAP = 150; // Reduced overlap to avoid too much repetition
+const SEPARATORS = [
+  "\n\n",    // Double newlines (paragraphs) - highest priority
+  "\n",      // Single newlines
+  ". ",      // Sentence endings with space
+  "! ",      // Exclamations with space  
+  "? ",      // Questions with space
+  "; ",      // Semicolons with space
+  ", ",      // Commas with space (be more selective)
+  " ",       // Spaces
+  ""         // Character level as last resort
+];
+
+// Quality report thresholds
+const MIN_TEXT_LENGTH = 50;
+const MAX_REMOVED_RATIO = 0.5; // Cleaning that drops more than this points at a corrupted file
+const MAX_UNREADABLE_RATIO = 0.01; // U+FFFD per character; fonts without a Unicode mapping
+
+// ===== HELPER FUNCTIONS =====
+
+async function noopProgress() {}
+
+function hashText(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Character ranges of each page inside the joined text (pages are joined with "\n\n")
+function computePageOffsets(pages) {
+  const offsets = [];
+  let cursor = 0;
+  for (const page of pages) {
+    offsets.push({ pageNumber: page.pageNumber, start: cursor, end: cursor + page.text.length });
+    cursor += page.text.length + 2;
+  }
+  return offsets;
+}
+
+function findPageNumber(pageOffsets, charOffset) {
+  const page = pageOffsets.find(offset => charOffset < offset.end) || pageOffsets[pageOffsets.length - 1];
+  return page.pageNumber;
+}
+
+async function createSemanticChunks(textContent, pages = null) {
+  logger.debug('Creating semantic chunks', { chunkSize: CHUNK_SIZE, chunkOverlap: CHUNK_OVERLAP });
+
+  // Initialize the semantic text splitter
+  const textSplitter = new RecursiveCharacterTextSplitter({
+    chunkSize: CHUNK_SIZE,
+    chunkOverlap: CHUNK_OVERLAP,
+    separators: SEPARATORS,
+    lengthFunction: (text) => text.length,
+  });
+
+  try {
+    // Split the text into semantic chunks
+    const documents = await textSplitter.createDocuments([textContent]);
+    
+    const pageOffsets = pages && pages.length > 0 ? computePageOffsets(pages) : null;
+    let searchFrom = 0;
+
+    // Convert LangChain documents to our chunk format with quality validation
+    const textChunks = documents.map((doc, index) => {
+      const chunkText = doc.pageContent;
+
+      // Chunks come back in order (overlapping), so each one is found after the previous start
+      let pageRange = {};
+      const chunkStart = pageOffsets ? textContent.indexOf(chunkText, searchFrom) : -1;
+      if (chunkStart !== -1) {
+        searchFrom = chunkStart + 1;
+        pageRange = {
+          pageStart: findPageNumber(pageOffsets, chunkStart),
+          pageEnd: findPageNumber(pageOffsets, chunkStart + chunkText.length - 1),
+        };
+      }
+      const wordCount = chunkText.split(/\s+/).filter(word => word.length > 0).length;
+      
+      // Calculate quality metrics
+      const punctuationRatio = (chunkText.match(/[.,!?;]/g) || []).length / chunkText.length;
+      const avgWordLength = chunkText.replace(/[^\w\s]/g, '').split(/\s+/).reduce((sum, word) => sum + word.length, 0) / wordCount;
+      const endsWithCompleteWord = /\w$/.test(chunkText.trim());
+      
+      return {
+        id: uuidv4(),
+        hash: hashText(chunkText),
+        text: chunkText,
+        wordCount: wordCount,
+        charCount: chunkText.length,
+        chunkIndex: index,
+        ...pageRange,
+        quality: {
+          punctuationRatio: Math.round(punctuationRatio * 1000) / 1000,
+          avgWordLength: Math.round(avgWordLength * 10) / 10,
+          endsWithCompleteWord: endsWithCompleteWord,
+          qualityScore: endsWithCompleteWord ? (avgWordLength > 2 ? 'good' : 'fair') : 'poor'
+        },
+        metadata: doc.metadata || {}
+      };
+    });
+
+    // Filter out very poor quality chunks
+    const filteredChunks = textChunks.filter(chunk => {
+      if (chunk.wordCount < 5 || chunk.quality.punctuationRatio > 0.3) {
+        // Document text only goes to the debug log
+        logger.debug('Removing poor quality chunk', { chunkIndex: chunk.chunkIndex, wordCount: chunk.wordCount, preview: chunk.text.substring(0, 50) });
+        return false;
+      }
+      return true;
+    });
+
+    // Log quality distribution
+    const qualityCount = filteredChunks.reduce((acc, chunk) => {
+      acc[chunk.quality.qualityScore] = (acc[chunk.quality.qualityScore] || 0) + 1;
+      return acc;
+    }, {});
+    
+    // Log chunk size distribution for analysis
+    const chunkSizes = filteredChunks.map(chunk => chunk.charCount);
+    logger.info('Created semantic chunks', {
+      chunks: filteredChunks.length,
+      filteredOut: textChunks.length - filteredChunks.length,
+      averageChars: Math.round(filteredChunks.reduce((sum, chunk) => sum + chunk.charCount, 0) / filteredChunks.length),
+      averageWords: Math.round(filteredChunks.reduce((sum, chunk) => sum + chunk.wordCount, 0) / filteredChunks.length),
+      minChars: Math.min(...chunkSizes),
+      maxChars: Math.max(...chunkSizes),
+      quality: qualityCount,
+    });
+
+    return filteredChunks;
+  } catch (error) {
+    logger.error('Semantic chunking failed', { error });
+    throw new Error(`Semantic chunking failed: ${error.message}`);
+  }
+}
+
+async function generateEmbeddingsForChunks(textChunks, onProgress = noopProgress) {
+  logger.info('Embedding chunks', { chunks: textChunks.length, model: EMBEDDING_MODEL_NAME });
+
+  try {
+    const embeddingVectors = await embedTexts(
+      textChunks.map(chunk => chunk.text),
+      (chunksProcessed, chunksTotal) => onProgress({ stage: 'embedding', chunksProcessed, chunksTotal })
+    );
+    logger.debug('Generated embedding vectors', { vectors: embeddingVectors.length });
+    return embeddingVectors;
+  } catch (error) {
+    if (error.cancelled) {
+      throw error;
+    }
+    logger.error('Embedding generation failed', { error });
+    throw new Error(`Embedding generation failed: ${error.message}`);
+  }
+}
+
+// Helper function to sanitize metadata for the vector store (Pinecone rules)
+function sanitizeMetadata(metadata) {
+  const sanitized = {};
+  
+  for (const [key, value] of Object.entries(metadata)) {
+    if (value === null || value === undefined) {
+      continue; // Skip null/undefined values
+    }
+    
+    if (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') {
+      sanitized[key] = value;
+    } else if (Array.isArray(value) && value.every(item => typeof item === 'string')) {
+      sanitized[key] = value; // Array of strings is allowed
+    } else if (typeof value === 'object') {
+      // Convert complex objects to JSON strings
+      try {
+        sanitized[`${key}_json`] = JSON.stringify(value);
+      } catch (error) {
+        logger.warn('Could not serialize metadata field', { field: key, error });
+      }
+    } else {
+      // Convert other types to strings
+      sanitized[key] = String(value);
+    }
+  }
+  
+  return sanitized;
+}
+
+async function uploadChunksToVectorStore(textChunks, embeddingVectors, document, scope, onProgress = noopProgress) {
+  const filename = document.filename;
+  const vectorStore = getVectorStore();
+  const vectorsToUpload = [];
+
+  for (let chunkIndex = 0; chunkIndex < textChunks.length; chunkIndex++) {
+    const currentChunk = textChunks[chunkIndex];
+    const currentEmbedding = embeddingVectors[chunkIndex];
+    
+    // Sanitize LangChain metadata for vector store compatibility
+    const sanitizedLangChainMetadata = sanitizeMetadata(currentChunk.metadata || {});
+    
+    vectorsToUpload.push({
+      id: currentChunk.id,
+      values: Array.from(currentEmbedding),
+      metadata: {
+        userId: document.owner.toString(),
+        organizationId: scope.organizationId,
+        documentId: document._id.toString(),
+        filename: filename,
+        text: currentChunk.text,
+        wordCount: currentChunk.wordCount,
+        charCount: currentChunk.charCount,
+        chunkIndex: currentChunk.chunkIndex,
+        chunkId: currentChunk.id,
+        chunkHash: currentChunk.hash,
+        version: document.version,
+        superseded: false,
+        ...(currentChunk.pageStart !== undefined && {
+          pageStart: currentChunk.pageStart,
+          pageEnd: currentChunk.pageEnd,
+        }),
+        ...sanitizedLangChainMetadata,
+      },
+    });
+  }
+
+  const totalBatches = Math.ceil(vectorsToUpload.length / BATCH_SIZE);
+  logger.info('Uploading vectors', { documentId: document._id, vectors: vectorsToUpload.length, batches: totalBatches, vectorStore: vectorStore.name });
+  const uploadedIds = [];
+
+  try {
+    for (let batchIndex = 0; batchIndex < vectorsToUpload.length; batchIndex += BATCH_SIZE) {
+      const currentBatch = vectorsToUpload.slice(batchIndex, batchIndex + BATCH_SIZE);
+      const batchNumber = Math.floor(batchIndex / BATCH_SIZE) + 1;
+      
+      try {
+        await vectorStore.upsert(currentBatch, { namespace: scope.namespace });
+        uploadedIds.push(...currentBatch.map(vector => vector.id));
+        logger.debug('Uploaded vector batch', { batch: batchNumber, batches: totalBatches });
+      } catch (error) {
+        logger.error('Vector batch upload failed', { documentId: document._id, batch: batchNumber, error });
+        throw new Error(`Batch upload failed: ${error.message}`);
+      }
+
+      await onProgress({ stage: 'upserting', chunksProcessed: uploadedIds.length, chunksTotal: vectorsToUpload.length });
+    }
+  } catch (error) {
+    // Don't leave half a document searchable after a failure or cancellation
+    if (uploadedIds.length > 0) {
+      logger.warn('Rolling back uploaded vectors', { documentId: document._id, vectors: uploadedIds.length });
+      await vectorStore.deleteMany({ ids: uploadedIds, namespace: scope.namespace }).catch(rollbackError =>
+        logger.error('Vector rollback failed', { documentId: document._id, error: rollbackError })
+      );
+    }
+    throw error;
+  }
+  
+  logger.info('Uploaded vectors', { documentId: document._id, vectors: vectorsToUpload.length });
+}
+
+// Vector namespace and tenant of a document. Documents from before workspaces
+// have no organization and live in the default namespace.
+async function resolveDocumentScope(document) {
+  if (!document.organization) {
+    return { organizationId: undefined, namespace: undefined };
+  }
+
+  const organization = await Organization.findById(document.organization);
+  if (!organization) {
+    throw new Error(`Workspace ${document.organization} of ${document.filename} no longer exists`);
+  }
+  return getWorkspaceScope(organization);
+}
+
+// Removes every vector and keyword posting that belongs to a document. Vectors
+// are matched by their documentId metadata rather than the stored chunkIds, so
+// vectors written by a run that crashed or was requeued mid-upsert go too.
+// Returns the number of vectors the document had recorded.
+async function deleteDocumentChunks(document) {
+  await lexicalIndex.removeDocumentChunks(document._id);
+
+  const { namespace } = await resolveDocumentScope(document);
+  await getVectorStore().deleteMany({ filter: { documentId: { $eq: document._id.toString() } }, namespace });
+
+  const chunkCount = (document.chunkIds || []).length;
+  logger.info('Deleted document vectors', { documentId: document._id, chunks: chunkCount });
+  return chunkCount;
+}
+
+/**
+ * Collects the embeddings that a new run can reuse, keyed by chunk hash: the
+ * document's own chunks (re-index, retry) and those of its previous version.
+ * Must run before the document's old vectors are deleted.
+ */
+async function loadReusableEmbeddings(document, scope) {
+  const sources = [document];
+  if (document.previousVersion) {
+    const previous = await Document.findById(document.previousVersion);
+    if (previous) {
+      sources.push(previous);
+    }
+  }
+
+  const chunkIdByHash = new Map();
+  for (const source of sources) {
+    (source.chunkHashes || []).forEach((hash, index) => {
+      if (hash && source.chunkIds[index] && !chunkIdByHash.has(hash)) {
+        chunkIdByHash.set(hash, source.chunkIds[index]);
+      }
+    });
+  }
+
+  const embeddingsByHash = new Map();
+  const entries = [...chunkIdByHash.entries()];
+  const vectorStore = getVectorStore();
+
+  for (let batchIndex = 0; batchIndex < entries.length; batchIndex += FETCH_BATCH_SIZE) {
+    const batch = entries.slice(batchIndex, batchIndex + FETCH_BATCH_SIZE);
+    const { records } = await vectorStore.fetch(batch.map(([, chunkId]) => chunkId), { namespace: scope.namespace });
+    for (const [hash, chunkId] of batch) {
+      if (records[chunkId]?.values) {
+        embeddingsByHash.set(hash, Float32Array.from(records[chunkId].values));
+      }
+    }
+  }
+
+  return embeddingsByHash;
+}
+
+// Runs the Georgian normalization over what a loader returned. Paged text is
+// normalized page by page and re-joined, so page offsets still line up.
+function normalizeLoadedText(loaded) {
+  const totals = { legacyWordsConverted: 0, legacyLinesConverted: 0, mtavruliFolded: 0, punctuationNormalized: 0 };
+  const normalize = text => {
+    const normalized = normalizeGeorgianText(text);
+    for (const key of Object.keys(totals)) {
+      totals[key] += normalized.stats[key];
+    }
+    return normalized.text;
+  };
+
+  if (loaded.pages) {
+    const pages = loaded.pages.map(page => ({ ...page, text: normalize(page.text) }));
+    return { text: pages.map(page => page.text).join('\n\n'), pages, stats: totals };
+  }
+  return { text: normalize(loaded.text), pages: loaded.pages, stats: totals };
+}
+
+/**
+ * Per-file extraction quality: how much cleaning removed, the script mix,
+ * what normalization repaired and anything that makes the text unreliable.
+ * `rating` is "poor" when retrieval over the file is unlikely to work.
+ */
+function buildQualityReport({ loaded, text, pages, normalization }) {
+  const rawCharacters = loaded.rawTextLength ?? loaded.text.length;
+  const removedRatio = rawCharacters > 0 ? Math.max(0, rawCharacters - text.length) / rawCharacters : 0;
+  const unreadableCharacters = (text.match(/\uFFFD/g) || []).length;
+  const emptyPages = pages && loaded.pageCount ? loaded.pageCount - pages.length : 0;
+
+  const problems = [];
+  const warnings = [];
+  if (text.length < MIN_TEXT_LENGTH) {
+    problems.push(`Only ${text.length} characters of text could be extracted.`);
+  }
+  if (removedRatio > MAX_REMOVED_RATIO) {
+    problems.push(`Cleaning removed ${Math.round(removedRatio * 100)}% of the extracted text; the file may be corrupted.`);
+  }
+  if (text.length > 0 && unreadableCharacters / text.length > MAX_UNREADABLE_RATIO) {
+    problems.push(`${unreadableCharacters} characters could not be decoded; the file uses fonts without a Unicode mapping.`);
+  }
+  if (emptyPages > 0) {
+    warnings.push(`${emptyPages} of ${loaded.pageCount} pages have no extractable text (scanned pages need OCR).`);
+  }
+  if (normalization.legacyWordsConverted > 0) {
+    warnings.push(`${normalization.legacyWordsConverted} words were converted from a legacy Georgian font (AcadNusx/AcadMtavr).`);
+  }
+
+  return {
+    rating: problems.length > 0 ? 'poor' : warnings.length > 0 ? 'fair' : 'good',
+    rawCharacters,
+    characters: text.length,
+    removedRatio: Math.round(removedRatio * 1000) / 1000,
+    emptyPages,
+    unreadableCharacters,
+    scripts: measureScripts(text),
+    legacyEncoding: {
+      detected: normalization.legacyWordsConverted > 0,
+      wordsConverted: normalization.legacyWordsConverted,
+      linesConverted: normalization.legacyLinesConverted,
+    },
+    mtavruliFolded: normalization.mtavruliFolded,
+    punctuationNormalized: normalization.punctuationNormalized,
+    warnings: [...problems, ...warnings],
+  };
+}
+
+// Loads, chunks, embeds and upserts the stored file of a document.
+// Chunks whose hash is in `reusableEmbeddings` are not embedded again.
+async function indexDocument(document, scope, { onProgress = noopProgress, reusableEmbeddings = new Map() } = {}) {
+  const loader = resolveLoader({ filename: document.filename, mimeType: document.mimeType });
+  if (!loader) {
+    throw new Error(unsupportedFileTypeMessage(document.filename));
+  }
+
+  await onProgress({ stage: 'parsing', chunksProcessed: 0, chunksTotal: 0 });
+  logger.info('Loading document', { documentId: document._id, loader: loader.name });
+  const dataBuffer = fs.readFileSync(document.storagePath);
+  const loaded = await loader.load(dataBuffer, { filename: document.filename });
+  const normalized = normalizeLoadedText(loaded);
+  const cleanedText = normalized.text;
+
+  // Document text only goes to the debug log
+  logger.debug('Sample cleaned text', { documentId: document._id, sample: cleanedText.substring(0, 200) });
+  
+  const qualityReport = buildQualityReport({ loaded, text: cleanedText, pages: normalized.pages, normalization: normalized.stats });
+  logger.info('Extracted document text', { documentId: document._id, characters: cleanedText.length, quality: qualityReport.rating });
+  qualityReport.warnings.forEach(warning => logger.warn('Text quality warning', { documentId: document._id, warning }));
+
+  // Create semantic chunks using LangChain
+  await onProgress({ stage: 'chunking', chunksProcessed: 0, chunksTotal: 0 });
+  const textChunks = await createSemanticChunks(cleanedText, normalized.pages);
+
+  if (textChunks.length === 0) {
+    throw new Error(`No chunks created from ${document.filename}`);
+  }
+  await assertChunkQuota(document, textChunks.length);
+
+  // Build the keyword (BM25) postings next to the vectors
+  await lexicalIndex.indexDocumentChunks(document, textChunks);
+
+  // Generate embeddings only for chunks that changed since the last run or version
+  const changedChunks = textChunks.filter(chunk => !reusableEmbeddings.has(chunk.hash));
+  logger.info('Reusing unchanged embeddings', { reused: textChunks.length - changedChunks.length, changed: changedChunks.length });
+  await onProgress({ stage: 'embedding', chunksProcessed: 0, chunksTotal: changedChunks.length });
+  const changedVectors = await generateEmbeddingsForChunks(changedChunks, onProgress);
+  const vectorsByChunkId = new Map(changedChunks.map((chunk, index) => [chunk.id, changedVectors[index]]));
+  const embeddingVectors = textChunks.map(chunk => vectorsByChunkId.get(chunk.id) || reusableEmbeddings.get(chunk.hash));
+
+  // Upload semantic chunks to the vector store
+  await uploadChunksToVectorStore(textChunks, embeddingVectors, document, scope, onProgress);
+
+  return {
+    loader: loader.name,
+    textLength: cleanedText.length,
+    pageCount: loaded.pageCount || 0,
+    structure: loaded.metadata || {},
+    qualityReport,
+    textChunks,
+    vectorsUploaded: embeddingVectors.length,
+    embeddingsReused: textChunks.length - changedChunks.length,
+  };
+}
+
+// Flags the vectors and keyword postings of a document as (not) superseded
+async function setDocumentSuperseded(document, scope, superseded) {
+  await getVectorStore().updateMetadata(document.chunkIds, { superseded }, { namespace: scope.namespace });
+  await LexicalChunk.updateMany({ document: document._id }, { $set: { superseded } });
+}
+
+/**
+ * Makes a freshly indexed document the latest version of its filename: older,
+ * still-current versions are marked superseded and drop out of retrieval. If a
+ * newer version finished first, this document is superseded by it instead.
+ */
+async function supersedeOlderVersions(document, scope) {
+  const siblings = await Document.find({
+    _id: { $ne: document._id },
+    organization: document.organization,
+    filename: document.filename,
+    status: 'indexed',
+    supersededBy: { $exists: false },
+  });
+
+  const newer = siblings.filter(sibling => sibling.version > document.version).sort((a, b) => b.version - a.version)[0];
+  const older = newer ? [document] : siblings.filter(sibling => sibling.version < document.version);
+  const latest = newer || document;
+
+  for (const outdated of older) {
+    await setDocumentSuperseded(outdated, scope, true);
+    outdated.supersededBy = latest._id;
+    outdated.supersededAt = new Date();
+    await outdated.save();
+    logger.info('Document version superseded', { documentId: outdated._id, version: outdated.version, supersededBy: latest._id, latestVersion: latest.version });
+  }
+}
+
+// ===== EXPORTED PIPELINE =====
+
+/**
+ * Runs the ingestion pipeline for a document and keeps its status in sync.
+ * The document must already be saved with a `storagePath` pointing at the
+ * original upload. Vectors from a previous run are replaced; embeddings of
+ * chunks that did not change since that run or the previous version are reused.
+ *
+ * `onProgress({ stage, chunksProcessed, chunksTotal })` is awaited after every
+ * step; throwing from it aborts the run. Throws after marking the document as
+ * failed (or cancelled when the error has `cancelled: true`).
+ */
+exports.processDocument = async (document, { onProgress = noopProgress } = {}) => {
+  document.status = 'processing';
+  document.error = undefined;
+  await document.save();
+
+  try {
+    await getVectorStore().ensureIndex({
+      dimension: EMBEDDING_DIMENSION,
+      metric: SIMILARITY_METRIC,
+    });
+
+    if (!document.organization) {
+      throw new Error(`${document.filename} does not belong to a workspace`);
+    }
+    const scope = await resolveDocumentScope(document);
+    const reusableEmbeddings = await loadReusableEmbeddings(document, scope);
+
+    // Re-index and retry start from a clean slate, including any vectors an
+    // interrupted run wrote before its chunk IDs were saved
+    await deleteDocumentChunks(document);
+    if (document.chunkIds.length > 0) {
+      document.chunkIds = [];
+      document.chunkHashes = [];
+      await document.save();
+    }
+
+    const stats = await indexDocument(document, scope, { onProgress, reusableEmbeddings });
+
+    document.pageCount = stats.pageCount;
+    document.structure = stats.structure;
+    document.qualityReport = stats.qualityReport;
+    document.chunkIds = stats.textChunks.map(chunk => chunk.id);
+    document.chunkHashes = stats.textChunks.map(chunk => chunk.hash);
+    document.status = 'indexed';
+    document.indexedAt = new Date();
+    await document.save();
+
+    // A re-indexed old version stays superseded
+    if (document.supersededBy) {
+      await setDocumentSuperseded(document, scope, true);
+    } else {
+      await supersedeOlderVersions(document, scope);
+    }
+
+    return stats;
+  } catch (error) {
+    await lexicalIndex.removeDocumentChunks(document._id).catch(cleanupError =>
+      logger.error('Could not remove keyword postings', { documentId: document._id, error: cleanupError })
+    );
+    document.status = error.cancelled ? 'cancelled' : 'failed';
+    document.error = error.message;
+    await document.save();
+    throw error;
+  }
+};
+
+function unsupportedFileTypeMessage(filename) {
+  const extension = path.extname(filename || '') || 'without extension';
+  return `Unsupported file type (${extension}) for ${filename}. Supported types: ${getSupportedExtensions().join(', ')}`;
+}
+
+/**
+ * Returns an error message when no loader can read the file, otherwise null.
+ */
+exports.checkFileSupported = ({ filename, mimeType }) =>
+  resolveLoader({ filename, mimeType }) ? null : unsupportedFileTypeMessage(filename);
+
+exports.deleteDocumentChunks = deleteDocumentChunks;
+
+/**
+ * SHA-256 of a file on disk, streamed so large uploads are not buffered.
+ */
+exports.hashFile = (filePath) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', data => hash.update(data))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+
+/**
+ * Called before deleting the latest version of a document: the most recent
+ * version it superseded becomes searchable again. Returns that document or null.
+ */
+exports.restorePreviousVersion = async (document) => {
+  if (document.supersededBy) {
+    return null;
+  }
+
+  const superseded = await Document.find({ supersededBy: document._id }).sort({ version: -1 });
+  const [previous, ...older] = superseded;
+  if (!previous) {
+    return null;
+  }
+
+  const scope = await resolveDocumentScope(document);
+  await setDocumentSuperseded(previous, scope, false);
+  previous.supersededBy = undefined;
+  previous.supersededAt = undefined;
+  await previous.save();
+
+  // Anything else the deleted version superseded now hangs off the restored one
+  for (const olderVersion of older) {
+    olderVersion.supersededBy = previous._id;
+    await olderVersion.save();
+  }
+
+  logger.info('Document version restored as the latest', { documentId: previous._id, version: previous.version });
+  return previous;
+};
+
+exports.chunkingConfig = {
+  chunkSize: CHUNK_SIZE,
+  chunkOverlap: CHUNK_OVERLAP,
+  separators: SEPARATORS,
+};
@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const LexicalChunk = require('../../models/lexicalChunks');
+const { tokenize } = require('./tokenizer');
+const { logger } = require('../../utils/logger');
+
+// BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const MAX_CANDIDATES = 2000;
+
+// ===== HELPER FUNCTIONS =====
+
+function countTerms(tokens) {
+  const counts = new Map();
+  for (const token of tokens) {
+    counts.set(token, (counts.get(token) || 0) + 1);
+  }
+  return counts;
+}
+
+async function getCorpusStats(scopeFilter, queryTerms) {
+  const [totals] = await LexicalChunk.aggregate([
+    { $match: scopeFilter },
+    { $group: { _id: null, count: { $sum: 1 }, averageLength: { $avg: '$length' } } },
+  ]);
+
+  const documentFrequencies = new Map();
+  await Promise.all(queryTerms.map(async term => {
+    documentFrequencies.set(term, await LexicalChunk.countDocuments({ ...scopeFilter, terms: term }));
+  }));
+
+  return {
+    chunkCount: totals?.count || 0,
+    averageLength: totals?.averageLength || 1,
+    documentFrequencies,
+  };
+}
+
+// Loads up to MAX_CANDIDATES chunks containing a query term, rarest term first.
+// Rare terms carry the most weight in BM25, so when a common term matches more
+// chunks than fit, the chunks dropped are the ones that could only score on
+// common terms. Each term skips chunks already loaded through a rarer one, and
+// ties are broken by _id so the same query always scores the same chunks.
+async function findCandidates(scopeFilter, queryTerms, documentFrequencies) {
+  const termsByRarity = queryTerms
+    .filter(term => documentFrequencies.get(term) > 0)
+    .sort((a, b) => documentFrequencies.get(a) - documentFrequencies.get(b) || a.localeCompare(b));
+
+  const candidates = [];
+  for (const [index, term] of termsByRarity.entries()) {
+    const remaining = MAX_CANDIDATES - candidates.length;
+    if (remaining <= 0) {
+      break;
+    }
+    const matches = await LexicalChunk.find({ ...scopeFilter, terms: { $eq: term, $nin: termsByRarity.slice(0, index) } })
+      .sort({ _id: 1 })
+      .limit(remaining)
+      .lean();
+    candidates.push(...matches);
+  }
+  return candidates;
+}
+
+// ===== EXPORTED INDEX API =====
+
+/**
+ * Writes the BM25 postings for the chunks of a document, replacing older ones.
+ */
+exports.indexDocumentChunks = async (document, textChunks) => {
+  await LexicalChunk.deleteMany({ document: document._id });
+
+  const entries = textChunks.map(chunk => {
+    const counts = countTerms(tokenize(chunk.text));
+    return {
+      owner: document.owner,
+      organization: document.organization,
+      document: document._id,
+      chunkId: chunk.id,
+      filename: document.filename,
+      text: chunk.text,
+      chunkIndex: chunk.chunkIndex,
+      pageStart: chunk.pageStart,
+      pageEnd: chunk.pageEnd,
+      terms: [...counts.keys()],
+      termCounts: [...counts.values()],
+      length: [...counts.values()].reduce((sum, count) => sum + count, 0),
+    };
+  });
+
+  if (entries.length > 0) {
+    await LexicalChunk.insertMany(entries, { ordered: false });
+  }
+  logger.info('Indexed chunks for keyword search', { documentId: document._id, chunks: entries.length });
+};
+
+exports.removeDocumentChunks = async (documentId) => {
+  const { deletedCount } = await LexicalChunk.deleteMany({ document: documentId });
+  return deletedCount;
+};
+
+/**
+ * Ranks the workspace's chunks against the query with Okapi BM25. Chunks of
+ * superseded document versions are skipped unless `allVersions` is set, and
+ * `documentIds` limits the search to those documents.
+ * Returns [{ chunkId, score, ...chunk fields }] best first.
+ */
+exports.searchChunks = async ({ organizationId, query, topK, allVersions = false, documentIds }) => {
+  if (!organizationId) {
+    throw new Error('Keyword search requires a workspace');
+  }
+  const scopeFilter = { organization: new mongoose.Types.ObjectId(String(organizationId)) };
+  if (!allVersions) {
+    scopeFilter.superseded = { $ne: true };
+  }
+  if (documentIds) {
+    scopeFilter.document = { $in: documentIds.map(id => new mongoose.Types.ObjectId(String(id))) };
+  }
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0) {
+    return [];
+  }
+
+  const { chunkCount, averageLength, documentFrequencies } = await getCorpusStats(scopeFilter, queryTerms);
+  const candidates = await findCandidates(scopeFilter, queryTerms, documentFrequencies);
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  const scored = candidates.map(candidate => {
+    let score = 0;
+    for (const term of queryTerms) {
+      const termIndex = candidate.terms.indexOf(term);
+      if (termIndex === -1) {
+        continue;
+      }
+
+      const termFrequency = candidate.termCounts[termIndex];
+      const documentFrequency = documentFrequencies.get(term) || 0;
+      const inverseDocumentFrequency = Math.log(1 + (chunkCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+      const lengthNorm = 1 - BM25_B + BM25_B * (candidate.length / averageLength);
+
+      score += inverseDocumentFrequency * (termFrequency * (BM25_K1 + 1)) / (termFrequency + BM25_K1 * lengthNorm);
+    }
+
+    return {
+      chunkId: candidate.chunkId,
+      documentId: candidate.document.toString(),
+      filename: candidate.filename,
+      text: candidate.text,
+      pageStart: candidate.pageStart,
+      pageEnd: candidate.pageEnd,
+      score,
+    };
+  });
+
+  return scored
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
+};
@@ -0,0 +1,83 @@
+// Tokenizer for the lexical (BM25) index. Handles Georgian words with a light
+// suffix stemmer and keeps Latin/digit identifiers (contract numbers, article
+// numbers, product codes, IBANs) intact so exact lookups still match.
+
+const { foldMtavruli } = require('../georgianText');
+
+const GEORGIAN_WORD = /[\u10A0-\u10FF\u1C90-\u1CBF\u2D00-\u2D2F]+/y;
+const IDENTIFIER = /[\p{Script=Latin}\p{Script=Cyrillic}0-9]+(?:[-_./\\][\p{Script=Latin}\p{Script=Cyrillic}0-9]+)*/uy;
+// IBANs are often typed in groups of four ("GE29 NB00 0000 ...")
+const SPACED_IBAN = /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){3,7}(?: ?[A-Z0-9]{1,4})?\b/gi;
+
+// Postpositions first, then case endings; each pass strips at most one suffix
+const GEORGIAN_POSTPOSITIONS = ['ისთვის', 'თვის', 'იდან', 'დან', 'ამდე', 'მდე', 'ისგან', 'გან', 'ისკენ', 'კენ', 'თან', 'ში', 'ზე'];
+const GEORGIAN_CASE_ENDINGS = ['ის', 'ით', 'ად', 'მა', 'ს', 'ი', 'ო', 'ა', 'ე'];
+const MIN_STEM_LENGTH = 3;
+
+function stripSuffix(word, suffixes) {
+  for (const suffix of suffixes) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= MIN_STEM_LENGTH) {
+      return word.slice(0, -suffix.length);
+    }
+  }
+  return word;
+}
+
+/**
+ * Light Georgian stemmer: "მუხლი", "მუხლის", "მუხლში", "მუხლისთვის" -> "მუხლ".
+ */
+function stemGeorgian(word) {
+  return stripSuffix(stripSuffix(word, GEORGIAN_POSTPOSITIONS), GEORGIAN_CASE_ENDINGS);
+}
+
+/**
+ * Splits text into index terms. Identifiers such as "A-12/2023" produce the
+ * full form, a separator-free form and their parts, so "A12/2023", "A-12" and
+ * "2023" all find it.
+ */
+function tokenize(text) {
+  const normalized = foldMtavruli((text || '').normalize('NFC')).toLowerCase();
+  const tokens = [];
+
+  for (const iban of (text || '').match(SPACED_IBAN) || []) {
+    if (/\s/.test(iban)) {
+      tokens.push(iban.replace(/\s+/g, '').toLowerCase());
+    }
+  }
+
+  let position = 0;
+  while (position < normalized.length) {
+    GEORGIAN_WORD.lastIndex = position;
+    const georgianMatch = GEORGIAN_WORD.exec(normalized);
+    if (georgianMatch) {
+      tokens.push(stemGeorgian(georgianMatch[0]));
+      position += georgianMatch[0].length;
+      continue;
+    }
+
+    IDENTIFIER.lastIndex = position;
+    const identifierMatch = IDENTIFIER.exec(normalized);
+    if (identifierMatch) {
+      const identifier = identifierMatch[0];
+      tokens.push(identifier);
+
+      const parts = identifier.split(/[-_./\\]/);
+      if (parts.length > 1) {
+        tokens.push(parts.join(''));
+        tokens.push(...parts.filter(part => part.length > 1 || /\d/.test(part)));
+      }
+      position += identifier.length;
+      continue;
+    }
+
+    position++;
+  }
+
+  return tokens;
+}
+
+module.exports = {
+  tokenize,
+  stemGeorgian,
+  foldMtavruli,
+};
@@ -0,0 +1,109 @@
+const createOpenAIProvider = require('./openaiProvider');
+const createMockProvider = require('./mockProvider');
+const { logger } = require('../../utils/logger');
+
+// LLM configuration for answer generation. Every provider implements
+//   generate({ messages, model, maxTokens, temperature, responseSchema })
+//     -> { content, model, provider, usage }
+// (`responseSchema` asks for JSON matching that schema where the provider supports it)
+//   stream({ messages, model, maxTokens, temperature, signal })
+//     -> async iterable of { type: 'delta', content } then { type: 'done', model, provider, usage }
+// where `model` is the model that actually produced the answer.
+const LLM_PROVIDER = process.env.LLM_PROVIDER || 'openai';
+const LLM_MODEL = process.env.LLM_MODEL;
+const LLM_BASE_URL = process.env.LLM_BASE_URL;
+const DEFAULT_MODELS = { openai: 'gpt-4o', 'openai-compatible': 'local-model', mock: 'mock-echo' };
+const CONFIGURED_MODEL = LLM_MODEL || DEFAULT_MODELS[LLM_PROVIDER];
+// Models a request may pick with `model`; without an allowlist only the configured one
+const LLM_ALLOWED_MODELS = (process.env.LLM_ALLOWED_MODELS || '')
+  .split(',')
+  .map(model => model.trim())
+  .filter(Boolean);
+const SELECTABLE_MODELS = LLM_ALLOWED_MODELS.length > 0 ? LLM_ALLOWED_MODELS : [CONFIGURED_MODEL].filter(Boolean);
+
+const DEFAULT_GENERATION_OPTIONS = {
+  maxTokens: Number(process.env.LLM_MAX_TOKENS) || 512,
+  temperature: process.env.LLM_TEMPERATURE !== undefined ? Number(process.env.LLM_TEMPERATURE) : 0.2,
+};
+
+const MAX_TOKENS_LIMIT = 4096;
+
+let llmProvider;
+
+function getLLMProvider() {
+  if (llmProvider) {
+    return llmProvider;
+  }
+
+  switch (LLM_PROVIDER) {
+    case 'openai':
+      llmProvider = createOpenAIProvider({
+        name: 'openai',
+        apiKey: process.env.OPENAI_API_KEY,
+        defaultModel: CONFIGURED_MODEL,
+      });
+      break;
+    case 'openai-compatible':
+      if (!LLM_BASE_URL) {
+        throw new Error("LLM_BASE_URL is required when LLM_PROVIDER is 'openai-compatible'");
+      }
+      llmProvider = createOpenAIProvider({
+        name: 'openai-compatible',
+        apiKey: process.env.LLM_API_KEY,
+        baseURL: LLM_BASE_URL,
+        defaultModel: CONFIGURED_MODEL,
+      });
+      break;
+    case 'mock':
+      llmProvider = createMockProvider({ defaultModel: CONFIGURED_MODEL });
+      break;
+    default:
+      throw new Error(`Unknown LLM_PROVIDER '${LLM_PROVIDER}' (expected 'openai', 'openai-compatible' or 'mock')`);
+  }
+
+  logger.info('Using LLM provider', { provider: llmProvider.name, defaultModel: llmProvider.defaultModel });
+  return llmProvider;
+}
+
+/**
+ * Merges per-request generation options over the deployment defaults.
+ * Returns `{ options }` or `{ error }` with a message suitable for a 400.
+ */
+function resolveGenerationOptions({ model, maxTokens, temperature } = {}) {
+  const options = {
+    model: model || undefined,
+    maxTokens: DEFAULT_GENERATION_OPTIONS.maxTokens,
+    temperature: DEFAULT_GENERATION_OPTIONS.temperature,
+  };
+
+  if (model !== undefined) {
+    if (typeof model !== 'string' || model.trim() === '') {
+      return { error: 'model must be a non-empty string' };
+    }
+    if (!SELECTABLE_MODELS.includes(model)) {
+      return { error: `model must be one of: ${SELECTABLE_MODELS.join(', ')}` };
+    }
+  }
+
+  if (maxTokens !== undefined) {
+    if (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > MAX_TOKENS_LIMIT) {
+      return { error: `maxTokens must be an integer between 1 and ${MAX_TOKENS_LIMIT}` };
+    }
+    options.maxTokens = maxTokens;
+  }
+
+  if (temperature !== undefined) {
+    if (typeof temperature !== 'number' || temperature < 0 || temperature > 2) {
+      return { error: 'temperature must be a number between 0 and 2' };
+    }
+    options.temperature = temperature;
+  }
+
+  return { options };
+}
+
+module.exports = {
+  MAX_TOKENS_LIMIT,
+  getLLMProvider,
+  resolveGenerationOptions,
+};
@@ -0,0 +1,65 @@
+// Deterministic provider for tests and offline runs: it never calls a model
+// and answers by echoing the last user message back, so the same prompt
+// always yields the same answer and the same token counts. Requests with a
+// `responseSchema` get the schema's skeleton as JSON (every value null).
+function createMockProvider({ defaultModel = 'mock-echo' } = {}) {
+  async function generate({ messages, model, maxTokens, responseSchema }) {
+    const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+    const promptText = messages.map(message => message.content).join('\n');
+
+    // Roughly respect maxTokens using whitespace-separated words as tokens
+    const words = `Echo: ${(lastUserMessage?.content || '').trim()}`.split(/\s+/);
+    const content = responseSchema
+      ? JSON.stringify(skeletonOf(responseSchema))
+      : words.slice(0, maxTokens || words.length).join(' ');
+
+    const promptTokens = countTokens(promptText);
+    const completionTokens = countTokens(content);
+
+    return {
+      content,
+      model: model || defaultModel,
+      provider: 'mock',
+      usage: {
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens,
+      },
+    };
+  }
+
+  // Streams the same answer as generate(), one word per delta
+  async function* stream({ signal, ...options }) {
+    const completion = await generate(options);
+    const words = completion.content.split(' ');
+
+    for (let index = 0; index < words.length; index++) {
+      if (signal?.aborted) {
+        return;
+      }
+      yield { type: 'delta', content: index === 0 ? words[index] : ` ${words[index]}` };
+    }
+
+    yield { type: 'done', model: completion.model, provider: completion.provider, usage: completion.usage };
+  }
+
+  return {
+    name: 'mock',
+    defaultModel,
+    generate,
+    stream,
+  };
+}
+
+function skeletonOf(schema) {
+  if (schema?.type === 'object' || schema?.properties) {
+    return Object.fromEntries(Object.entries(schema.properties || {}).map(([key, property]) => [key, skeletonOf(property)]));
+  }
+  return schema?.type === 'array' ? [] : null;
+}
+
+function countTokens(text) {
+  return text.split(/\s+/).filter(word => word.length > 0).length;
+}
+
+module.exports = createMockProvider;
@@ -0,0 +1,83 @@
+const OpenAI = require('openai');
+
+// Adapter for OpenAI and for any server that speaks the OpenAI chat API
+// (llama.cpp server, vLLM, Ollama, LM Studio, ...) through `baseURL`.
+function createOpenAIProvider({ name = 'openai', apiKey, baseURL, defaultModel }) {
+  // Local servers usually ignore the key, but the SDK refuses to start without one
+  const openai = new OpenAI({
+    apiKey: apiKey || 'not-needed',
+    baseURL: baseURL || undefined,
+  });
+
+  // With `responseSchema` the reply is constrained to JSON matching that schema
+  async function generate({ messages, model, maxTokens, temperature, responseSchema }) {
+    const completion = await openai.chat.completions.create({
+      model: model || defaultModel,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      response_format: responseSchema
+        ? { type: 'json_schema', json_schema: { name: 'response', schema: responseSchema } }
+        : undefined,
+    });
+
+    return {
+      content: (completion.choices[0]?.message?.content || '').trim(),
+      model: completion.model || model || defaultModel,
+      provider: name,
+      usage: normalizeUsage(completion.usage),
+    };
+  }
+
+  // Yields { type: 'delta', content } for every token chunk and finishes with
+  // { type: 'done', model, provider, usage }. Aborting `signal` stops the request.
+  async function* stream({ messages, model, maxTokens, temperature, signal }) {
+    const completionStream = await openai.chat.completions.create(
+      {
+        model: model || defaultModel,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        stream: true,
+        stream_options: { include_usage: true },
+      },
+      { signal }
+    );
+
+    let resolvedModel = model || defaultModel;
+    let usage = null;
+
+    for await (const chunk of completionStream) {
+      resolvedModel = chunk.model || resolvedModel;
+      if (chunk.usage) {
+        usage = normalizeUsage(chunk.usage);
+      }
+      const content = chunk.choices?.[0]?.delta?.content;
+      if (content) {
+        yield { type: 'delta', content };
+      }
+    }
+
+    yield { type: 'done', model: resolvedModel, provider: name, usage };
+  }
+
+  return {
+    name,
+    defaultModel,
+    generate,
+    stream,
+  };
+}
+
+function normalizeUsage(usage) {
+  if (!usage) {
+    return null;
+  }
+  return {
+    promptTokens: usage.prompt_tokens,
+    completionTokens: usage.completion_tokens,
+    totalTokens: usage.total_tokens,
+  };
+}
+
+module.exports = createOpenAIProvider;
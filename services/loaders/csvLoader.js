@@ -0,0 +1,52 @@
+const { parse } = require('csv-parse/sync');
+const { decodeText } = require('./textLoader');
+
+// Each row becomes one "column: value; column: value" line, so a chunk always
+// carries the column names of the values it contains (price lists, registries).
+async function load(buffer) {
+  const content = decodeText(buffer);
+  const delimiter = detectDelimiter(content);
+
+  const rows = parse(content, {
+    delimiter,
+    skip_empty_lines: true,
+    relax_column_count: true,
+    trim: true,
+  });
+
+  if (rows.length === 0) {
+    return { text: '', pageCount: 0, metadata: { columns: [], tableRows: 0 } };
+  }
+
+  const [header, ...records] = rows;
+  const columns = header.map((column, index) => column || `column_${index + 1}`);
+
+  const lines = records.map(record =>
+    record
+      .map((value, index) => (value ? `${columns[index] || `column_${index + 1}`}: ${value}` : null))
+      .filter(Boolean)
+      .join('; ')
+  ).filter(Boolean);
+
+  return {
+    text: lines.join('\n'),
+    pageCount: 0,
+    metadata: { columns, tableRows: records.length, delimiter },
+  };
+}
+
+// Spreadsheet exports in our region often use ";" instead of ","
+function detectDelimiter(content) {
+  const firstLine = content.split('\n', 1)[0];
+  const candidates = [',', ';', '\t', '|'];
+  return candidates.reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  , ',');
+}
+
+module.exports = {
+  name: 'csv',
+  mimeTypes: ['text/csv', 'application/csv', 'text/tab-separated-values'],
+  extensions: ['.csv', '.tsv'],
+  load,
+};
@@ -0,0 +1,28 @@
+const mammoth = require('mammoth');
+const { parse } = require('node-html-parser');
+const { extractStructuredText } = require('./htmlLoader');
+const { logger } = require('../../utils/logger');
+
+// Word documents go through mammoth's HTML conversion so headings and tables survive
+async function load(buffer) {
+  const { value: html, messages } = await mammoth.convertToHtml({ buffer });
+
+  messages
+    .filter(message => message.type === 'error')
+    .forEach(message => logger.warn('DOCX conversion problem', { problem: message.message }));
+
+  const { text, headings, tableRows } = extractStructuredText(parse(html));
+
+  return {
+    text,
+    pageCount: 0,
+    metadata: { headings, tableRows },
+  };
+}
+
+module.exports = {
+  name: 'docx',
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  extensions: ['.docx'],
+  load,
+};
@@ -0,0 +1,102 @@
+const { parse } = require('node-html-parser');
+
+const SKIPPED_TAGS = new Set(['script', 'style', 'noscript', 'template', 'head', 'svg']);
+const HEADING_TAGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'br', 'dd', 'div', 'dl', 'dt',
+  'figcaption', 'figure', 'footer', 'form', 'header', 'hr', 'li', 'main', 'nav',
+  'ol', 'p', 'pre', 'section', 'table', 'ul',
+]);
+
+// Converts parsed HTML into plain text with one block per line.
+// Headings and table rows are collected on the way so they can be stored as structure.
+function extractStructuredText(root) {
+  const lines = [];
+  const headings = [];
+  let tableRows = 0;
+  let currentLine = '';
+
+  function flush() {
+    const line = currentLine.replace(/\s+/g, ' ').trim();
+    if (line) {
+      lines.push(line);
+    }
+    currentLine = '';
+  }
+
+  function walk(node) {
+    if (node.nodeType === 3) {
+      currentLine += node.text;
+      return;
+    }
+
+    const tag = (node.rawTagName || '').toLowerCase();
+    if (SKIPPED_TAGS.has(tag)) {
+      return;
+    }
+
+    if (HEADING_TAGS.has(tag)) {
+      flush();
+      const heading = node.text.replace(/\s+/g, ' ').trim();
+      if (heading) {
+        headings.push({ level: Number(tag[1]), text: heading });
+        lines.push('', heading);
+      }
+      return;
+    }
+
+    // Table rows become "cell | cell | cell" lines so each row stays together
+    if (tag === 'tr') {
+      flush();
+      const cells = node.childNodes
+        .filter(child => ['td', 'th'].includes((child.rawTagName || '').toLowerCase()))
+        .map(cell => cell.text.replace(/\s+/g, ' ').trim());
+      if (cells.some(Boolean)) {
+        lines.push(cells.join(' | '));
+        tableRows++;
+      }
+      return;
+    }
+
+    const isBlock = BLOCK_TAGS.has(tag);
+    if (isBlock) {
+      flush();
+    }
+    node.childNodes.forEach(walk);
+    if (isBlock) {
+      flush();
+    }
+  }
+
+  walk(root);
+  flush();
+
+  return {
+    text: lines.join('\n').replace(/\n{3,}/g, '\n\n').trim(),
+    headings,
+    tableRows,
+  };
+}
+
+async function load(buffer) {
+  const root = parse(buffer.toString('utf8'));
+  const { text, headings, tableRows } = extractStructuredText(root);
+
+  return {
+    text,
+    pageCount: 0,
+    metadata: {
+      title: root.querySelector('title')?.text.trim() || undefined,
+      headings,
+      tableRows,
+    },
+  };
+}
+
+module.exports = {
+  name: 'html',
+  mimeTypes: ['text/html', 'application/xhtml+xml'],
+  extensions: ['.html', '.htm', '.xhtml'],
+  load,
+  extractStructuredText,
+};
@@ -0,0 +1,43 @@
+const path = require('path');
+
+// Loader registry. A loader turns the bytes of one file format into plain text:
+//   { name, mimeTypes, extensions, load(buffer, { filename }) -> { text, pages?, pageCount, metadata } }
+// where `metadata` holds structure such as headings and table rows. Paged formats
+// also return `pages: [{ pageNumber, text }]`, and `text` is then the page texts
+// joined with blank lines. Loaders that clean their output may add `rawTextLength`
+// (characters before cleaning) so the quality report can tell how much was dropped.
+const loaders = [];
+
+function registerLoader(loader) {
+  loaders.push(loader);
+}
+
+registerLoader(require('./pdfLoader'));
+registerLoader(require('./docxLoader'));
+registerLoader(require('./textLoader'));
+registerLoader(require('./markdownLoader'));
+registerLoader(require('./htmlLoader'));
+registerLoader(require('./csvLoader'));
+
+/**
+ * Finds the loader for a file. The extension wins over the MIME type, because
+ * browsers often send `application/octet-stream` for Word and CSV files.
+ * Returns undefined when the format is not supported.
+ */
+function resolveLoader({ filename, mimeType }) {
+  const extension = path.extname(filename || '').toLowerCase();
+  const baseMimeType = (mimeType || '').split(';')[0].trim().toLowerCase();
+
+  return loaders.find(loader => extension && loader.extensions.includes(extension))
+    || loaders.find(loader => baseMimeType && loader.mimeTypes.includes(baseMimeType));
+}
+
+function getSupportedExtensions() {
+  return loaders.flatMap(loader => loader.extensions);
+}
+
+module.exports = {
+  registerLoader,
+  resolveLoader,
+  getSupportedExtensions,
+};
@@ -0,0 +1,39 @@
+const { decodeText } = require('./textLoader');
+
+// Markdown keeps its text as written; ATX headings ("## Title") and table rows are recorded
+async function load(buffer) {
+  const text = decodeText(buffer);
+  const headings = [];
+  let tableRows = 0;
+  let inCodeBlock = false;
+
+  for (const line of text.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inCodeBlock = !inCodeBlock;
+      continue;
+    }
+    if (inCodeBlock) {
+      continue;
+    }
+
+    const headingMatch = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (headingMatch) {
+      headings.push({ level: headingMatch[1].length, text: headingMatch[2] });
+    } else if (/^\s*\|.*\|\s*$/.test(line) && !/^\s*\|[\s:|-]+\|\s*$/.test(line)) {
+      tableRows++; // Separator rows like |---|---| are not counted
+    }
+  }
+
+  return {
+    text: text.trim(),
+    pageCount: 0,
+    metadata: { headings, tableRows },
+  };
+}
+
+module.exports = {
+  name: 'markdown',
+  mimeTypes: ['text/markdown', 'text/x-markdown'],
+  extensions: ['.md', '.markdown'],
+  load,
+};
@@ -0,0 +1,82 @@
+const pdfParse = require('pdf-parse');
+
+function cleanExtractedText(rawText) {
+  // Enhanced text cleaning for Georgian PDF parsing issues
+  return rawText
+    // First pass: handle newlines and basic structure
+    .replace(/\n+/g, ' ')                           // Convert all newlines to spaces first
+    .replace(/\s+/g, ' ')                           // Normalize all whitespace
+    
+    // Second pass: fix scattered punctuation (Georgian-specific)
+    .replace(/^[\s\-\.,!?]+/gm, '')                 // Remove leading punctuation on lines
+    .replace(/[\s\-\.,!?]+$/gm, '')                 // Remove trailing punctuation on lines
+    .replace(/\s*[-]+\s*/g, ' ')                    // Clean up scattered dashes
+    .replace(/\s*[\.]{2,}/g, '.')                   // Multiple periods to single
+    .replace(/\s*[,]{2,}/g, ',')                    // Multiple commas to single
+    .replace(/\s*[\.]\s*[,]/g, '.')                 // Period-comma combinations
+    .replace(/\s*[,]\s*[\.]/g, '.')                 // Comma-period combinations
+    
+    // Third pass: fix spacing around punctuation
+    .replace(/\s+([\.!?])/g, '$1')                  // Remove space before sentence endings
+    .replace(/\s+([,;:])/g, '$1')                   // Remove space before punctuation
+    .replace(/([\.!?])([ა-ჰА-Яa-zA-Z])/g, '$1 $2')  // Add space after sentences
+    .replace(/([,;:])([ა-ჰА-Яa-zA-Z])/g, '$1 $2')   // Add space after punctuation
+    
+    // Fourth pass: clean up remaining artifacts
+    .replace(/^\s*[\.!?,;:-]+\s*/g, '')             // Remove punctuation-only beginnings
+    .replace(/\s*[\.!?,;:-]+\s*$/g, '')             // Remove punctuation-only endings
+    .replace(/\s{2,}/g, ' ')                        // Final whitespace normalization
+    .trim();
+}
+
+// Same text assembly as pdf-parse's default renderer, but every page is also
+// kept separately so chunks can be traced back to the page they came from.
+function createPageRenderer(pages) {
+  return async function renderPage(pageData) {
+    const textContent = await pageData.getTextContent({
+      normalizeWhitespace: false,
+      disableCombineTextItems: false,
+    });
+
+    let lastY;
+    let text = '';
+    for (const item of textContent.items) {
+      if (lastY == item.transform[5] || !lastY) {
+        text += item.str;
+      } else {
+        text += '\n' + item.str;
+      }
+      lastY = item.transform[5];
+    }
+
+    pages.push({ pageNumber: pageData.pageIndex + 1, text });
+    return text;
+  };
+}
+
+async function load(buffer) {
+  const renderedPages = [];
+  const data = await pdfParse(buffer, { pagerender: createPageRenderer(renderedPages) });
+
+  // Pages are cleaned one by one so page boundaries survive the newline flattening
+  const pages = renderedPages
+    .map(page => ({ pageNumber: page.pageNumber, text: cleanExtractedText(page.text) }))
+    .filter(page => page.text.length > 0);
+  const cleanedText = pages.map(page => page.text).join('\n\n');
+
+  return {
+    text: cleanedText,
+    pages,
+    pageCount: data.numpages,
+    // Before cleaning, for the file's quality report
+    rawTextLength: data.text.length,
+    metadata: {},
+  };
+}
+
+module.exports = {
+  name: 'pdf',
+  mimeTypes: ['application/pdf'],
+  extensions: ['.pdf'],
+  load,
+};
@@ -0,0 +1,20 @@
+// Plain text files are taken as they are, minus a byte order mark
+function decodeText(buffer) {
+  return buffer.toString('utf8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+}
+
+async function load(buffer) {
+  return {
+    text: decodeText(buffer).trim(),
+    pageCount: 0,
+    metadata: {},
+  };
+}
+
+module.exports = {
+  name: 'text',
+  mimeTypes: ['text/plain'],
+  extensions: ['.txt'],
+  load,
+  decodeText,
+};
@@ -0,0 +1,14 @@
+const crypto = require('crypto');
+
+// Development mailer: prints every message to the server log instead of sending it
+function createConsoleMailer() {
+  async function send({ from, to, subject, text }) {
+    const id = crypto.randomUUID();
+    console.log(`✉️ [mail ${id}] From: ${from} To: ${to}\nSubject: ${subject}\n\n${text}\n`);
+    return { id };
+  }
+
+  return { name: 'console', send };
+}
+
+module.exports = createConsoleMailer;
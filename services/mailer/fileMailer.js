@@ -0,0 +1,33 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { logger } = require('../../utils/logger');
+
+// Development mailer: writes every message to `<directory>/<timestamp>-<id>.eml`
+// so it can be opened in a mail client or read by test scripts
+function createFileMailer({ directory }) {
+  async function send({ from, to, subject, text }) {
+    const id = crypto.randomUUID();
+    const date = new Date();
+    const message = [
+      `Message-ID: <${id}@vectormind.local>`,
+      `Date: ${date.toUTCString()}`,
+      `From: ${from}`,
+      `To: ${to}`,
+      `Subject: ${subject}`,
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      text,
+    ].join('\r\n');
+
+    await fs.mkdir(directory, { recursive: true });
+    const filePath = path.join(directory, `${date.toISOString().replace(/[:.]/g, '-')}-${id}.eml`);
+    await fs.writeFile(filePath, message, 'utf8');
+    logger.info('Wrote mail to a file', { mailId: id, email: to, filePath });
+    return { id };
+  }
+
+  return { name: 'file', send };
+}
+
+module.exports = createFileMailer;
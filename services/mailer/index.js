@@ -0,0 +1,53 @@
+const createConsoleMailer = require('./consoleMailer');
+const createFileMailer = require('./fileMailer');
+const { logger } = require('../../utils/logger');
+
+// Outgoing email (password resets). Every mailer implements
+//   send({ to, subject, text }) -> { id }
+// `console` and `file` are development stand-ins; a real transport (SMTP, an
+// email API) is plugged in with setMailer() before the server starts.
+const MAILER = process.env.MAILER || 'console';
+const MAIL_FROM = process.env.MAIL_FROM || 'VectorMind <no-reply@localhost>';
+
+let mailer;
+
+function getMailer() {
+  if (mailer) {
+    return mailer;
+  }
+
+  switch (MAILER) {
+    case 'console':
+      mailer = createConsoleMailer();
+      break;
+    case 'file':
+      mailer = createFileMailer({ directory: process.env.MAILER_DIR || 'data/mail' });
+      break;
+    default:
+      throw new Error(`Unknown MAILER '${MAILER}' (expected 'console' or 'file', or register one with setMailer())`);
+  }
+
+  logger.info('Using mailer', { mailer: mailer.name });
+  return mailer;
+}
+
+/**
+ * Replaces the configured mailer, e.g. with an SMTP transport.
+ * `customMailer` must have a `name` and a `send({ from, to, subject, text })` function.
+ */
+function setMailer(customMailer) {
+  if (!customMailer || typeof customMailer.send !== 'function') {
+    throw new Error('A mailer must implement send({ from, to, subject, text })');
+  }
+  mailer = customMailer;
+}
+
+async function sendMail({ to, subject, text }) {
+  return getMailer().send({ from: MAIL_FROM, to, subject, text });
+}
+
+module.exports = {
+  getMailer,
+  setMailer,
+  sendMail,
+};
@@ -0,0 +1,155 @@
+const PromptTemplate = require('../models/promptTemplates');
+const { measureScripts } = require('./georgianText');
+
+// Answer prompt templates. A template is plain text with {{variables}}:
+//   {{context}}   - the retrieved chunks, each under its [n] marker (required)
+//   {{question}}  - the user's question (required)
+//   {{citations}} - the citable sources, one "[n] filename, p. x" per line
+//   {{history}}   - earlier turns as a transcript; without it they are sent as chat messages
+//   {{language}}  - the answer language instruction; without it, it is sent as a system message
+const TEMPLATE_VARIABLES = ['context', 'question', 'citations', 'history', 'language'];
+const REQUIRED_VARIABLES = ['context', 'question'];
+const MAX_TEMPLATE_LENGTH = 20000;
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+const DEFAULT_TEMPLATE = `
+You are an expert assistant. Use ONLY the following context to answer the user's question.
+After every statement, cite the context it comes from with its bracketed number, e.g. [1] or [2][3].
+Only use the numbers listed below and do not invent sources.
+{{language}}
+
+{{context}}
+
+Question: {{question}}
+Answer:`;
+
+const LANGUAGE_NAMES = { ka: 'Georgian', en: 'English' };
+// Share of Georgian letters from which a question counts as Georgian
+const GEORGIAN_QUESTION_THRESHOLD = 0.5;
+
+// ===== EXPORTED API =====
+
+/**
+ * Checks a template's length and variables.
+ * Returns `{ template }` or `{ error }` with a message suitable for a 400.
+ */
+function validateTemplate(template) {
+  if (typeof template !== 'string' || template.trim() === '') {
+    return { error: 'template must be a non-empty string' };
+  }
+  if (template.length > MAX_TEMPLATE_LENGTH) {
+    return { error: `template must be at most ${MAX_TEMPLATE_LENGTH} characters` };
+  }
+
+  const variables = templateVariables(template);
+  const unknown = variables.filter(variable => !TEMPLATE_VARIABLES.includes(variable));
+  if (unknown.length > 0) {
+    return { error: `Unknown template variables: ${unknown.map(variable => `{{${variable}}}`).join(', ')}. Available: ${TEMPLATE_VARIABLES.map(variable => `{{${variable}}}`).join(', ')}` };
+  }
+  const missing = REQUIRED_VARIABLES.filter(variable => !variables.includes(variable));
+  if (missing.length > 0) {
+    return { error: `template must contain ${missing.map(variable => `{{${variable}}}`).join(' and ')}` };
+  }
+
+  return { template };
+}
+
+/**
+ * Names of the {{variables}} a template uses, without duplicates.
+ */
+function templateVariables(template) {
+  return [...new Set([...template.matchAll(VARIABLE_PATTERN)].map(match => match[1]))];
+}
+
+/**
+ * Fills in a template's variables; values are inserted as they are, so text
+ * that looks like a variable inside a question or chunk is not expanded.
+ */
+function renderTemplate(template, values) {
+  return template.replace(VARIABLE_PATTERN, (placeholder, name) => values[name] ?? '');
+}
+
+/**
+ * Applies a workspace's language policy to a question. Returns
+ * { language, instruction } where `language` is 'ka', 'en' or null when
+ * the answer simply follows the question's (non-Georgian) language.
+ */
+function resolveAnswerLanguage(policy, question) {
+  if (policy === 'ka' || policy === 'en') {
+    return {
+      language: policy,
+      instruction: `Always answer in ${LANGUAGE_NAMES[policy]}, even when the question or the context is in another language.`,
+    };
+  }
+
+  if (measureScripts(question || '').georgian >= GEORGIAN_QUESTION_THRESHOLD) {
+    return { language: 'ka', instruction: 'Answer in Georgian, the language of the question.' };
+  }
+  return { language: null, instruction: 'Answer in the same language as the question.' };
+}
+
+/**
+ * The prompt settings a workspace answers with: its active template (or the
+ * default) and its language policy.
+ * Returns { template, templateId, templateVersion, languagePolicy }.
+ */
+async function getPromptSettings(organization) {
+  const active = organization.promptTemplate
+    ? await PromptTemplate.findOne({ _id: organization.promptTemplate, organization: organization._id })
+    : null;
+
+  return {
+    template: active ? active.template : DEFAULT_TEMPLATE,
+    templateId: active ? active._id : null,
+    templateVersion: active ? active.version : null,
+    languagePolicy: organization.answerLanguage || 'auto',
+  };
+}
+
+/**
+ * What a response reports about the prompt it was answered with:
+ * { templateVersion (null for the default), languagePolicy, language }.
+ */
+function describePrompt(promptSettings, question) {
+  return {
+    templateVersion: promptSettings.templateVersion,
+    languagePolicy: promptSettings.languagePolicy,
+    language: resolveAnswerLanguage(promptSettings.languagePolicy, question).language,
+  };
+}
+
+/**
+ * Saves `template` as the workspace's next version. Two saves racing for the
+ * same version number are resolved by retrying on the unique index.
+ */
+async function createTemplateVersion({ organization, template, description, createdBy }) {
+  for (let attempt = 0; ; attempt++) {
+    const latest = await PromptTemplate.findOne({ organization }).sort({ version: -1 }).select('version');
+    try {
+      return await PromptTemplate.create({
+        organization,
+        version: (latest?.version || 0) + 1,
+        template,
+        description,
+        createdBy,
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= 2) {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  REQUIRED_VARIABLES,
+  DEFAULT_TEMPLATE,
+  validateTemplate,
+  templateVariables,
+  renderTemplate,
+  resolveAnswerLanguage,
+  getPromptSettings,
+  describePrompt,
+  createTemplateVersion,
+};
@@ -0,0 +1,270 @@
+const QueryLog = require('../models/queryLogs');
+const { logger } = require('../utils/logger');
+
+// A query counts as unanswered when nothing was retrieved or the best vector
+// match scored below this cosine similarity
+const UNANSWERED_SIMILARITY_THRESHOLD = process.env.UNANSWERED_SIMILARITY_THRESHOLD !== undefined
+  ? Number(process.env.UNANSWERED_SIMILARITY_THRESHOLD)
+  : 0.5;
+
+// ===== HELPER FUNCTIONS =====
+
+function toLoggedChunk(chunk) {
+  return {
+    chunkId: chunk.chunkId,
+    documentId: chunk.documentId,
+    filename: chunk.filename,
+    similarity: chunk.similarity,
+    keywordScore: chunk.keywordScore,
+    fusedScore: chunk.fusedScore,
+    rerankScore: chunk.rerankScore,
+  };
+}
+
+// Best vector similarity, or null when no chunk has one (keyword-only retrieval)
+function maxSimilarityOf(chunks) {
+  const similarities = chunks.map(chunk => chunk.similarity).filter(similarity => typeof similarity === 'number');
+  return similarities.length > 0 ? Math.max(...similarities) : null;
+}
+
+function periodMatch(organizationId, { from, to }) {
+  return { organization: organizationId, createdAt: { $gte: from, $lt: to } };
+}
+
+// ===== EXPORTED API =====
+
+/**
+ * Stores a query with what was retrieved and answered. Logging must never
+ * break a response, so failures are only logged.
+ * Returns the log's ID, or null when it could not be saved.
+ */
+async function recordQuery({ user, organization, source, conversation, query, retrievalQuery, retrievalMode, chunks, abstained = false, answer, citations = [], grounding, prompt, completion, latencyMs }) {
+  const maxSimilarity = maxSimilarityOf(chunks);
+
+  try {
+    const log = await QueryLog.create({
+      user,
+      organization,
+      source,
+      conversation,
+      query,
+      retrievalQuery: retrievalQuery !== query ? retrievalQuery : undefined,
+      retrievalMode,
+      chunks: chunks.map(toLoggedChunk),
+      chunksFound: chunks.length,
+      maxSimilarity,
+      answered: !abstained && chunks.length > 0 && (maxSimilarity === null || maxSimilarity >= UNANSWERED_SIMILARITY_THRESHOLD),
+      abstained,
+      answer,
+      citations: citations.map(({ marker, chunkId, documentId, filename }) => ({ marker, chunkId, documentId, filename })),
+      grounding: grounding
+        ? {
+            grounded: grounding.grounded,
+            confidence: grounding.confidence,
+            method: grounding.method,
+            unsupportedSentences: grounding.unsupportedSentences.length,
+          }
+        : undefined,
+      prompt: prompt ? { templateVersion: prompt.templateVersion, language: prompt.language } : undefined,
+      model: completion?.model,
+      provider: completion?.provider,
+      usage: completion?.usage,
+      latencyMs,
+    });
+    return log._id;
+  } catch (error) {
+    logger.error('Could not save the query log', { error });
+    return null;
+  }
+}
+
+/**
+ * Queries per day (UTC) and totals for the period.
+ */
+async function getQueryVolume(organizationId, period) {
+  const groupFields = {
+    queries: { $sum: 1 },
+    unanswered: { $sum: { $cond: ['$answered', 0, 1] } },
+    users: { $addToSet: '$user' },
+    totalTokens: { $sum: { $ifNull: ['$usage.totalTokens', 0] } },
+    averageLatencyMs: { $avg: '$latencyMs.total' },
+  };
+  const project = {
+    _id: 0,
+    queries: 1,
+    unanswered: 1,
+    activeUsers: { $size: '$users' },
+    totalTokens: 1,
+    averageLatencyMs: { $round: ['$averageLatencyMs', 0] },
+  };
+
+  const [days, [totals], bySource] = await Promise.all([
+    QueryLog.aggregate([
+      { $match: periodMatch(organizationId, period) },
+      { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, ...groupFields } },
+      { $sort: { _id: 1 } },
+      { $project: { date: '$_id', ...project } },
+    ]),
+    QueryLog.aggregate([
+      { $match: periodMatch(organizationId, period) },
+      { $group: { _id: null, ...groupFields } },
+      { $project: project },
+    ]),
+    QueryLog.aggregate([
+      { $match: periodMatch(organizationId, period) },
+      { $group: { _id: '$source', queries: { $sum: 1 } } },
+    ]),
+  ]);
+
+  return {
+    totals: totals || { queries: 0, unanswered: 0, activeUsers: 0, totalTokens: 0, averageLatencyMs: null },
+    bySource: Object.fromEntries(bySource.map(entry => [entry._id, entry.queries])),
+    days,
+  };
+}
+
+/**
+ * Unanswered queries: counts by reason, the questions asked most often
+ * without an answer (the knowledge base gaps) and the most recent ones.
+ */
+async function getUnansweredQueries(organizationId, period, { limit }) {
+  const match = { ...periodMatch(organizationId, period), answered: false };
+
+  const [[reasons], frequent, recent] = await Promise.all([
+    QueryLog.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: 1 },
+          noChunks: { $sum: { $cond: [{ $eq: ['$chunksFound', 0] }, 1, 0] } },
+        },
+      },
+    ]),
+    QueryLog.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { $toLower: { $trim: { input: '$query' } } },
+          query: { $last: '$query' },
+          count: { $sum: 1 },
+          users: { $addToSet: '$user' },
+          bestSimilarity: { $max: '$maxSimilarity' },
+          lastAskedAt: { $max: '$createdAt' },
+        },
+      },
+      { $sort: { count: -1, lastAskedAt: -1 } },
+      { $limit: limit },
+      { $project: { _id: 0, query: 1, count: 1, users: { $size: '$users' }, bestSimilarity: 1, lastAskedAt: 1 } },
+    ]),
+    QueryLog.find(match)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .select('query user source chunksFound maxSimilarity createdAt'),
+  ]);
+
+  const total = reasons?.total || 0;
+  return {
+    similarityThreshold: UNANSWERED_SIMILARITY_THRESHOLD,
+    total,
+    reasons: {
+      noChunks: reasons?.noChunks || 0,
+      lowSimilarity: total - (reasons?.noChunks || 0),
+    },
+    frequent,
+    recent,
+  };
+}
+
+/**
+ * Documents cited most often in answers, with the feedback those answers got.
+ */
+async function getTopCitedDocuments(organizationId, period, { limit }) {
+  return QueryLog.aggregate([
+    { $match: periodMatch(organizationId, period) },
+    { $unwind: '$citations' },
+    {
+      $group: {
+        _id: '$citations.documentId',
+        filename: { $last: '$citations.filename' },
+        citations: { $sum: 1 },
+        queries: { $addToSet: '$_id' },
+        ratings: { $push: { query: '$_id', rating: '$feedback.rating' } },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        documentId: '$_id',
+        filename: 1,
+        citations: 1,
+        queries: { $size: '$queries' },
+        // One rating per answer, however many times it cited the document
+        ratings: { $setUnion: ['$ratings', []] },
+      },
+    },
+    {
+      $project: {
+        documentId: 1,
+        filename: 1,
+        citations: 1,
+        queries: 1,
+        thumbsUp: { $size: { $filter: { input: '$ratings', cond: { $eq: ['$$this.rating', 'up'] } } } },
+        thumbsDown: { $size: { $filter: { input: '$ratings', cond: { $eq: ['$$this.rating', 'down'] } } } },
+      },
+    },
+    { $sort: { citations: -1, queries: -1 } },
+    { $limit: limit },
+  ]);
+}
+
+/**
+ * Feedback counts and rates for the period, with the latest thumbs-down answers.
+ */
+async function getFeedbackSummary(organizationId, period, { limit }) {
+  const match = periodMatch(organizationId, period);
+
+  const [[counts], negative] = await Promise.all([
+    QueryLog.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          queries: { $sum: 1 },
+          thumbsUp: { $sum: { $cond: [{ $eq: ['$feedback.rating', 'up'] }, 1, 0] } },
+          thumbsDown: { $sum: { $cond: [{ $eq: ['$feedback.rating', 'down'] }, 1, 0] } },
+          comments: { $sum: { $cond: [{ $gt: [{ $strLenCP: { $ifNull: ['$feedback.comment', ''] } }, 0] }, 1, 0] } },
+        },
+      },
+    ]),
+    QueryLog.find({ ...match, 'feedback.rating': 'down' })
+      .sort({ 'feedback.createdAt': -1 })
+      .limit(limit)
+      .select('query answer user feedback citations createdAt'),
+  ]);
+
+  const queries = counts?.queries || 0;
+  const thumbsUp = counts?.thumbsUp || 0;
+  const thumbsDown = counts?.thumbsDown || 0;
+  const rated = thumbsUp + thumbsDown;
+
+  return {
+    queries,
+    rated,
+    thumbsUp,
+    thumbsDown,
+    comments: counts?.comments || 0,
+    feedbackRate: queries > 0 ? rated / queries : null,
+    positiveRate: rated > 0 ? thumbsUp / rated : null,
+    recentNegative: negative,
+  };
+}
+
+module.exports = {
+  UNANSWERED_SIMILARITY_THRESHOLD,
+  recordQuery,
+  getQueryVolume,
+  getUnansweredQueries,
+  getTopCitedDocuments,
+  getFeedbackSummary,
+};
@@ -0,0 +1,399 @@
+const { getVectorStore } = require('./vectorStore');
+const { getLLMProvider } = require('./llm');
+const lexicalIndex = require('./lexical');
+const { RERANK_MODEL_NAME, rerankChunks } = require('./reranker');
+const { EMBEDDING_MODEL_NAME, embedQuery } = require('./embeddings');
+const { normalizeQueryText } = require('./georgianText');
+const { DEFAULT_TEMPLATE, templateVariables, renderTemplate, resolveAnswerLanguage } = require('./promptTemplates');
+const { logger } = require('../utils/logger');
+
+// Retrieval Configuration
+const RETRIEVAL_MODES = ['vector', 'keyword', 'hybrid'];
+const DEFAULT_RETRIEVAL_MODE = process.env.RETRIEVAL_MODE || 'hybrid';
+const RRF_K = 60; // Reciprocal rank fusion constant from the original RRF paper
+const HYBRID_CANDIDATE_MULTIPLIER = 4;
+const RERANK_ENABLED = process.env.RERANK_ENABLED === 'true';
+const MAX_RESULTS = 50;
+const MAX_CANDIDATE_POOL = 100;
+// Below this best vector similarity the question is treated as unrelated to the
+// documents and answered with NO_RESULTS_ANSWER instead of a generated answer
+const MIN_SIMILARITY = process.env.MIN_SIMILARITY !== undefined ? Number(process.env.MIN_SIMILARITY) : 0.35;
+
+// Conversation history passed to the model
+const HISTORY_MAX_MESSAGES = 6;
+const HISTORY_MAX_CHARS = 4000;
+
+const NO_RESULTS_ANSWER = "I couldn't find any relevant information in your uploaded documents to answer this question. Please make sure you have uploaded documents that contain information related to your query.";
+
+// ===== HELPER FUNCTIONS =====
+
+async function generateQueryEmbedding(queryText) {
+  logger.debug('Embedding query', { query: queryText });
+  // Documents are indexed with Mtavruli folded and quotes/dashes unified
+  const queryEmbedding = await embedQuery(normalizeQueryText(queryText));
+  return queryEmbedding;
+}
+
+function formatPageRange(chunk) {
+  if (chunk.pageStart === undefined || chunk.pageStart === null) {
+    return null;
+  }
+  return chunk.pageStart === chunk.pageEnd ? `p. ${chunk.pageStart}` : `pp. ${chunk.pageStart}-${chunk.pageEnd}`;
+}
+
+function formatTranscript(history) {
+  return history
+    .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+    .join("\n");
+}
+
+// `promptSettings` is the workspace's { template, languagePolicy } (see
+// services/promptTemplates.js); without it the default template is used.
+// The retrieved context rides on the final user turn. Prior turns and the
+// language instruction go into the template where it places {{history}} /
+// {{language}}, and in their own messages otherwise.
+function buildAnswerMessages(question, topChunks, history = [], { template = DEFAULT_TEMPLATE, languagePolicy = 'auto' } = {}) {
+  const locations = topChunks.map(chunk => [chunk.filename, formatPageRange(chunk)].filter(Boolean).join(", "));
+  // Every context block gets the [n] marker the model must cite it with
+  const context = topChunks
+    .map((chunk, index) => `[${index + 1}] (${locations[index]})\n${chunk.fullText}`)
+    .join("\n\n");
+  const citations = locations
+    .map((location, index) => `[${index + 1}] ${location}`)
+    .join("\n");
+
+  const variables = templateVariables(template);
+  const { instruction } = resolveAnswerLanguage(languagePolicy, question);
+  const prompt = renderTemplate(template, {
+    context,
+    question,
+    citations,
+    history: formatTranscript(history),
+    language: instruction,
+  });
+
+  logger.debug('Answer prompt', { prompt });
+  return [
+    ...(variables.includes('language') ? [] : [{ role: "system", content: instruction }]),
+    ...(variables.includes('history') ? [] : history.map(message => ({ role: message.role, content: message.content }))),
+    { role: "user", content: prompt },
+  ];
+}
+
+async function generateAnswer(question, topChunks, generationOptions, history = [], promptSettings = {}) {
+  const completion = await getLLMProvider().generate({
+    messages: buildAnswerMessages(question, topChunks, history, promptSettings),
+    ...generationOptions,
+  });
+
+  return completion;
+}
+
+// `scope` is the workspace's { organizationId, namespace } (see workspaceService).
+// Tenancy is enforced inside the vector query: the namespace isolates the
+// workspace and the metadata filter guards against vectors written to the
+// wrong namespace, so topK is never spent on another tenant's chunks.
+// Superseded document versions are excluded unless `allVersions` is set;
+// `documentIds` narrows the search to those documents.
+async function searchSimilarChunks(queryEmbedding, scope, maxResults = 5, { allVersions = false, documentIds } = {}) {
+  if (!scope || !scope.organizationId || !scope.namespace) {
+    throw new Error('Vector search requires a workspace scope');
+  }
+
+  const vectorStore = getVectorStore();
+  logger.debug('Querying the vector store', { vectorStore: vectorStore.name, namespace: scope.namespace, topK: maxResults });
+  
+  const filter = { organizationId: { $eq: scope.organizationId } };
+  if (!allVersions) {
+    filter.superseded = { $ne: true };
+  }
+  if (documentIds) {
+    filter.documentId = { $in: documentIds.map(String) };
+  }
+
+  const searchResults = await vectorStore.query({
+    vector: Array.from(queryEmbedding),
+    topK: maxResults,
+    namespace: scope.namespace,
+    filter,
+    includeMetadata: true,
+  });
+
+  return (searchResults.matches || []).map((match, index) => {
+    const previewText = match.metadata?.text?.slice(0, 300) || "No text available";
+    
+    logger.debug('Vector match preview', { rank: index + 1, similarity: match.score, chunkId: match.metadata?.chunkId, preview: previewText });
+    
+    return {
+      id: match.id,
+      similarity: match.score,
+      preview: previewText,
+      fullText: match.metadata?.text || "",
+      filename: match.metadata?.filename,
+      userId: match.metadata?.userId,
+      documentId: match.metadata?.documentId,
+      chunkId: match.metadata?.chunkId,
+      pageStart: match.metadata?.pageStart,
+      pageEnd: match.metadata?.pageEnd,
+    };
+  });
+}
+
+function keywordMatchToChunk(match) {
+  return {
+    id: match.chunkId,
+    keywordScore: match.score,
+    preview: match.text?.slice(0, 300) || "No text available",
+    fullText: match.text || "",
+    filename: match.filename,
+    documentId: match.documentId,
+    chunkId: match.chunkId,
+    pageStart: match.pageStart,
+    pageEnd: match.pageEnd,
+  };
+}
+
+/**
+ * Merges ranked lists with reciprocal rank fusion: score = sum of 1 / (k + rank).
+ * Chunks found by both retrievers keep the fields of both.
+ */
+function fuseRankings(rankings, maxResults) {
+  const fused = new Map();
+
+  for (const ranking of rankings) {
+    ranking.forEach((chunk, index) => {
+      const existing = fused.get(chunk.chunkId);
+      const definedFields = Object.fromEntries(Object.entries(chunk).filter(([, value]) => value !== undefined));
+      fused.set(chunk.chunkId, {
+        ...existing,
+        ...definedFields,
+        fusedScore: (existing?.fusedScore || 0) + 1 / (RRF_K + index + 1),
+      });
+    });
+  }
+
+  return [...fused.values()]
+    .sort((a, b) => b.fusedScore - a.fusedScore)
+    .slice(0, maxResults);
+}
+
+/**
+ * Validates retrieval options from a request and fills in the defaults.
+ * Returns `{ options }` or `{ error }` with a message suitable for a 400.
+ */
+function resolveRetrievalOptions({ maxResults = 5, mode = DEFAULT_RETRIEVAL_MODE, rerank = RERANK_ENABLED, candidatePool, allVersions = false, minSimilarity = MIN_SIMILARITY } = {}) {
+  if (!Number.isInteger(maxResults) || maxResults < 1 || maxResults > MAX_RESULTS) {
+    return { error: `maxResults must be an integer between 1 and ${MAX_RESULTS}` };
+  }
+
+  if (!RETRIEVAL_MODES.includes(mode)) {
+    return { error: `mode must be one of: ${RETRIEVAL_MODES.join(', ')}` };
+  }
+
+  if (typeof rerank !== 'boolean') {
+    return { error: 'rerank must be a boolean' };
+  }
+
+  if (typeof allVersions !== 'boolean') {
+    return { error: 'allVersions must be a boolean' };
+  }
+
+  if (typeof minSimilarity !== 'number' || Number.isNaN(minSimilarity) || minSimilarity < 0 || minSimilarity > 1) {
+    return { error: 'minSimilarity must be a number between 0 and 1' };
+  }
+
+  if (candidatePool !== undefined) {
+    if (!Number.isInteger(candidatePool) || candidatePool < maxResults || candidatePool > MAX_CANDIDATE_POOL) {
+      return { error: `candidatePool must be an integer between maxResults (${maxResults}) and ${MAX_CANDIDATE_POOL}` };
+    }
+  }
+
+  return {
+    options: {
+      maxResults,
+      mode,
+      rerank,
+      candidatePool: candidatePool || Math.min(Math.max(maxResults * 4, 20), MAX_CANDIDATE_POOL),
+      allVersions,
+      minSimilarity,
+    },
+  };
+}
+
+/**
+ * Decides whether retrieved chunks are good enough to answer from. Returns
+ * { abstain, reason, maxSimilarity } where reason is 'no_chunks' or
+ * 'low_similarity' when abstaining. Keyword-only results carry no similarity
+ * and are only rejected when empty.
+ */
+function assessRelevance(chunks, minSimilarity = MIN_SIMILARITY) {
+  const similarities = chunks.map(chunk => chunk.similarity).filter(similarity => typeof similarity === 'number');
+  const maxSimilarity = similarities.length > 0 ? Math.max(...similarities) : null;
+
+  if (chunks.length === 0) {
+    return { abstain: true, reason: 'no_chunks', maxSimilarity };
+  }
+  if (maxSimilarity !== null && maxSimilarity < minSimilarity) {
+    return { abstain: true, reason: 'low_similarity', maxSimilarity };
+  }
+  return { abstain: false, reason: null, maxSimilarity };
+}
+
+/**
+ * Retrieves context for a query with the requested mode:
+ *   vector  - dense bge-m3 similarity only
+ *   keyword - BM25 over the lexical index only
+ *   hybrid  - both, merged with reciprocal rank fusion
+ * With `rerank`, `candidatePool` chunks are retrieved first and the
+ * cross-encoder keeps the best `maxResults`. Only the latest version of each
+ * document is searched unless `allVersions` is set; `documentIds` limits the
+ * search to those documents.
+ */
+async function retrieveChunks(query, scope, { maxResults = 5, mode = DEFAULT_RETRIEVAL_MODE, rerank = false, candidatePool = maxResults, allVersions = false, documentIds } = {}) {
+  const retrievalSize = rerank ? candidatePool : maxResults;
+  logger.info('Retrieving chunks', { mode, retrievalSize, rerank, maxResults });
+  const perRetrieverTopK = mode === 'hybrid' ? retrievalSize * HYBRID_CANDIDATE_MULTIPLIER : retrievalSize;
+
+  const [vectorChunks, keywordChunks] = await Promise.all([
+    mode === 'keyword'
+      ? []
+      : generateQueryEmbedding(query).then(queryEmbedding => searchSimilarChunks(queryEmbedding, scope, perRetrieverTopK, { allVersions, documentIds })),
+    mode === 'vector'
+      ? []
+      : lexicalIndex.searchChunks({ organizationId: scope.organizationId, query, topK: perRetrieverTopK, allVersions, documentIds }).then(matches => matches.map(keywordMatchToChunk)),
+  ]);
+
+  let chunks;
+  if (mode === 'vector') {
+    chunks = vectorChunks;
+  } else if (mode === 'keyword') {
+    chunks = keywordChunks;
+  } else {
+    chunks = fuseRankings([vectorChunks, keywordChunks], retrievalSize);
+  }
+
+  return rerank ? rerankChunks(query, chunks, maxResults) : chunks;
+}
+
+// `citation` is the [n] marker the answer uses for this source
+function formatSources(chunks) {
+  return chunks.map((chunk, index) => ({
+    citation: index + 1,
+    filename: chunk.filename,
+    documentId: chunk.documentId,
+    pageStart: chunk.pageStart,
+    pageEnd: chunk.pageEnd,
+    similarity: chunk.similarity,
+    keywordScore: chunk.keywordScore,
+    fusedScore: chunk.fusedScore,
+    rerankScore: chunk.rerankScore,
+    preview: chunk.preview,
+    chunkId: chunk.chunkId
+  }));
+}
+
+/**
+ * Maps the [n] markers found in an answer to the sources they point at.
+ * Markers outside the source list are reported as invalid instead of dropped silently.
+ */
+function extractCitations(answer, sources) {
+  const markers = new Set();
+  for (const match of (answer || '').matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+    match[1].split(',').forEach(number => markers.add(Number(number.trim())));
+  }
+
+  const citations = [];
+  const invalidMarkers = [];
+  for (const marker of [...markers].sort((a, b) => a - b)) {
+    const source = sources.find(candidate => candidate.citation === marker);
+    if (source) {
+      citations.push({
+        marker,
+        filename: source.filename,
+        documentId: source.documentId,
+        pageStart: source.pageStart,
+        pageEnd: source.pageEnd,
+        chunkId: source.chunkId,
+      });
+    } else {
+      invalidMarkers.push(marker);
+    }
+  }
+
+  return { citations, invalidMarkers };
+}
+
+/**
+ * Keeps the most recent turns that fit in the history budget, oldest first.
+ */
+function trimHistory(messages) {
+  const trimmed = [];
+  let totalChars = 0;
+
+  for (const message of [...messages].reverse()) {
+    if (trimmed.length >= HISTORY_MAX_MESSAGES || totalChars + message.content.length > HISTORY_MAX_CHARS) {
+      break;
+    }
+    trimmed.unshift({ role: message.role, content: message.content });
+    totalChars += message.content.length;
+  }
+
+  return trimmed;
+}
+
+/**
+ * Rewrites a follow-up ("and what about the penalty clause?") into a question
+ * that makes sense without the conversation, so retrieval has something to match.
+ * Returns { question, usage }; `usage` is null when no model call was needed.
+ */
+async function rewriteFollowUpQuestion(question, history, generationOptions = {}) {
+  if (history.length === 0) {
+    return { question, usage: null };
+  }
+
+  const transcript = formatTranscript(history);
+
+  const prompt = `
+Given the conversation below and a follow-up question, rewrite the follow-up as a single standalone question that can be understood without the conversation.
+Keep the language of the follow-up question. Reply with the rewritten question only.
+
+Conversation:
+${transcript}
+
+Follow-up question: ${question}
+Standalone question:`;
+
+  const completion = await getLLMProvider().generate({
+    messages: [{ role: "user", content: prompt }],
+    model: generationOptions.model,
+    maxTokens: 200,
+    temperature: 0,
+  });
+
+  const standaloneQuestion = completion.content.trim() || question;
+  logger.debug('Rewrote follow-up question', { question, standaloneQuestion });
+  return { question: standaloneQuestion, usage: completion.usage };
+}
+
+module.exports = {
+  EMBEDDING_MODEL_NAME,
+  RETRIEVAL_MODES,
+  DEFAULT_RETRIEVAL_MODE,
+  MAX_RESULTS,
+  MAX_CANDIDATE_POOL,
+  MIN_SIMILARITY,
+  NO_RESULTS_ANSWER,
+  RERANK_MODEL_NAME,
+  generateQueryEmbedding,
+  searchSimilarChunks,
+  resolveRetrievalOptions,
+  assessRelevance,
+  retrieveChunks,
+  formatPageRange,
+  buildAnswerMessages,
+  generateAnswer,
+  formatSources,
+  extractCitations,
+  trimHistory,
+  rewriteFollowUpQuestion,
+};
@@ -0,0 +1,76 @@
+const { AutoTokenizer, AutoModelForSequenceClassification } = require('@xenova/transformers');
+const { logger } = require('../utils/logger');
+
+// Reranker Configuration - a multilingual cross-encoder run locally
+const RERANK_MODEL_NAME = process.env.RERANK_MODEL || "Xenova/mmarco-mMiniLMv2-L12-H384-v1";
+const RERANK_BATCH_SIZE = 16;
+const RERANK_MAX_LENGTH = 512;
+
+let rerankerPromise;
+
+// Loads the tokenizer and model once; concurrent callers share the same load
+function loadReranker() {
+  if (!rerankerPromise) {
+    logger.info('Loading reranking model', { model: RERANK_MODEL_NAME });
+    rerankerPromise = Promise.all([
+      AutoTokenizer.from_pretrained(RERANK_MODEL_NAME),
+      AutoModelForSequenceClassification.from_pretrained(RERANK_MODEL_NAME),
+    ])
+      .then(([tokenizer, model]) => {
+        logger.info('Reranking model loaded', { model: RERANK_MODEL_NAME });
+        return { tokenizer, model };
+      })
+      .catch(error => {
+        rerankerPromise = undefined; // Allow a retry on the next request
+        throw error;
+      });
+  }
+  return rerankerPromise;
+}
+
+/**
+ * Scores every query–passage pair with the cross-encoder (0..1, higher is better).
+ */
+async function scorePairs(query, passages) {
+  const { tokenizer, model } = await loadReranker();
+  const scores = [];
+
+  for (let batchStart = 0; batchStart < passages.length; batchStart += RERANK_BATCH_SIZE) {
+    const batch = passages.slice(batchStart, batchStart + RERANK_BATCH_SIZE);
+    const inputs = tokenizer(new Array(batch.length).fill(query), {
+      text_pair: batch,
+      padding: true,
+      truncation: true,
+      max_length: RERANK_MAX_LENGTH,
+    });
+
+    const { logits } = await model(inputs);
+    scores.push(...logits.sigmoid().tolist().map(row => row[0]));
+  }
+
+  return scores;
+}
+
+/**
+ * Reorders retrieved chunks by cross-encoder score and keeps the best `topN`.
+ * Each chunk keeps its retrieval scores and gains `rerankScore`.
+ */
+async function rerankChunks(query, chunks, topN) {
+  if (chunks.length === 0) {
+    return chunks;
+  }
+
+  const startedAt = Date.now();
+  const scores = await scorePairs(query, chunks.map(chunk => chunk.fullText));
+  logger.debug('Reranked candidates', { candidates: chunks.length, durationMs: Date.now() - startedAt });
+
+  return chunks
+    .map((chunk, index) => ({ ...chunk, rerankScore: scores[index] }))
+    .sort((a, b) => b.rerankScore - a.rerankScore)
+    .slice(0, topN);
+}
+
+module.exports = {
+  RERANK_MODEL_NAME,
+  rerankChunks,
+};
@@ -0,0 +1,236 @@
+const Document = require('../models/documents');
+const Organization = require('../models/organizations');
+const UsageCounter = require('../models/usageCounters');
+const { logger } = require('../utils/logger');
+
+// Quotas per plan. Monthly quotas reset on the 1st (UTC); `documents` and
+// `chunks` cap what a workspace stores at any time. null means unlimited.
+// A workspace's `limits` field overrides single values of its plan.
+const PLAN_LIMITS = {
+  free: { queriesPerMonth: 500, queriesPerUserPerMonth: 200, tokensPerMonth: 500000, documents: 50, chunks: 10000 },
+  team: { queriesPerMonth: 20000, queriesPerUserPerMonth: 2000, tokensPerMonth: 20000000, documents: 2000, chunks: 500000 },
+  enterprise: { queriesPerMonth: null, queriesPerUserPerMonth: null, tokensPerMonth: null, documents: null, chunks: null },
+};
+const LIMIT_KEYS = Object.keys(PLAN_LIMITS.free);
+
+// Requests per user in a fixed window, configured as "<requests>/<seconds>"
+const RATE_LIMITS = {
+  query: parseRateLimit(process.env.RATE_LIMIT_QUERY, { limit: 20, windowSeconds: 60 }),
+  upload: parseRateLimit(process.env.RATE_LIMIT_UPLOAD, { limit: 5, windowSeconds: 60 }),
+};
+
+const MONTH_COUNTER_RETENTION_MS = 400 * 24 * 60 * 60 * 1000; // Keep a year of history
+const STORED_STATUSES_EXCLUDED = ['failed', 'cancelled'];
+
+// ===== HELPER FUNCTIONS =====
+
+function parseRateLimit(value, fallback) {
+  const match = /^(\d+)\/(\d+)$/.exec((value || '').trim());
+  return match && Number(match[2]) > 0 ? { limit: Number(match[1]), windowSeconds: Number(match[2]) } : fallback;
+}
+
+function currentMonth(now = new Date()) {
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const end = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+  return { key: start.toISOString().slice(0, 7), start, end };
+}
+
+function monthCounterKeys(organizationId, userId, month) {
+  const organizationKey = `month:${month.key}:org:${organizationId}`;
+  return { organization: organizationKey, user: `${organizationKey}:user:${userId}` };
+}
+
+function isOverLimit(limit, used) {
+  return limit !== null && limit !== undefined && used > limit;
+}
+
+// Atomic upsert + $inc; returns the counter after the increment
+async function incrementCounter(key, increments, fieldsOnInsert) {
+  const update = { $inc: increments, $setOnInsert: fieldsOnInsert };
+  try {
+    return await UsageCounter.findOneAndUpdate({ key }, update, { upsert: true, new: true, setDefaultsOnInsert: true });
+  } catch (error) {
+    // Two first increments raced on the upsert; the loser retries as a plain update
+    if (error.code === 11000) {
+      return UsageCounter.findOneAndUpdate({ key }, update, { new: true });
+    }
+    throw error;
+  }
+}
+
+// ===== EXPORTED API =====
+
+/**
+ * Effective quotas of a workspace: its plan's limits with its own overrides.
+ */
+function getPlanLimits(organization) {
+  const planLimits = PLAN_LIMITS[organization.plan] || PLAN_LIMITS.free;
+  const overrides = organization.limits || {};
+  return Object.fromEntries(LIMIT_KEYS.map(key => [key, overrides[key] !== undefined ? overrides[key] : planLimits[key]]));
+}
+
+/**
+ * Counts one request against the user's `name` rate limit.
+ * Returns { allowed, limit, remaining, windowSeconds, resetAt }.
+ */
+async function consumeRateLimit(name, userId) {
+  const { limit, windowSeconds } = RATE_LIMITS[name];
+  const windowMs = windowSeconds * 1000;
+  const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+  const resetAt = new Date(windowStart + windowMs);
+
+  const counter = await incrementCounter(`rate:${name}:${userId}:${windowStart}`, { requests: 1 }, { user: userId, expiresAt: resetAt });
+
+  return {
+    allowed: counter.requests <= limit,
+    limit,
+    remaining: Math.max(0, limit - counter.requests),
+    windowSeconds,
+    resetAt,
+  };
+}
+
+/**
+ * Counts a query against the workspace's and the member's monthly quotas
+ * before it runs. Returns { release() } to give the query back (e.g. when the
+ * request is rejected), or { exceeded: { quota, limit, used, resetsAt } }.
+ */
+async function reserveQuery(organization, userId) {
+  const limits = getPlanLimits(organization);
+  const month = currentMonth();
+  const keys = monthCounterKeys(organization._id, userId, month);
+  const expiresAt = new Date(month.end.getTime() + MONTH_COUNTER_RETENTION_MS);
+
+  const [organizationCounter, userCounter] = await Promise.all([
+    incrementCounter(keys.organization, { queries: 1 }, { organization: organization._id, expiresAt }),
+    incrementCounter(keys.user, { queries: 1 }, { organization: organization._id, user: userId, expiresAt }),
+  ]);
+  const release = () => Promise.all([
+    UsageCounter.updateOne({ key: keys.organization }, { $inc: { queries: -1 } }),
+    UsageCounter.updateOne({ key: keys.user }, { $inc: { queries: -1 } }),
+  ]);
+
+  let exceeded = null;
+  if (limits.tokensPerMonth !== null && organizationCounter.tokens >= limits.tokensPerMonth) {
+    exceeded = { quota: 'tokensPerMonth', limit: limits.tokensPerMonth, used: organizationCounter.tokens };
+  } else if (isOverLimit(limits.queriesPerMonth, organizationCounter.queries)) {
+    exceeded = { quota: 'queriesPerMonth', limit: limits.queriesPerMonth, used: organizationCounter.queries - 1 };
+  } else if (isOverLimit(limits.queriesPerUserPerMonth, userCounter.queries)) {
+    exceeded = { quota: 'queriesPerUserPerMonth', limit: limits.queriesPerUserPerMonth, used: userCounter.queries - 1 };
+  }
+
+  if (exceeded) {
+    await release();
+    return { exceeded: { ...exceeded, resetsAt: month.end } };
+  }
+  return { release };
+}
+
+/**
+ * Adds the LLM tokens of an answer to the workspace's monthly counter, and to
+ * the member's when `userId` is given.
+ * Never throws; usage accounting must not fail a response that was already produced.
+ */
+async function recordTokenUsage(organizationId, usage, userId) {
+  if (!usage?.totalTokens) {
+    return;
+  }
+  const month = currentMonth();
+  const keys = monthCounterKeys(organizationId, userId, month);
+  const expiresAt = new Date(month.end.getTime() + MONTH_COUNTER_RETENTION_MS);
+  try {
+    await Promise.all([
+      incrementCounter(keys.organization, { tokens: usage.totalTokens }, { organization: organizationId, expiresAt }),
+      userId && incrementCounter(keys.user, { tokens: usage.totalTokens }, { organization: organizationId, user: userId, expiresAt }),
+    ]);
+  } catch (error) {
+    logger.error('Could not record token usage', { organizationId, error });
+  }
+}
+
+/**
+ * LLM tokens the workspace has left this month, or null when its plan has no token quota.
+ */
+async function getRemainingTokens(organization) {
+  const { tokensPerMonth } = getPlanLimits(organization);
+  if (tokensPerMonth === null) {
+    return null;
+  }
+  const counter = await UsageCounter.findOne({ key: monthCounterKeys(organization._id, null, currentMonth()).organization });
+  return Math.max(0, tokensPerMonth - (counter?.tokens || 0));
+}
+
+/**
+ * Documents and chunks a workspace currently stores (failed and cancelled uploads excluded).
+ */
+async function getStoredUsage(organizationId, { excludeDocumentId } = {}) {
+  const match = { organization: organizationId, status: { $nin: STORED_STATUSES_EXCLUDED } };
+  if (excludeDocumentId) {
+    match._id = { $ne: excludeDocumentId };
+  }
+
+  const [totals] = await Document.aggregate([
+    { $match: match },
+    { $group: { _id: null, documents: { $sum: 1 }, chunks: { $sum: { $size: '$chunkIds' } } } },
+  ]);
+  return { documents: totals?.documents || 0, chunks: totals?.chunks || 0 };
+}
+
+/**
+ * Throws when indexing `chunkCount` chunks for `document` would take its
+ * workspace over the chunk quota. Its own earlier chunks do not count.
+ */
+async function assertChunkQuota(document, chunkCount) {
+  const organization = await Organization.findById(document.organization);
+  const { chunks: limit } = getPlanLimits(organization);
+  if (limit === null) {
+    return;
+  }
+
+  const { chunks } = await getStoredUsage(document.organization, { excludeDocumentId: document._id });
+  if (chunks + chunkCount > limit) {
+    throw new Error(`Chunk quota exceeded: ${document.filename} needs ${chunkCount} chunks, but the workspace stores ${chunks} of ${limit}`);
+  }
+}
+
+/**
+ * Current usage of a workspace and member against every limit.
+ */
+async function getUsageReport(organization, userId) {
+  const limits = getPlanLimits(organization);
+  const month = currentMonth();
+  const keys = monthCounterKeys(organization._id, userId, month);
+
+  const [organizationCounter, userCounter, stored] = await Promise.all([
+    UsageCounter.findOne({ key: keys.organization }),
+    UsageCounter.findOne({ key: keys.user }),
+    getStoredUsage(organization._id),
+  ]);
+
+  return {
+    plan: organization.plan,
+    period: { start: month.start, end: month.end },
+    quotas: {
+      queries: { used: organizationCounter?.queries || 0, limit: limits.queriesPerMonth },
+      yourQueries: { used: userCounter?.queries || 0, limit: limits.queriesPerUserPerMonth },
+      yourTokens: { used: userCounter?.tokens || 0, limit: null },
+      tokens: { used: organizationCounter?.tokens || 0, limit: limits.tokensPerMonth },
+      documents: { used: stored.documents, limit: limits.documents },
+      chunks: { used: stored.chunks, limit: limits.chunks },
+    },
+    rateLimits: RATE_LIMITS,
+  };
+}
+
+module.exports = {
+  PLAN_LIMITS,
+  RATE_LIMITS,
+  getPlanLimits,
+  consumeRateLimit,
+  reserveQuery,
+  recordTokenUsage,
+  getRemainingTokens,
+  getStoredUsage,
+  assertChunkQuota,
+  getUsageReport,
+};
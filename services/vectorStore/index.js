@@ -0,0 +1,50 @@
+const path = require('path');
+const createPineconeStore = require('./pineconeStore');
+const createLocalStore = require('./localStore');
+const { logger } = require('../../utils/logger');
+
+// Vector store configuration, shared by ingestion and querying.
+// Every backend implements the same interface:
+//   ensureIndex({ dimension, metric })
+//   upsert(vectors, { namespace })
+//   query({ vector, topK, filter, namespace, includeMetadata }) -> { matches }
+//   deleteMany({ ids } | { filter }, with optional namespace)
+//   fetch(ids, { namespace }) -> { records }
+//   listIds({ namespace, limit, paginationToken }) -> { ids, paginationToken }
+//   updateMetadata(ids, metadata, { namespace }) merges metadata into existing vectors
+const VECTOR_STORE = process.env.VECTOR_STORE || (process.env.PINECONE_API_KEY ? 'pinecone' : 'local');
+const VECTOR_INDEX_NAME = process.env.VECTOR_INDEX_NAME || "vectormind";
+const PINECONE_INDEX_REGION = process.env.PINECONE_INDEX_REGION || "us-east-1";
+const LOCAL_VECTOR_STORE_PATH = process.env.LOCAL_VECTOR_STORE_PATH
+  || path.join('data', 'vector-store', `${VECTOR_INDEX_NAME}.json`);
+
+let vectorStore;
+
+function getVectorStore() {
+  if (vectorStore) {
+    return vectorStore;
+  }
+
+  switch (VECTOR_STORE) {
+    case 'pinecone':
+      vectorStore = createPineconeStore({
+        apiKey: process.env.PINECONE_API_KEY,
+        indexName: VECTOR_INDEX_NAME,
+        region: PINECONE_INDEX_REGION,
+      });
+      break;
+    case 'local':
+      vectorStore = createLocalStore({ filePath: path.resolve(LOCAL_VECTOR_STORE_PATH) });
+      break;
+    default:
+      throw new Error(`Unknown VECTOR_STORE '${VECTOR_STORE}' (expected 'pinecone' or 'local')`);
+  }
+
+  logger.info('Using vector store', { vectorStore: vectorStore.name, index: VECTOR_INDEX_NAME });
+  return vectorStore;
+}
+
+module.exports = {
+  getVectorStore,
+  VECTOR_INDEX_NAME,
+};
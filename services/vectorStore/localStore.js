@@ -0,0 +1,257 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../../utils/logger');
+
+const DEFAULT_NAMESPACE = '__default__';
+
+// Embedded vector store that keeps everything in memory, persists it to a
+// single JSON file and answers queries with an exact cosine scan. Meant for
+// dev machines and air-gapped installs, not for millions of vectors.
+function createLocalStore({ filePath }) {
+  let state; // { dimension, metric, namespaces: { [ns]: { [id]: { values: Float32Array, metadata } } } }
+  let writeChain = Promise.resolve();
+
+  function load() {
+    if (state) {
+      return state;
+    }
+
+    const loaded = { dimension: null, metric: 'cosine', namespaces: {} };
+    if (fs.existsSync(filePath)) {
+      // A file that does not parse stays unloaded, so no persist() can overwrite it
+      try {
+        const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        loaded.dimension = raw.dimension;
+        loaded.metric = raw.metric || 'cosine';
+        for (const [namespace, records] of Object.entries(raw.namespaces || {})) {
+          loaded.namespaces[namespace] = {};
+          for (const [id, record] of Object.entries(records)) {
+            loaded.namespaces[namespace][id] = {
+              values: decodeVector(record.values),
+              metadata: record.metadata || {},
+            };
+          }
+        }
+      } catch (error) {
+        logger.error('Could not read the local vector store', { filePath, error });
+        throw new Error(`Local vector store at ${filePath} is unreadable (${error.message}); restore or remove the file`);
+      }
+      logger.info('Loaded local vector store', { filePath });
+    }
+    state = loaded;
+    return state;
+  }
+
+  // Writes are serialized and go through a temp file so a crash never leaves half a file.
+  // A failed write only rejects its own caller; the next write starts afresh.
+  function persist() {
+    const write = writeChain.catch(() => {}).then(async () => {
+      const serialized = { dimension: state.dimension, metric: state.metric, namespaces: {} };
+      for (const [namespace, records] of Object.entries(state.namespaces)) {
+        serialized.namespaces[namespace] = {};
+        for (const [id, record] of Object.entries(records)) {
+          serialized.namespaces[namespace][id] = {
+            values: encodeVector(record.values),
+            metadata: record.metadata,
+          };
+        }
+      }
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify(serialized));
+      await fs.promises.rename(tempPath, filePath);
+    });
+    writeChain = write;
+    return write;
+  }
+
+  function getNamespace(namespace, create = false) {
+    const key = namespace || DEFAULT_NAMESPACE;
+    const { namespaces } = load();
+    if (!namespaces[key] && create) {
+      namespaces[key] = {};
+    }
+    return namespaces[key] || {};
+  }
+
+  async function ensureIndex({ dimension, metric }) {
+    const current = load();
+    if (current.dimension && current.dimension !== dimension) {
+      throw new Error(`Local vector store at ${filePath} has dimension ${current.dimension}, expected ${dimension}`);
+    }
+    if (!current.dimension) {
+      current.dimension = dimension;
+      current.metric = metric;
+      await persist();
+      logger.info('Local vector store initialised', { filePath, dimension, metric });
+    }
+  }
+
+  async function upsert(vectors, { namespace } = {}) {
+    const records = getNamespace(namespace, true);
+    for (const vector of vectors) {
+      records[vector.id] = {
+        values: normalize(Float32Array.from(vector.values)),
+        metadata: vector.metadata || {},
+      };
+    }
+    await persist();
+  }
+
+  async function query({ vector, topK, filter, namespace, includeMetadata = true }) {
+    const queryVector = normalize(Float32Array.from(vector));
+    const matches = [];
+
+    for (const [id, record] of Object.entries(getNamespace(namespace))) {
+      if (filter && !matchesFilter(record.metadata, filter)) {
+        continue;
+      }
+      matches.push({
+        id,
+        score: dotProduct(queryVector, record.values),
+        metadata: includeMetadata ? record.metadata : undefined,
+      });
+    }
+
+    matches.sort((a, b) => b.score - a.score);
+    return { matches: matches.slice(0, topK) };
+  }
+
+  async function deleteMany({ ids, filter, namespace }) {
+    const records = getNamespace(namespace);
+    const idsToDelete = ids || Object.keys(records).filter(id => matchesFilter(records[id].metadata, filter || {}));
+    for (const id of idsToDelete) {
+      delete records[id];
+    }
+    await persist();
+  }
+
+  async function fetch(ids, { namespace } = {}) {
+    const records = getNamespace(namespace);
+    const fetched = {};
+    for (const id of ids) {
+      if (records[id]) {
+        fetched[id] = { id, values: Array.from(records[id].values), metadata: records[id].metadata };
+      }
+    }
+    return { records: fetched };
+  }
+
+  // The token is simply the offset into the sorted IDs
+  async function listIds({ namespace, limit = 100, paginationToken } = {}) {
+    const ids = Object.keys(getNamespace(namespace)).sort();
+    const offset = Number(paginationToken) || 0;
+    const nextOffset = offset + limit;
+    return {
+      ids: ids.slice(offset, nextOffset),
+      paginationToken: nextOffset < ids.length ? String(nextOffset) : undefined,
+    };
+  }
+
+  async function updateMetadata(ids, metadata, { namespace } = {}) {
+    const records = getNamespace(namespace);
+    for (const id of ids) {
+      if (records[id]) {
+        records[id].metadata = { ...records[id].metadata, ...metadata };
+      }
+    }
+    await persist();
+  }
+
+  return {
+    name: 'local',
+    ensureIndex,
+    upsert,
+    query,
+    deleteMany,
+    fetch,
+    listIds,
+    updateMetadata,
+  };
+}
+
+// ===== HELPER FUNCTIONS =====
+
+function encodeVector(values) {
+  return Buffer.from(values.buffer, values.byteOffset, values.byteLength).toString('base64');
+}
+
+function decodeVector(encoded) {
+  const buffer = Buffer.from(encoded, 'base64');
+  // Copy into an aligned buffer before viewing it as floats
+  return new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+}
+
+// Vectors are stored unit-length so cosine similarity is a plain dot product
+function normalize(values) {
+  let norm = 0;
+  for (let i = 0; i < values.length; i++) {
+    norm += values[i] * values[i];
+  }
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < values.length; i++) {
+      values[i] /= norm;
+    }
+  }
+  return values;
+}
+
+function dotProduct(a, b) {
+  let sum = 0;
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+// Supports the subset of Pinecone's metadata filter language we rely on:
+// plain equality, $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $exists, $and, $or
+function matchesFilter(metadata, filter) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') {
+      return condition.every(subFilter => matchesFilter(metadata, subFilter));
+    }
+    if (key === '$or') {
+      return condition.some(subFilter => matchesFilter(metadata, subFilter));
+    }
+
+    const value = metadata[key];
+    if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+      return matchesValue(value, '$eq', condition);
+    }
+    return Object.entries(condition).every(([operator, operand]) => matchesValue(value, operator, operand));
+  });
+}
+
+function matchesValue(value, operator, operand) {
+  // Array metadata matches when any of its items match, as in Pinecone
+  const values = Array.isArray(value) ? value : [value];
+
+  switch (operator) {
+    case '$eq':
+      return values.includes(operand);
+    case '$ne':
+      return !values.includes(operand);
+    case '$in':
+      return values.some(item => operand.includes(item));
+    case '$nin':
+      return !values.some(item => operand.includes(item));
+    case '$gt':
+      return value > operand;
+    case '$gte':
+      return value >= operand;
+    case '$lt':
+      return value < operand;
+    case '$lte':
+      return value <= operand;
+    case '$exists':
+      return (value !== undefined) === Boolean(operand);
+    default:
+      throw new Error(`Unsupported metadata filter operator '${operator}'`);
+  }
+}
+
+module.exports = createLocalStore;
@@ -0,0 +1,114 @@
+const { Pinecone } = require('@pinecone-database/pinecone');
+const { logger } = require('../../utils/logger');
+
+// Metadata updates in flight at once (Pinecone has no batch update)
+const UPDATE_CONCURRENCY = Number(process.env.PINECONE_UPDATE_CONCURRENCY) || 20;
+
+// Pinecone adapter for the vector store interface (see ./index.js)
+function createPineconeStore({ apiKey, indexName, region }) {
+  let pineconeClient;
+
+  // The client is created lazily so a missing key only fails when Pinecone is actually used
+  function getClient() {
+    if (!pineconeClient) {
+      pineconeClient = new Pinecone({ apiKey });
+    }
+    return pineconeClient;
+  }
+
+  function getIndex(namespace) {
+    const pineconeIndex = getClient().Index(indexName);
+    return namespace ? pineconeIndex.namespace(namespace) : pineconeIndex;
+  }
+
+  async function ensureIndex({ dimension, metric }) {
+    const indexList = await getClient().listIndexes();
+    const indexExists = indexList.indexes?.some(
+      (index) => index.name === indexName
+    );
+
+    if (!indexExists) {
+      logger.info('Creating Pinecone index', { index: indexName, dimension, metric });
+      await getClient().createIndex({
+        name: indexName,
+        dimension: dimension,
+        metric: metric,
+        spec: {
+          serverless: {
+            cloud: "aws",
+            region: region,
+          },
+        },
+      });
+      logger.info('Pinecone index created', { index: indexName });
+      
+      // Wait a bit for index to be ready
+      await new Promise(resolve => setTimeout(resolve, 10000));
+    } else {
+      logger.debug('Pinecone index already exists', { index: indexName });
+    }
+  }
+
+  async function upsert(vectors, { namespace } = {}) {
+    await getIndex(namespace).upsert(vectors);
+  }
+
+  async function query({ vector, topK, filter, namespace, includeMetadata = true }) {
+    const searchResults = await getIndex(namespace).query({
+      vector: Array.from(vector),
+      topK,
+      filter,
+      includeMetadata,
+    });
+    return { matches: searchResults.matches || [] };
+  }
+
+  async function deleteMany({ ids, filter, namespace }) {
+    if (ids) {
+      if (ids.length > 0) {
+        await getIndex(namespace).deleteMany(ids);
+      }
+      return;
+    }
+    await getIndex(namespace).deleteMany(filter);
+  }
+
+  async function fetch(ids, { namespace } = {}) {
+    const response = await getIndex(namespace).fetch(ids);
+    return { records: response.records || {} };
+  }
+
+  // Needs a serverless index; paginationToken is undefined after the last page
+  async function listIds({ namespace, limit = 100, paginationToken } = {}) {
+    const response = await getIndex(namespace).listPaginated({ limit, paginationToken });
+    return {
+      ids: (response.vectors || []).map(vector => vector.id),
+      paginationToken: response.pagination?.next,
+    };
+  }
+
+  // Pinecone updates one vector per request, so a few run side by side
+  async function updateMetadata(ids, metadata, { namespace } = {}) {
+    const index = getIndex(namespace);
+    let next = 0;
+    const updateNext = async () => {
+      while (next < ids.length) {
+        await index.update({ id: ids[next++], metadata });
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(UPDATE_CONCURRENCY, ids.length) }, updateNext));
+  }
+
+  return {
+    name: 'pinecone',
+    ensureIndex,
+    upsert,
+    query,
+    deleteMany,
+    fetch,
+    listIds,
+    updateMetadata,
+  };
+}
+
+module.exports = createPineconeStore;
@@ -0,0 +1,66 @@
+const Organization = require('../models/organizations');
+const Membership = require('../models/memberships');
+const { logger } = require('../utils/logger');
+
+/**
+ * Creates a workspace with `owner` as its first (owner) member. A workspace
+ * whose membership cannot be created is removed again.
+ */
+async function createOrganization({ name, owner }) {
+  const organization = await Organization.create({ name, owner: owner._id });
+  try {
+    await Membership.create({ organization: organization._id, user: owner._id, role: 'owner' });
+  } catch (error) {
+    await deleteOrganization(organization._id);
+    throw error;
+  }
+  logger.info('Workspace created', { organizationId: organization._id, userId: owner._id });
+  return organization;
+}
+
+/**
+ * Returns the workspace a user works in by default, falling back to their
+ * oldest membership and finally creating a personal workspace for accounts
+ * that predate workspaces.
+ */
+async function ensureDefaultWorkspace(user) {
+  if (user.defaultOrganization) {
+    const membership = await Membership.findOne({ organization: user.defaultOrganization, user: user._id });
+    if (membership) {
+      return user.defaultOrganization;
+    }
+  }
+
+  const oldestMembership = await Membership.findOne({ user: user._id }).sort({ createdAt: 1 });
+  const organizationId = oldestMembership
+    ? oldestMembership.organization
+    : (await createOrganization({ name: user.company || `${user.name}'s workspace`, owner: user }))._id;
+
+  user.defaultOrganization = organizationId;
+  await user.save();
+  return organizationId;
+}
+
+/**
+ * Removes a workspace and its memberships. Only for undoing a workspace that
+ * was just created; it does not touch documents, vectors or invitations.
+ */
+async function deleteOrganization(organizationId) {
+  await Membership.deleteMany({ organization: organizationId });
+  await Organization.deleteOne({ _id: organizationId });
+}
+
+// Where a workspace's chunks live in the vector store and keyword index
+function getWorkspaceScope(organization) {
+  return {
+    organizationId: organization._id.toString(),
+    namespace: organization.vectorNamespace,
+  };
+}
+
+module.exports = {
+  createOrganization,
+  deleteOrganization,
+  ensureDefaultWorkspace,
+  getWorkspaceScope,
+};
@@ -0,0 +1,136 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  LEGACY_FONT_MAP,
+  foldMtavruli,
+  normalizePunctuation,
+  detectLegacyEncoding,
+  convertLegacyText,
+  normalizeGeorgianText,
+  normalizeQueryText,
+  measureScripts,
+} = require('../services/georgianText');
+
+describe('legacy font conversion', () => {
+  test('converts a whole AcadNusx text', () => {
+    const { text, stats } = normalizeGeorgianText('saqarTvelos kanoni gadasaxadebis Sesaxeb da misi Semdegi muxli');
+
+    assert.equal(text, 'საქართველოს კანონი გადასახადების შესახებ და მისი შემდეგი მუხლი');
+    assert.equal(stats.legacyWordsConverted, 8);
+    assert.equal(stats.legacyLinesConverted, 1);
+  });
+
+  test('maps every key of the AcadNusx/AcadMtavr layout to one Georgian letter', () => {
+    const keys = Object.keys(LEGACY_FONT_MAP).join('');
+    const { text, convertedWords } = convertLegacyText(keys, { force: true });
+
+    assert.equal(convertedWords, 1);
+    assert.equal([...text].length, keys.length);
+    assert.equal(measureScripts(text).georgian, 1);
+  });
+
+  test('converts only the legacy lines of a mixed text', () => {
+    const english = 'This agreement is signed by Acme LLC and the buyer on the date.';
+    const contact = 'Contact info@acme.ge or https://acme.ge/terms for case A-12/2023.';
+    const { text, convertedLines } = convertLegacyText([
+      english,
+      'xelSekruleba dadebulia TbilisSi da ZalaSi Sedis xelmowerisTanave',
+      contact,
+    ].join('\n'));
+
+    assert.deepEqual(text.split('\n'), [
+      english,
+      'ხელშეკრულება დადებულია თბილისში და ძალაში შედის ხელმოწერისთანავე',
+      contact,
+    ]);
+    assert.equal(convertedLines, 1);
+  });
+
+  test('short lines follow the decision made for the whole text', () => {
+    const { text } = convertLegacyText('saqarTvelos kanoni da misi muxli\nmuxli 5');
+
+    assert.equal(text, 'საქართველოს კანონი და მისი მუხლი\nმუხლი 5');
+  });
+
+  test('leaves English text untouched, including codes, emails and URLs', () => {
+    const samples = [
+      'The parties agree that the invoice number A-12/2023 issued by Acme LLC is final.',
+      'Email me at nino@example.com, see www.example.com and http://test.ge/path today.',
+      'Payment is due within thirty days of receiving the invoice from the supplier.',
+    ];
+
+    for (const sample of samples) {
+      assert.equal(detectLegacyEncoding(sample).isLegacy, false, sample);
+      assert.deepEqual(convertLegacyText(sample), { text: sample, convertedWords: 0, convertedLines: 0 });
+      assert.equal(normalizeGeorgianText(sample).text, sample);
+    }
+  });
+
+  test('keeps codes, emails and URLs inside a converted line', () => {
+    const { text } = convertLegacyText('kompania Acme LLC, saqme A-12/2023, info@acme.ge', { force: true });
+
+    assert.equal(text, 'კომპანია Acme LLC, საქმე A-12/2023, info@acme.ge');
+  });
+
+  test('can be turned off or forced', () => {
+    assert.equal(normalizeGeorgianText('saqarTvelo da misi', { legacy: false }).text, 'saqarTvelo da misi');
+    assert.equal(normalizeGeorgianText('kanoni', { legacy: true }).text, 'კანონი');
+    assert.equal(normalizeGeorgianText('kanoni').text, 'kanoni');
+  });
+});
+
+describe('Mtavruli folding', () => {
+  test('folds Mtavruli capitals onto Mkhedruli', () => {
+    assert.equal(foldMtavruli('ᲡᲐᲥᲐᲠᲗᲕᲔᲚᲝ'), 'საქართველო');
+    assert.equal(foldMtavruli('Ჯარიმა'), 'ჯარიმა');
+    assert.equal(foldMtavruli('already ჯარიმა'), 'already ჯარიმა');
+  });
+
+  test('counts the folded letters', () => {
+    const { text, stats } = normalizeGeorgianText('ᲡᲐᲥᲐᲠᲗᲕᲔᲚᲝ და ᲗᲑᲘᲚᲘᲡᲘ');
+
+    assert.equal(text, 'საქართველო და თბილისი');
+    assert.equal(stats.mtavruliFolded, 17);
+  });
+});
+
+describe('punctuation cleanup', () => {
+  test('unifies quotes and dashes and drops invisible characters', () => {
+    assert.equal(normalizePunctuation('“double” «angle» ‘single’'), '"double" "angle" \'single\'');
+    assert.equal(normalizePunctuation('a–b — c−d ‐ e'), 'a-b - c-d - e');
+    assert.equal(normalizePunctuation('soft\u00ADhyphen zero\u200Bwidth \uFEFFbom join\u2060ed'), 'softhyphen zerowidth bom joined');
+  });
+
+  test('counts every replaced character', () => {
+    const { text, stats } = normalizeGeorgianText('“quoted” ‘single’ a–b — c−d soft\u00ADhyphen zero\u200Bwidth \uFEFFbom');
+
+    assert.equal(text, '"quoted" \'single\' a-b - c-d softhyphen zerowidth bom');
+    assert.deepEqual(stats, {
+      legacyWordsConverted: 0,
+      legacyLinesConverted: 0,
+      mtavruliFolded: 0,
+      punctuationNormalized: 10,
+    });
+  });
+
+  test('reports no changes for clean text', () => {
+    const { stats } = normalizeGeorgianText('საქართველოს კანონი "გადასახადების" შესახებ - მუხლი 5');
+
+    assert.deepEqual(stats, { legacyWordsConverted: 0, legacyLinesConverted: 0, mtavruliFolded: 0, punctuationNormalized: 0 });
+  });
+});
+
+describe('normalizeQueryText', () => {
+  test('folds Mtavruli and cleans punctuation', () => {
+    assert.equal(normalizeQueryText('ᲡᲐᲥᲐᲠᲗᲕᲔᲚᲝ «ჯარიმა» — ვადა\u200B'), 'საქართველო "ჯარიმა" - ვადა');
+  });
+
+  test('does not try to detect a legacy font in a short query', () => {
+    assert.equal(normalizeQueryText('saqarTvelos kanoni da misi'), 'saqarTvelos kanoni da misi');
+  });
+
+  test('applies NFC and tolerates empty input', () => {
+    assert.equal(normalizeQueryText('cafe\u0301'), 'caf\u00e9');
+    assert.equal(normalizeQueryText(undefined), '');
+  });
+});
@@ -0,0 +1,47 @@
+// Replaces @xenova/transformers with a deterministic stand-in so tests never
+// download or run the embedding and reranking models. Require this before any
+// service module. Texts are embedded as normalized bags of hashed words, so
+// texts sharing words are similar and the same text always gets the same vector.
+const Module = require('module');
+
+const DIMENSION = 1024;
+
+function embed(text) {
+  const vector = new Float32Array(DIMENSION);
+  for (const word of String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean)) {
+    let hash = 0;
+    for (const character of word) {
+      hash = (hash * 31 + character.codePointAt(0)) >>> 0;
+    }
+    vector[hash % DIMENSION] += 1;
+  }
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / norm);
+}
+
+const fakeTransformers = {
+  env: {},
+  pipeline: async () => async (input) => {
+    const texts = Array.isArray(input) ? input : [input];
+    return {
+      dims: [texts.length, DIMENSION],
+      data: Float32Array.from(texts.flatMap(text => Array.from(embed(text)))),
+    };
+  },
+  AutoTokenizer: {
+    from_pretrained: async () => (queries, { text_pair: passages }) => ({ queries, passages }),
+  },
+  AutoModelForSequenceClassification: {
+    from_pretrained: async () => async ({ passages }) => ({
+      logits: { sigmoid: () => ({ tolist: () => passages.map(passage => [1 / (1 + passage.length)]) }) },
+    }),
+  },
+};
+
+const resolved = require.resolve('@xenova/transformers');
+const fakeModule = new Module(resolved);
+fakeModule.exports = fakeTransformers;
+fakeModule.loaded = true;
+require.cache[resolved] = fakeModule;
+
+module.exports = { embed };
@@ -0,0 +1,114 @@
+// Backs a Mongoose model with an in-memory array so services can be tested
+// without a MongoDB server. Supports the queries the services use: equality
+// (matching array members too), $eq, $ne, $in, $nin and $exists,
+// find().sort().limit().lean() (sorting on one field),
+// countDocuments, insertMany, updateMany with $set, deleteMany and a
+// $match + $group aggregate with $sum and $avg.
+
+function isOperatorObject(condition) {
+  return (
+    condition !== null &&
+    typeof condition === 'object' &&
+    !Array.isArray(condition) &&
+    !condition._bsontype &&
+    Object.keys(condition).every(key => key.startsWith('$'))
+  );
+}
+
+function sameValue(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return a === b || (a ?? null) === (b ?? null);
+  }
+  return String(a) === String(b);
+}
+
+function equals(value, operand) {
+  return Array.isArray(value) ? value.some(item => sameValue(item, operand)) : sameValue(value, operand);
+}
+
+function matchesOperator(value, operator, operand) {
+  switch (operator) {
+    case '$eq':
+      return equals(value, operand);
+    case '$ne':
+      return !equals(value, operand);
+    case '$in':
+      return operand.some(item => equals(value, item));
+    case '$nin':
+      return !operand.some(item => equals(value, item));
+    case '$exists':
+      return (value !== undefined) === Boolean(operand);
+    default:
+      throw new Error(`Unsupported operator ${operator}`);
+  }
+}
+
+function matches(record, filter = {}) {
+  return Object.entries(filter).every(([field, condition]) =>
+    isOperatorObject(condition)
+      ? Object.entries(condition).every(([operator, operand]) => matchesOperator(record[field], operator, operand))
+      : equals(record[field], condition)
+  );
+}
+
+function groupValue(records, accumulator) {
+  const [[operator, expression]] = Object.entries(accumulator);
+  const values = records.map(record => (typeof expression === 'string' ? record[expression.slice(1)] : expression));
+  const sum = values.reduce((total, value) => total + value, 0);
+  return operator === '$avg' ? sum / values.length : sum;
+}
+
+function installInMemoryModel(Model) {
+  const records = [];
+
+  Object.assign(Model, {
+    find(filter) {
+      let limit = Infinity;
+      let compare = () => 0;
+      const query = {
+        sort(order) {
+          const [[field, direction]] = Object.entries(order);
+          compare = (a, b) => (String(a[field]) < String(b[field]) ? -direction : String(a[field]) > String(b[field]) ? direction : 0);
+          return query;
+        },
+        limit(count) {
+          limit = count;
+          return query;
+        },
+        lean: async () => records.filter(record => matches(record, filter)).sort(compare).slice(0, limit),
+      };
+      return query;
+    },
+    countDocuments: async filter => records.filter(record => matches(record, filter)).length,
+    insertMany: async entries => {
+      const created = entries.map(entry => new Model(entry).toObject());
+      records.push(...created);
+      return created;
+    },
+    updateMany: async (filter, { $set }) => {
+      const matched = records.filter(record => matches(record, filter));
+      matched.forEach(record => Object.assign(record, $set));
+      return { matchedCount: matched.length, modifiedCount: matched.length };
+    },
+    deleteMany: async filter => {
+      const before = records.length;
+      records.splice(0, records.length, ...records.filter(record => !matches(record, filter)));
+      return { deletedCount: before - records.length };
+    },
+    aggregate: async ([{ $match }, { $group }]) => {
+      const matched = records.filter(record => matches(record, $match));
+      if (matched.length === 0) {
+        return [];
+      }
+      const { _id, ...accumulators } = $group;
+      return [{
+        _id,
+        ...Object.fromEntries(Object.entries(accumulators).map(([name, accumulator]) => [name, groupValue(matched, accumulator)])),
+      }];
+    },
+  });
+
+  return records;
+}
+
+module.exports = { installInMemoryModel };
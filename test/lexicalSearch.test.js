@@ -0,0 +1,50 @@
+// BM25 keyword search over more matching chunks than it loads at once
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const mongoose = require('mongoose');
+const LexicalChunk = require('../models/lexicalChunks');
+const { installInMemoryModel } = require('./helpers/inMemoryModel');
+const lexicalIndex = require('../services/lexical');
+
+installInMemoryModel(LexicalChunk);
+
+// More chunks than searchChunks scores at once all mention "payment"
+const COMMON_CHUNKS = 2100;
+const QUERY = 'payment penalty';
+
+const organization = new mongoose.Types.ObjectId();
+const owner = new mongoose.Types.ObjectId();
+const commonDocument = { _id: new mongoose.Types.ObjectId(), owner, organization, filename: 'invoices.txt' };
+const penaltyDocument = { _id: new mongoose.Types.ObjectId(), owner, organization, filename: 'contract.txt' };
+
+before(async () => {
+  const chunks = Array.from({ length: COMMON_CHUNKS }, (_, chunkIndex) => ({
+    id: `invoice-${chunkIndex}`,
+    text: `Invoice ${chunkIndex} lists the payment terms agreed with the supplier.`,
+    chunkIndex,
+  }));
+  await lexicalIndex.indexDocumentChunks(commonDocument, chunks);
+  // Indexed last, so it is not among the first chunks in storage order
+  await lexicalIndex.indexDocumentChunks(penaltyDocument, [
+    { id: 'penalty-clause', text: 'A late payment carries a penalty of five percent.', chunkIndex: 0 },
+  ]);
+});
+
+test('finds the chunk with the rare term among thousands matching a common one', async () => {
+  const [best] = await lexicalIndex.searchChunks({ organizationId: organization, query: QUERY, topK: 5 });
+
+  assert.equal(best.chunkId, 'penalty-clause');
+});
+
+test('returns the same results on every run', async () => {
+  const first = await lexicalIndex.searchChunks({ organizationId: organization, query: 'payment terms', topK: 10 });
+  const second = await lexicalIndex.searchChunks({ organizationId: organization, query: 'payment terms', topK: 10 });
+
+  assert.equal(first.length, 10);
+  assert.deepEqual(second, first);
+});
+
+test('returns nothing when no chunk holds a query term', async () => {
+  assert.deepEqual(await lexicalIndex.searchChunks({ organizationId: organization, query: 'arbitration', topK: 5 }), []);
+});
@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const createLocalStore = require('../services/vectorStore/localStore');
+
+function tempStorePath(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'vectors.json');
+}
+
+test('keeps vectors across a reload', async (t) => {
+  const filePath = tempStorePath(t);
+  const store = createLocalStore({ filePath });
+  await store.ensureIndex({ dimension: 2, metric: 'cosine' });
+  await store.upsert([{ id: 'a', values: [1, 0], metadata: { documentId: 'd1' } }], { namespace: 'ws' });
+
+  const { records } = await createLocalStore({ filePath }).fetch(['a'], { namespace: 'ws' });
+  assert.deepEqual(records.a.metadata, { documentId: 'd1' });
+});
+
+test('refuses to read or overwrite a corrupt file', async (t) => {
+  const filePath = tempStorePath(t);
+  const store = createLocalStore({ filePath });
+  await store.ensureIndex({ dimension: 2, metric: 'cosine' });
+  await store.upsert([{ id: 'a', values: [1, 0] }], { namespace: 'ws' });
+  const truncated = fs.readFileSync(filePath, 'utf8').slice(0, 20);
+  fs.writeFileSync(filePath, truncated);
+
+  const reopened = createLocalStore({ filePath });
+  await assert.rejects(reopened.ensureIndex({ dimension: 2, metric: 'cosine' }), /unreadable/);
+  await assert.rejects(reopened.upsert([{ id: 'b', values: [0, 1] }], { namespace: 'ws' }), /unreadable/);
+  await assert.rejects(reopened.deleteMany({ ids: ['a'], namespace: 'ws' }), /unreadable/);
+  assert.equal(fs.readFileSync(filePath, 'utf8'), truncated);
+});
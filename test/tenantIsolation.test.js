@@ -0,0 +1,163 @@
+// Tenant isolation: a workspace's searches never return another workspace's
+// chunks, whatever namespace and organizationId filter the vectors ended up
+// with. Runs against the local vector store and the BM25 index.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+require('./helpers/fakeTransformers');
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tenant-isolation-'));
+process.env.VECTOR_STORE = 'local';
+process.env.LOCAL_VECTOR_STORE_PATH = path.join(storeDir, 'vectors.json');
+process.env.RERANK_ENABLED = 'false';
+
+const mongoose = require('mongoose');
+const Organization = require('../models/organizations');
+const LexicalChunk = require('../models/lexicalChunks');
+const { installInMemoryModel } = require('./helpers/inMemoryModel');
+const { getVectorStore } = require('../services/vectorStore');
+const { EMBEDDING_DIMENSION, embedTexts } = require('../services/embeddings');
+const lexicalIndex = require('../services/lexical');
+const { generateQueryEmbedding, searchSimilarChunks, retrieveChunks } = require('../services/ragService');
+const { getWorkspaceScope } = require('../services/workspaceService');
+
+installInMemoryModel(LexicalChunk);
+
+// Both workspaces hold a contract with the same wording, so only scoping keeps them apart
+const CONTRACT_TEXT = [
+  'The supplier pays a penalty of five percent for each day of late delivery.',
+  'Payment is due within thirty days of receiving the invoice.',
+];
+const QUERY = 'penalty for late delivery';
+
+const workspaces = {};
+
+async function seedWorkspace(label) {
+  const owner = new mongoose.Types.ObjectId();
+  const organization = new Organization({ name: `Workspace ${label}`, owner });
+  await organization.validate();
+  const document = { _id: new mongoose.Types.ObjectId(), owner, organization: organization._id, filename: `contract-${label}.txt` };
+  const chunks = CONTRACT_TEXT.map((text, chunkIndex) => ({ id: `${label}-chunk-${chunkIndex}`, text, chunkIndex }));
+
+  workspaces[label] = { organization, document, scope: getWorkspaceScope(organization), chunkIds: chunks.map(chunk => chunk.id) };
+  await lexicalIndex.indexDocumentChunks(document, chunks);
+  return { document, chunks };
+}
+
+// Writes vectors the way ingestion does, into any namespace with any organizationId
+async function upsertVectors({ document, chunks }, { namespace, organizationId, idPrefix = '' }) {
+  const vectors = await embedTexts(chunks.map(chunk => chunk.text));
+  await getVectorStore().upsert(chunks.map((chunk, index) => ({
+    id: `${idPrefix}${chunk.id}`,
+    values: Array.from(vectors[index]),
+    metadata: {
+      organizationId,
+      documentId: document._id.toString(),
+      filename: document.filename,
+      text: chunk.text,
+      chunkId: `${idPrefix}${chunk.id}`,
+      superseded: false,
+    },
+  })), { namespace });
+}
+
+function assertOnlyWorkspace(chunks, label) {
+  const { document } = workspaces[label];
+  assert.ok(chunks.length > 0, `workspace ${label} should find its own chunks`);
+  for (const chunk of chunks) {
+    assert.equal(chunk.documentId, document._id.toString(), `chunk ${chunk.chunkId} belongs to another workspace`);
+  }
+}
+
+before(async () => {
+  await getVectorStore().ensureIndex({ dimension: EMBEDDING_DIMENSION, metric: 'cosine' });
+  const seededA = await seedWorkspace('A');
+  const seededB = await seedWorkspace('B');
+  const { A, B } = workspaces;
+
+  // Each workspace in its own namespace, tagged with its own organizationId
+  await upsertVectors(seededA, { namespace: A.scope.namespace, organizationId: A.scope.organizationId });
+  await upsertVectors(seededB, { namespace: B.scope.namespace, organizationId: B.scope.organizationId });
+  // B's vectors misfiled into A's namespace and into the default namespace
+  await upsertVectors(seededB, { namespace: A.scope.namespace, organizationId: B.scope.organizationId, idPrefix: 'misfiled-' });
+  await upsertVectors(seededB, { namespace: undefined, organizationId: B.scope.organizationId, idPrefix: 'legacy-' });
+});
+
+after(() => {
+  fs.rmSync(storeDir, { recursive: true, force: true });
+});
+
+test('vector search only returns the workspace\'s own chunks', async () => {
+  const queryEmbedding = await generateQueryEmbedding(QUERY);
+
+  for (const label of ['A', 'B']) {
+    const chunks = await searchSimilarChunks(queryEmbedding, workspaces[label].scope, 20);
+    assertOnlyWorkspace(chunks, label);
+  }
+});
+
+test('vectors misfiled under another namespace are filtered by organizationId', async () => {
+  const queryEmbedding = await generateQueryEmbedding(QUERY);
+  const { A, B } = workspaces;
+
+  // A's namespace holds B's misfiled vectors; B's namespace only B's own
+  const inOwnNamespace = await searchSimilarChunks(queryEmbedding, A.scope, 20);
+  assert.ok(inOwnNamespace.every(chunk => !chunk.chunkId.startsWith('misfiled-')));
+
+  const inOtherNamespace = await searchSimilarChunks(queryEmbedding, { organizationId: A.scope.organizationId, namespace: B.scope.namespace }, 20);
+  assert.deepEqual(inOtherNamespace, []);
+});
+
+test('an organizationId filter alone does not reach other namespaces', async () => {
+  const queryEmbedding = await generateQueryEmbedding(QUERY);
+  const { B } = workspaces;
+
+  // B's legacy vectors in the default namespace stay out of B's namespaced search too
+  const chunks = await searchSimilarChunks(queryEmbedding, B.scope, 20);
+  assert.ok(chunks.every(chunk => !chunk.chunkId.startsWith('legacy-')));
+  assertOnlyWorkspace(chunks, 'B');
+});
+
+test('vector search refuses to run without a workspace scope', async () => {
+  const queryEmbedding = await generateQueryEmbedding(QUERY);
+  const { A } = workspaces;
+
+  await assert.rejects(searchSimilarChunks(queryEmbedding, { namespace: A.scope.namespace }, 5), /workspace scope/);
+  await assert.rejects(searchSimilarChunks(queryEmbedding, { organizationId: A.scope.organizationId }, 5), /workspace scope/);
+  await assert.rejects(searchSimilarChunks(queryEmbedding, undefined, 5), /workspace scope/);
+});
+
+test('keyword search only returns the workspace\'s own chunks', async () => {
+  for (const label of ['A', 'B']) {
+    const matches = await lexicalIndex.searchChunks({ organizationId: workspaces[label].scope.organizationId, query: QUERY, topK: 20 });
+    assertOnlyWorkspace(matches, label);
+  }
+
+  await assert.rejects(lexicalIndex.searchChunks({ query: QUERY, topK: 5 }), /requires a workspace/);
+});
+
+test('naming another workspace\'s document does not widen the search', async () => {
+  const { A, B } = workspaces;
+  const documentIds = [B.document._id.toString()];
+
+  assert.deepEqual(await lexicalIndex.searchChunks({ organizationId: A.scope.organizationId, query: QUERY, topK: 20, documentIds }), []);
+  const queryEmbedding = await generateQueryEmbedding(QUERY);
+  assert.deepEqual(await searchSimilarChunks(queryEmbedding, A.scope, 20, { documentIds }), []);
+  assert.deepEqual(await retrieveChunks(QUERY, A.scope, { maxResults: 10, mode: 'hybrid', documentIds }), []);
+});
+
+for (const mode of ['vector', 'keyword', 'hybrid']) {
+  test(`retrieveChunks in ${mode} mode only returns the workspace's own chunks`, async () => {
+    for (const label of ['A', 'B']) {
+      const chunks = await retrieveChunks(QUERY, workspaces[label].scope, { maxResults: 10, mode, allVersions: true });
+      assertOnlyWorkspace(chunks, label);
+    }
+  });
+}
+
+test('retrieveChunks with reranking only returns the workspace\'s own chunks', async () => {
+  const chunks = await retrieveChunks(QUERY, workspaces.A.scope, { maxResults: 2, mode: 'hybrid', rerank: true, candidatePool: 10 });
+  assertOnlyWorkspace(chunks, 'A');
+});
@@ -0,0 +1,27 @@
+// Minimal Cookie header parsing (the app does not use cookie-parser)
+
+/**
+ * Returns the value of cookie `name` from the request, or undefined.
+ */
+function getCookie(req, name) {
+  const header = req.headers.cookie;
+  if (!header) {
+    return undefined;
+  }
+
+  for (const pair of header.split(';')) {
+    const separator = pair.indexOf('=');
+    if (separator === -1 || pair.slice(0, separator).trim() !== name) {
+      continue;
+    }
+    const value = pair.slice(separator + 1).trim().replace(/^"(.*)"$/, '$1');
+    try {
+      return decodeURIComponent(value);
+    } catch {
+      return value;
+    }
+  }
+  return undefined;
+}
+
+module.exports = { getCookie };
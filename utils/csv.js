@@ -0,0 +1,30 @@
+// Minimal CSV writing for exports (RFC 4180, CRLF line endings)
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Quotes a value for a CSV cell. null and undefined become empty cells, and
+ * text that a spreadsheet would treat as a formula is prefixed with a quote.
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes `rows` (objects) as CSV with one column per entry of `columns`.
+ */
+function toCsv(columns, rows) {
+  const lines = [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(values => values.map(escapeCsvValue).join(','));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = { escapeCsvValue, toCsv };
@@ -0,0 +1,116 @@
+// Leveled JSON logger. Every line is one JSON object on stdout:
+//   {"time":"...","level":"info","msg":"...","requestId":"...", ...fields}
+// Lines written while a request is handled carry its request ID (see
+// middleware/requestContext.js). Secrets are always redacted; PII fields listed
+// in LOG_REDACT_FIELDS (comma-separated, e.g. "email,name") are redacted too.
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+
+const REDACTED = '[REDACTED]';
+// Field names holding secrets: passwords, tokens (but not token counts like totalTokens), keys
+const SECRET_KEY_PATTERN = /password|passwd|secret|authorization|cookie|credential|api[-_]?key$|token$|(token|key)hash$/i;
+const PII_FIELDS = new Set(
+  (process.env.LOG_REDACT_FIELDS || '')
+    .split(',')
+    .map(field => field.trim().toLowerCase())
+    .filter(Boolean)
+);
+// Credentials that end up inside free text: bearer headers, JWTs and API keys
+const SECRET_VALUE_PATTERNS = [
+  /\bBearer\s+[\w.~+/=-]+/gi,
+  /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g,
+  /\bvm_[0-9a-f]{8}_[\w-]+/g,
+];
+const MAX_DEPTH = 6;
+
+const requestContext = new AsyncLocalStorage();
+
+// ===== HELPER FUNCTIONS =====
+
+function redactString(value) {
+  return SECRET_VALUE_PATTERNS.reduce((text, pattern) => text.replace(pattern, REDACTED), value);
+}
+
+function isRedactedKey(key) {
+  return SECRET_KEY_PATTERN.test(key) || PII_FIELDS.has(key.toLowerCase());
+}
+
+// Copies `value` into something JSON.stringify can write, redacting on the way
+function sanitize(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'bigint' ? value.toString() : value;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactString(value.message || ''),
+      code: value.code,
+      stack: value.stack && redactString(value.stack),
+    };
+  }
+  if (seen.has(value) || depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  seen.add(value);
+
+  // Mongoose documents and ObjectIds know how to present themselves
+  if (typeof value.toJSON === 'function' && !Array.isArray(value)) {
+    return sanitize(value.toJSON(), depth, seen);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => sanitize(item, depth + 1, seen));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = isRedactedKey(key) ? REDACTED : sanitize(item, depth + 1, seen);
+  }
+  return result;
+}
+
+function write(level, msg, fields) {
+  if (LEVELS[level] < LEVELS[LOG_LEVEL]) {
+    return;
+  }
+
+  const context = requestContext.getStore();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...(context && { requestId: context.requestId }),
+    ...sanitize(fields || {}),
+  };
+
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch (error) {
+    line = JSON.stringify({ time: entry.time, level, msg, requestId: entry.requestId, logError: error.message });
+  }
+  process.stdout.write(`${line}\n`);
+}
+
+// ===== EXPORTED API =====
+
+const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+  isLevelEnabled: level => LEVELS[level] >= LEVELS[LOG_LEVEL],
+};
+
+module.exports = {
+  logger,
+  requestContext,
+  sanitize,
+};
@@ -0,0 +1,56 @@
+// Minimal Server-Sent Events helper for Express responses
+const { logger } = require('./logger');
+
+/**
+ * Switches the response into an event stream and returns helpers to write to it.
+ * `signal` is aborted as soon as the client goes away, so long-running work
+ * (retrieval, LLM streaming) can be cancelled.
+ */
+function openEventStream(req, res) {
+  const abortController = new AbortController();
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Stop nginx from buffering the stream
+  });
+  res.flushHeaders();
+
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      logger.info('Client closed the event stream, cancelling');
+      abortController.abort();
+    }
+  });
+
+  return {
+    signal: abortController.signal,
+
+    send(event, data) {
+      if (abortController.signal.aborted || res.writableEnded) {
+        return false;
+      }
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      return true;
+    },
+
+    close() {
+      if (!res.writableEnded) {
+        res.end();
+      }
+    },
+  };
+}
+
+/**
+ * True when the client asked for an event stream in its Accept header.
+ */
+function wantsEventStream(req) {
+  return (req.get('accept') || '').includes('text/event-stream');
+}
+
+module.exports = {
+  openEventStream,
+  wantsEventStream,
+};